@@ -0,0 +1,407 @@
+import {IPProtocolType, ApplicationProtocol, WellKnownPort, DNSRecordType, NTPMode, NTPPrivateRequestCode, readUint16, readUint32, getFlagBit} from "./utils.js";
+
+// Application payloads are picked by port, which is only a guess, so a payload that does not
+// parse is left undissected rather than reported as a broken packet.
+
+// compression pointers can loop; real names never need this many
+const MAX_DNS_POINTERS = 32;
+// only the start line and headers of text protocols are read
+const MAX_TEXT_HEAD = 8192;
+
+const HTTP_METHODS = ["GET", "POST", "HEAD", "PUT", "DELETE", "OPTIONS", "PATCH", "CONNECT", "TRACE"];
+const MEMCACHED_RESPONSES = ["VALUE", "STAT", "END", "STORED", "NOT_STORED", "EXISTS", "NOT_FOUND", "DELETED", "TOUCHED", "OK", "ERROR", "CLIENT_ERROR", "SERVER_ERROR", "VERSION"];
+
+const textDecoder = new TextDecoder();
+
+function readDNSName (data, offset) {
+    let labels = [];
+    // where the record continues, i.e. after the first pointer if there is one
+    let next;
+    let jumps = 0;
+
+    while (offset < data.length) {
+        const length = data[offset];
+        if (length === 0) {
+            return {
+                name: labels.length > 0 ? labels.join('.') : '.',
+                next: next !== undefined ? next : offset + 1
+            };
+        }
+        if ((length & 0xc0) === 0xc0) {
+            if (offset + 1 >= data.length || ++jumps > MAX_DNS_POINTERS) {
+                return undefined;
+            }
+            if (next === undefined) {
+                next = offset + 2;
+            }
+            offset = ((length & 0x3f) << 8) | data[offset + 1];
+            continue;
+        }
+        if ((length & 0xc0) !== 0 || offset + 1 + length > data.length) {
+            return undefined;
+        }
+        labels.push(textDecoder.decode(data.subarray(offset + 1, offset + 1 + length)));
+        offset += 1 + length;
+    }
+    return undefined;
+}
+
+function readDNSRecords (data, offset, count, isQuestion) {
+    let records = [];
+    for (let i = 0; i < count; i++) {
+        const name = readDNSName(data, offset);
+        if (name === undefined || name.next + 4 > data.length) {
+            return { records: records, offset: offset, complete: false };
+        }
+        offset = name.next;
+
+        let record = {
+            name: name.name,
+            type: readUint16(data, offset),
+            class: readUint16(data, offset + 2)
+        };
+        offset += 4;
+
+        if (!isQuestion) {
+            if (offset + 6 > data.length) {
+                return { records: records, offset: offset, complete: false };
+            }
+            record.ttl = readUint32(data, offset);
+            record.dataLength = readUint16(data, offset + 4);
+            offset += 6 + record.dataLength;
+        }
+        records.push(record);
+    }
+    return { records: records, offset: offset, complete: offset <= data.length };
+}
+
+function parseDNSMessage (data) {
+    if (data.length < 12) {
+        return undefined;
+    }
+
+    const flags = readUint16(data, 2);
+    const header = {
+        id: readUint16(data, 0),
+        isResponse: getFlagBit(flags, 15),
+        opcode: (flags >>> 11) & 0xf,
+        authoritative: getFlagBit(flags, 10),
+        truncated: getFlagBit(flags, 9),
+        recursionDesired: getFlagBit(flags, 8),
+        recursionAvailable: getFlagBit(flags, 7),
+        responseCode: flags & 0xf,
+        questionCount: readUint16(data, 4),
+        answerCount: readUint16(data, 6),
+        authorityCount: readUint16(data, 8),
+        additionalCount: readUint16(data, 10)
+    };
+
+    // without a readable question section this is probably not DNS at all
+    const questions = readDNSRecords(data, 12, header.questionCount, true);
+    if (!questions.complete) {
+        return undefined;
+    }
+    const answers = readDNSRecords(data, questions.offset, header.answerCount, false);
+    const authorities = readDNSRecords(data, answers.offset, answers.complete ? header.authorityCount : 0, false);
+    const additionals = readDNSRecords(data, authorities.offset, authorities.complete ? header.additionalCount : 0, false);
+
+    // EDNS(0) puts the advertised UDP payload size in the OPT record's class field
+    const opt = additionals.records.find(record => record.type === DNSRecordType.OPT);
+
+    return {
+        type: "DNS Message",
+        protocol: ApplicationProtocol.DNS,
+        header: header,
+        questions: questions.records,
+        answers: answers.records,
+        authorities: authorities.records,
+        additionals: additionals.records,
+        udpPayloadSize: opt !== undefined ? opt.class : undefined,
+        size: data.length
+    }
+}
+
+// DNS over TCP prefixes every message with its length (RFC 1035 4.2.2)
+function parseDNSOverTCP (data) {
+    if (data.length < 2) {
+        return undefined;
+    }
+    const length = readUint16(data, 0);
+    return parseDNSMessage(data.subarray(2, 2 + length));
+}
+
+function parseNTPPacket (data) {
+    if (data.length < 4) {
+        return undefined;
+    }
+
+    const version = (data[0] >>> 3) & 0x7;
+    const mode = data[0] & 0x7;
+
+    switch (mode) {
+        case NTPMode.PRIVATE: {
+            // ntpdc requests; MON_GETLIST answers with up to 600 clients, hence the amplification
+            if (data.length < 8) {
+                return undefined;
+            }
+            const requestCode = data[3];
+            return {
+                type: "NTP Packet",
+                protocol: ApplicationProtocol.NTP,
+                header: {
+                    version: version,
+                    mode: mode,
+                    isResponse: getFlagBit(data[0], 7),
+                    more: getFlagBit(data[0], 6),
+                    sequence: data[1] & 0x7f,
+                    implementation: data[2],
+                    requestCode: requestCode,
+                    itemCount: readUint16(data, 4) & 0xfff,
+                    itemSize: readUint16(data, 6) & 0xfff
+                },
+                monlist: requestCode === NTPPrivateRequestCode.MON_GETLIST || requestCode === NTPPrivateRequestCode.MON_GETLIST_1,
+                size: data.length
+            }
+        }
+        case NTPMode.CONTROL:
+            return {
+                type: "NTP Packet",
+                protocol: ApplicationProtocol.NTP,
+                header: {
+                    version: version,
+                    mode: mode,
+                    isResponse: getFlagBit(data[1], 7),
+                    opcode: data[1] & 0x1f
+                },
+                monlist: false,
+                size: data.length
+            }
+    }
+
+    if (data.length < 48) {
+        return undefined;
+    }
+    return {
+        type: "NTP Packet",
+        protocol: ApplicationProtocol.NTP,
+        header: {
+            leapIndicator: data[0] >>> 6,
+            version: version,
+            mode: mode,
+            stratum: data[1],
+            poll: data[2],
+            precision: (data[3] << 24) >> 24
+        },
+        monlist: false,
+        size: data.length
+    }
+}
+
+// Splits an HTTP-style head (HTTP/1.x, SSDP) into its start line and headers. Header names
+// are lower-cased; the body is left alone.
+function parseHTTPHead (data) {
+    const text = textDecoder.decode(data.subarray(0, MAX_TEXT_HEAD));
+    const end = text.indexOf("\r\n\r\n");
+    const lines = (end === -1 ? text : text.slice(0, end)).split("\r\n");
+
+    let headers = {};
+    for (let line of lines.slice(1)) {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    }
+
+    return {
+        startLine: lines[0],
+        headers: headers,
+        // false when the head goes on past the captured bytes
+        complete: end !== -1
+    };
+}
+
+function parseHTTPMessage (data) {
+    // cheap check before decoding: requests start with a method, responses with "HTTP/"
+    if (data.length < 4 || data[0] < 0x41 || data[0] > 0x5a) {
+        return undefined;
+    }
+
+    const head = parseHTTPHead(data);
+    const request = /^([A-Z]+) (\S+) HTTP\/(\d\.\d)$/.exec(head.startLine);
+    if (request !== null && HTTP_METHODS.includes(request[1])) {
+        return {
+            type: "HTTP Request",
+            protocol: ApplicationProtocol.HTTP,
+            method: request[1],
+            target: request[2],
+            version: request[3],
+            host: head.headers["host"],
+            userAgent: head.headers["user-agent"],
+            headers: head.headers,
+            complete: head.complete
+        }
+    }
+
+    const response = /^HTTP\/(\d\.\d) (\d{3})(?: (.*))?$/.exec(head.startLine);
+    if (response !== null) {
+        return {
+            type: "HTTP Response",
+            protocol: ApplicationProtocol.HTTP,
+            version: response[1],
+            statusCode: parseInt(response[2]),
+            reason: response[3],
+            headers: head.headers,
+            complete: head.complete
+        }
+    }
+    return undefined;
+}
+
+function parseSSDPMessage (data) {
+    const head = parseHTTPHead(data);
+    const request = /^(M-SEARCH|NOTIFY) \* HTTP\/1\.1$/.exec(head.startLine);
+    const response = /^HTTP\/1\.1 (\d{3})/.exec(head.startLine);
+    if (request === null && response === null) {
+        return undefined;
+    }
+
+    return {
+        type: "SSDP Message",
+        protocol: ApplicationProtocol.SSDP,
+        method: request !== null ? request[1] : undefined,
+        statusCode: response !== null ? parseInt(response[1]) : undefined,
+        searchTarget: head.headers["st"],
+        notificationType: head.headers["nt"],
+        location: head.headers["location"],
+        server: head.headers["server"],
+        usn: head.headers["usn"],
+        headers: head.headers,
+        size: data.length
+    }
+}
+
+function parseMemcachedMessage (data, isUDP) {
+    // the UDP protocol adds a frame header so responses can span datagrams
+    let frame;
+    let body = data;
+    if (isUDP) {
+        if (data.length < 8) {
+            return undefined;
+        }
+        frame = {
+            requestId: readUint16(data, 0),
+            sequenceNumber: readUint16(data, 2),
+            datagramCount: readUint16(data, 4)
+        };
+        body = data.subarray(8);
+    }
+    if (body.length === 0) {
+        return undefined;
+    }
+
+    // binary protocol: 0x80 request magic, 0x81 response magic
+    if (body[0] === 0x80 || body[0] === 0x81) {
+        if (body.length < 24) {
+            return undefined;
+        }
+        return {
+            type: "memcached Message",
+            protocol: ApplicationProtocol.MEMCACHED,
+            frame: frame,
+            binary: true,
+            isResponse: body[0] === 0x81,
+            opcode: body[1],
+            keyLength: readUint16(body, 2),
+            bodyLength: readUint32(body, 8),
+            size: data.length
+        }
+    }
+
+    const text = textDecoder.decode(body.subarray(0, 256));
+    const lineEnd = text.indexOf("\r\n");
+    const tokens = (lineEnd === -1 ? text : text.slice(0, lineEnd)).split(' ');
+    const command = tokens[0];
+    if (!/^[A-Za-z_]+$/.test(command)) {
+        return undefined;
+    }
+    const isResponse = MEMCACHED_RESPONSES.includes(command);
+
+    return {
+        type: "memcached Message",
+        protocol: ApplicationProtocol.MEMCACHED,
+        frame: frame,
+        binary: false,
+        isResponse: isResponse,
+        command: isResponse ? command : command.toLowerCase(),
+        key: !isResponse ? tokens[1] : undefined,
+        size: data.length
+    }
+}
+
+// Dissects the payload of a TCP segment or UDP datagram, choosing the protocol from the
+// ports. HTTP is recognised by content instead, since floods do not stick to port 80.
+export function parseApplicationLayer (protocol, sourcePort, destPort, data) {
+    if (data.length === 0) {
+        return undefined;
+    }
+
+    const isUDP = protocol === IPProtocolType.UDP;
+    const usesPort = (port) => sourcePort === port || destPort === port;
+
+    if (usesPort(WellKnownPort.DNS)) {
+        return isUDP ? parseDNSMessage(data) : parseDNSOverTCP(data);
+    }
+    if (usesPort(WellKnownPort.MEMCACHED)) {
+        return parseMemcachedMessage(data, isUDP);
+    }
+    if (isUDP && usesPort(WellKnownPort.NTP)) {
+        return parseNTPPacket(data);
+    }
+    if (isUDP && usesPort(WellKnownPort.SSDP)) {
+        return parseSSDPMessage(data);
+    }
+    if (!isUDP) {
+        return parseHTTPMessage(data);
+    }
+    return undefined;
+}
+
+export function getApplicationLayer (element) {
+    if (element.packet === undefined || element.packet.payload === undefined) {
+        return undefined;
+    }
+    const datagram = element.packet.payload.datagram;
+    return datagram !== undefined ? datagram.application : undefined;
+}
+
+// A short label telling the traffic apart, e.g. "DNS ANY query" or "NTP monlist response"
+export function classifyApplication (application) {
+    if (application === undefined) {
+        return undefined;
+    }
+
+    const direction = (isResponse) => isResponse ? "response" : "request";
+    switch (application.protocol) {
+        case ApplicationProtocol.DNS: {
+            if (application.header.isResponse) {
+                return "DNS response";
+            }
+            const isAny = application.questions.some(question => question.type === DNSRecordType.ANY);
+            return isAny ? "DNS ANY query" : "DNS query";
+        }
+        case ApplicationProtocol.NTP:
+            if (application.monlist) {
+                return `NTP monlist ${direction(application.header.isResponse)}`;
+            }
+            return "NTP";
+        case ApplicationProtocol.SSDP:
+            return application.method !== undefined ? `SSDP ${application.method}` : "SSDP response";
+        case ApplicationProtocol.MEMCACHED:
+            if (application.binary) {
+                return `memcached binary ${direction(application.isResponse)}`;
+            }
+            return application.isResponse ? "memcached response" : `memcached ${application.command}`;
+        case ApplicationProtocol.HTTP:
+            return application.method !== undefined ? `HTTP ${application.method}` : "HTTP response";
+    }
+}
@@ -0,0 +1,194 @@
+import {IPProtocolType, getIPProtocolName, parseSubnet, isInSubnet} from "./utils.js";
+
+const STORAGE_KEY = "colorRules";
+
+export const DEFAULT_PARTICLE_COLOR = "#00bbbb";
+
+export const ColorRuleType = {
+    PROTOCOL: "protocol",
+    APPLICATION: "application",
+    TCP_FLAG: "tcpFlag",
+    DEST_PORT: "destPort",
+    SOURCE_SUBNET: "sourceSubnet",
+    PACKET_SIZE: "packetSize",
+    INVALID_CHECKSUM: "invalidChecksum",
+    TCP_FLOW: "tcpFlow",
+};
+
+// rule types that match on their own and ignore the value
+const VALUELESS_RULES = [ColorRuleType.INVALID_CHECKSUM, ColorRuleType.TCP_FLOW];
+
+const TCP_FLAGS = ["CWR", "ECE", "URG", "ACK", "PSH", "RST", "SYN", "FIN"];
+
+// First matching rule wins, so the specific ones go first
+export const DEFAULT_COLOR_RULES = [
+    { type: ColorRuleType.INVALID_CHECKSUM, value: "", color: "#dd0000" },
+    { type: ColorRuleType.TCP_FLOW, value: "", color: "#bb5500" },
+    { type: ColorRuleType.TCP_FLAG, value: "RST", color: "#ff8800" },
+    { type: ColorRuleType.TCP_FLAG, value: "SYN", color: "#ffcc00" },
+    { type: ColorRuleType.PROTOCOL, value: "UDP", color: "#3366ff" },
+    { type: ColorRuleType.PROTOCOL, value: "ICMP", color: "#aa44ff" },
+];
+
+// "1000-1500", "1000-" or "-100", in bytes
+function parseSizeRange (text) {
+    const range = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(text);
+    if (range === null || (range[1] === "" && range[2] === "")) {
+        return undefined;
+    }
+    return {
+        min: range[1] === "" ? 0 : parseInt(range[1]),
+        max: range[2] === "" ? Infinity : parseInt(range[2])
+    };
+}
+
+// "SYN" or "SYN,ACK": every listed flag must be set
+function parseFlagList (text) {
+    const flags = text.split(',').map(flag => flag.trim().toUpperCase());
+    return flags.every(flag => TCP_FLAGS.includes(flag)) ? flags : undefined;
+}
+
+// Returns why the rule cannot be used, or undefined when it is fine
+export function validateColorRule (rule) {
+    if (!Object.values(ColorRuleType).includes(rule.type)) {
+        return `unknown rule type ${rule.type}`;
+    }
+    if (typeof rule.value !== "string") {
+        return "missing value";
+    }
+    if (!/^#[0-9a-fA-F]{6}$/.test(rule.color)) {
+        return `invalid color ${rule.color}`;
+    }
+
+    const value = rule.value.trim();
+    switch (rule.type) {
+        case ColorRuleType.PROTOCOL:
+        case ColorRuleType.APPLICATION:
+            return value === "" ? "a name is required" : undefined;
+        case ColorRuleType.TCP_FLAG:
+            return parseFlagList(value) === undefined ? `expected flags among ${TCP_FLAGS.join(', ')}` : undefined;
+        case ColorRuleType.DEST_PORT: {
+            const port = Number(value);
+            return (!Number.isInteger(port) || port < 0 || port > 65535 || value === "") ? "expected a port between 0 and 65535" : undefined;
+        }
+        case ColorRuleType.SOURCE_SUBNET:
+            return parseSubnet(value) === undefined ? "expected an address or prefix such as 10.0.0.0/8" : undefined;
+        case ColorRuleType.PACKET_SIZE:
+            return parseSizeRange(value) === undefined ? "expected a byte range such as 1000-1500" : undefined;
+    }
+    return undefined;
+}
+
+// Text for the legend, e.g. "TCP SYN" or "dst port 53"
+export function describeColorRule (rule) {
+    switch (rule.type) {
+        case ColorRuleType.PROTOCOL:
+            return rule.value;
+        case ColorRuleType.APPLICATION:
+            return rule.value;
+        case ColorRuleType.TCP_FLAG:
+            return `TCP ${rule.value.toUpperCase()}`;
+        case ColorRuleType.DEST_PORT:
+            return `dst port ${rule.value}`;
+        case ColorRuleType.SOURCE_SUBNET:
+            return `src ${rule.value}`;
+        case ColorRuleType.PACKET_SIZE:
+            return `${rule.value} bytes`;
+        case ColorRuleType.INVALID_CHECKSUM:
+            return "bad checksum";
+        case ColorRuleType.TCP_FLOW:
+            return "TCP flow";
+    }
+}
+
+// Turns stored rules into matchers; invalid rules are dropped
+export function compileColorRules (rules) {
+    return rules.filter(rule => validateColorRule(rule) === undefined).map(rule => {
+        const value = rule.value.trim();
+        let test;
+        switch (rule.type) {
+            case ColorRuleType.PROTOCOL: {
+                const name = value.toUpperCase();
+                test = (subject) => {
+                    const transport = getIPProtocolName(subject.payload.header.protocol);
+                    return (
+                        (transport !== undefined && transport.toUpperCase() === name) ||
+                        (subject.applicationProtocol !== undefined && subject.applicationProtocol.toUpperCase() === name)
+                    );
+                };
+                break;
+            }
+            case ColorRuleType.APPLICATION:
+                test = (subject) => subject.application !== undefined && subject.application.toLowerCase() === value.toLowerCase();
+                break;
+            case ColorRuleType.TCP_FLAG: {
+                const flags = parseFlagList(value);
+                test = (subject) => {
+                    const datagram = subject.payload.datagram;
+                    return (
+                        subject.payload.header.protocol === IPProtocolType.TCP &&
+                        datagram !== undefined &&
+                        flags.every(flag => datagram.header.flags[flag])
+                    );
+                };
+                break;
+            }
+            case ColorRuleType.DEST_PORT: {
+                const port = Number(value);
+                test = (subject) => subject.payload.datagram !== undefined && subject.payload.datagram.header.destPort === port;
+                break;
+            }
+            case ColorRuleType.SOURCE_SUBNET: {
+                const subnet = parseSubnet(value);
+                test = (subject) => isInSubnet(subject.payload.header.sourceIP.array, subnet);
+                break;
+            }
+            case ColorRuleType.PACKET_SIZE: {
+                const range = parseSizeRange(value);
+                test = (subject) => subject.bytes >= range.min && subject.bytes <= range.max;
+                break;
+            }
+            case ColorRuleType.INVALID_CHECKSUM:
+                test = (subject) => subject.invalidChecksum === true;
+                break;
+            case ColorRuleType.TCP_FLOW:
+                test = (subject) => subject.flow !== undefined;
+                break;
+        }
+        return {
+            rule: rule,
+            test: test
+        };
+    });
+}
+
+// `subject` is a spawn item or a particle: its IP layer as `payload`, plus bytes, flow,
+// application label and checksum flag
+export function getColorFor (compiledRules, subject) {
+    const match = compiledRules.find(compiled => compiled.test(subject));
+    return match !== undefined ? match.rule.color : DEFAULT_PARTICLE_COLOR;
+}
+
+export function isValuelessRule (type) {
+    return VALUELESS_RULES.includes(type);
+}
+
+export function loadColorRules () {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored === null) {
+        return DEFAULT_COLOR_RULES.map(rule => ({ ...rule }));
+    }
+    try {
+        const rules = JSON.parse(stored);
+        if (Array.isArray(rules)) {
+            return rules.filter(rule => rule !== null && typeof rule === "object");
+        }
+    } catch (e) {
+        console.warn(`Ignoring stored color rules: ${e.message}`);
+    }
+    return DEFAULT_COLOR_RULES.map(rule => ({ ...rule }));
+}
+
+export function saveColorRules (rules) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+}
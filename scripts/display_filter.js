@@ -0,0 +1,364 @@
+import {IPProtocolType, ApplicationProtocol, parseSubnet, isInSubnet} from "./utils.js";
+
+// Wireshark-style display filters over parsed capture records, e.g.
+//   ip.src == 10.0.0.0/8 && tcp.flags.syn && !tcp.flags.ack
+//   udp.dstport in {53, 123}
+//   frame.len > 1000
+// A field on its own tests that it is present (or, for flags, set). Comparisons on fields with
+// several values, such as ip.addr or tcp.port, hold when any of the values matches; != holds
+// when none does.
+
+const FieldType = {
+    NUMBER: "number",
+    ADDRESS: "address",
+    // protocols and flags, which are either there or not
+    BOOLEAN: "boolean",
+};
+
+const COMPARISON_OPERATORS = {
+    "==": "==", "eq": "==",
+    "!=": "!=", "ne": "!=",
+    ">": ">", "gt": ">",
+    "<": "<", "lt": "<",
+    ">=": ">=", "ge": ">=",
+    "<=": "<=", "le": "<=",
+};
+
+const BOOLEAN_VALUES = { "true": 1, "false": 0, "1": 1, "0": 0 };
+
+const PUNCTUATION = ["==", "!=", ">=", "<=", "&&", "||", ">", "<", "!", "(", ")", "{", "}", ","];
+
+const TCP_FLAGS = ["CWR", "ECE", "URG", "ACK", "PSH", "RST", "SYN", "FIN"];
+
+function getIPLayer (element, version) {
+    const ip = element.packet !== undefined ? element.packet.payload : undefined;
+    if (ip === undefined || ip.header === undefined || (version !== undefined && ip.header.version !== version)) {
+        return undefined;
+    }
+    return ip;
+}
+
+function getDatagram (element, protocol) {
+    const ip = getIPLayer(element);
+    return ip !== undefined && ip.header.protocol === protocol ? ip.datagram : undefined;
+}
+
+function getApplication (element, protocol) {
+    const ip = getIPLayer(element);
+    const datagram = ip !== undefined ? ip.datagram : undefined;
+    const application = datagram !== undefined ? datagram.application : undefined;
+    return application !== undefined && application.protocol === protocol ? application : undefined;
+}
+
+// a value read from the layer `getLayer` returns, or undefined when the packet has no such layer
+function layerField (type, getLayer, read) {
+    return {
+        type: type,
+        get: (element) => {
+            const layer = getLayer(element);
+            return layer !== undefined ? read(layer) : undefined;
+        }
+    };
+}
+
+function ipFields (prefix, version) {
+    const layer = (element) => getIPLayer(element, version);
+    return {
+        [prefix]: layerField(FieldType.BOOLEAN, layer, () => true),
+        [`${prefix}.src`]: layerField(FieldType.ADDRESS, layer, ip => ip.header.sourceIP.array),
+        [`${prefix}.dst`]: layerField(FieldType.ADDRESS, layer, ip => ip.header.destIP.array),
+        [`${prefix}.addr`]: layerField(FieldType.ADDRESS, layer, ip => [ip.header.sourceIP.array, ip.header.destIP.array]),
+    };
+}
+
+function portFields (prefix, protocol) {
+    const layer = (element) => getDatagram(element, protocol);
+    return {
+        [prefix]: layerField(FieldType.BOOLEAN, layer, () => true),
+        [`${prefix}.srcport`]: layerField(FieldType.NUMBER, layer, datagram => datagram.header.sourcePort),
+        [`${prefix}.dstport`]: layerField(FieldType.NUMBER, layer, datagram => datagram.header.destPort),
+        [`${prefix}.port`]: layerField(FieldType.NUMBER, layer, datagram => [datagram.header.sourcePort, datagram.header.destPort]),
+    };
+}
+
+const FIELDS = {
+    "frame.len": layerField(FieldType.NUMBER, element => element.header, header => header.origLen),
+    "frame.cap_len": layerField(FieldType.NUMBER, element => element.header, header => header.inclLen),
+    // seconds since the first packet
+    "frame.time_relative": layerField(FieldType.NUMBER, element => element.header, header => header.relativeTime / 1000),
+
+    ...ipFields("ip", 4),
+    "ip.proto": layerField(FieldType.NUMBER, element => getIPLayer(element, 4), ip => ip.header.protocol),
+    "ip.ttl": layerField(FieldType.NUMBER, element => getIPLayer(element, 4), ip => ip.header.ttl),
+    "ip.len": layerField(FieldType.NUMBER, element => getIPLayer(element, 4), ip => ip.header.ipLen),
+    "ip.id": layerField(FieldType.NUMBER, element => getIPLayer(element, 4), ip => ip.header.ipId),
+    "ip.flags.df": layerField(FieldType.BOOLEAN, element => getIPLayer(element, 4), ip => ip.header.flags.dontFragment),
+    "ip.flags.mf": layerField(FieldType.BOOLEAN, element => getIPLayer(element, 4), ip => ip.header.flags.moreFragments),
+    "ip.frag_offset": layerField(FieldType.NUMBER, element => getIPLayer(element, 4), ip => ip.header.fragmentOffset),
+
+    ...ipFields("ipv6", 6),
+    "ipv6.nxt": layerField(FieldType.NUMBER, element => getIPLayer(element, 6), ip => ip.header.nextHeader),
+    "ipv6.hlim": layerField(FieldType.NUMBER, element => getIPLayer(element, 6), ip => ip.header.hopLimit),
+    "ipv6.plen": layerField(FieldType.NUMBER, element => getIPLayer(element, 6), ip => ip.header.payloadLen),
+
+    ...portFields("tcp", IPProtocolType.TCP),
+    "tcp.seq": layerField(FieldType.NUMBER, element => getDatagram(element, IPProtocolType.TCP), tcp => tcp.header.sequenceNumber),
+    "tcp.ack": layerField(FieldType.NUMBER, element => getDatagram(element, IPProtocolType.TCP), tcp => tcp.header.ACKNumber),
+    "tcp.window_size": layerField(FieldType.NUMBER, element => getDatagram(element, IPProtocolType.TCP), tcp => tcp.header.window),
+    "tcp.len": layerField(FieldType.NUMBER, element => getDatagram(element, IPProtocolType.TCP), tcp => tcp.data.length),
+    ...Object.fromEntries(TCP_FLAGS.map(flag => [
+        `tcp.flags.${flag.toLowerCase()}`,
+        layerField(FieldType.BOOLEAN, element => getDatagram(element, IPProtocolType.TCP), tcp => tcp.header.flags[flag])
+    ])),
+
+    ...portFields("udp", IPProtocolType.UDP),
+    "udp.length": layerField(FieldType.NUMBER, element => getDatagram(element, IPProtocolType.UDP), udp => udp.header.length),
+
+    "icmp": layerField(FieldType.BOOLEAN, element => getDatagram(element, IPProtocolType.ICMP), () => true),
+    "icmp.type": layerField(FieldType.NUMBER, element => getDatagram(element, IPProtocolType.ICMP), icmp => icmp.header.type),
+    "icmp.code": layerField(FieldType.NUMBER, element => getDatagram(element, IPProtocolType.ICMP), icmp => icmp.header.code),
+    "icmpv6": layerField(FieldType.BOOLEAN, element => getDatagram(element, IPProtocolType.ICMPv6), () => true),
+    "icmpv6.type": layerField(FieldType.NUMBER, element => getDatagram(element, IPProtocolType.ICMPv6), icmp => icmp.header.type),
+    "icmpv6.code": layerField(FieldType.NUMBER, element => getDatagram(element, IPProtocolType.ICMPv6), icmp => icmp.header.code),
+
+    // dns, ntp, ssdp, memcached, http
+    ...Object.fromEntries(Object.values(ApplicationProtocol).map(protocol => [
+        protocol.toLowerCase(),
+        layerField(FieldType.BOOLEAN, element => getApplication(element, protocol), () => true)
+    ])),
+};
+
+// words are field names, numbers and addresses; the rest is punctuation
+function tokenize (text) {
+    let tokens = [];
+    let offset = 0;
+    while (offset < text.length) {
+        if (/\s/.test(text[offset])) {
+            offset++;
+            continue;
+        }
+        const word = /^[A-Za-z0-9_.:/]+/.exec(text.slice(offset));
+        if (word !== null) {
+            tokens.push({ text: word[0], offset: offset, isWord: true });
+            offset += word[0].length;
+            continue;
+        }
+        const punctuation = PUNCTUATION.find(symbol => text.startsWith(symbol, offset));
+        if (punctuation === undefined) {
+            throw new SyntaxError(`Unexpected "${text[offset]}" at ${offset + 1}`);
+        }
+        tokens.push({ text: punctuation, offset: offset, isWord: false });
+        offset += punctuation.length;
+    }
+    return tokens;
+}
+
+function parseNumber (token) {
+    const text = token.text;
+    if (!/^(0x[0-9a-fA-F]+|\d+(\.\d+)?)$/.test(text)) {
+        throw new SyntaxError(`Expected a number at ${token.offset + 1}, got "${text}"`);
+    }
+    return Number(text);
+}
+
+// Turns a filter into a tree of {op, ...} nodes, checking field names and value types on the way
+function parse (text) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const describe = (token) => token !== undefined ? `"${token.text}" at ${token.offset + 1}` : "the end of the filter";
+    const accept = (...options) => {
+        const token = peek();
+        if (token !== undefined && options.includes(token.text)) {
+            position++;
+            return token;
+        }
+        return undefined;
+    };
+    const expect = (symbol) => {
+        if (accept(symbol) === undefined) {
+            throw new SyntaxError(`Expected "${symbol}" but found ${describe(peek())}`);
+        }
+    };
+
+    const parseValue = (field, token) => {
+        if (token === undefined || !token.isWord) {
+            throw new SyntaxError(`Expected a value but found ${describe(token)}`);
+        }
+        switch (field.type) {
+            case FieldType.NUMBER:
+                return parseNumber(token);
+            case FieldType.BOOLEAN: {
+                if (!Object.hasOwn(BOOLEAN_VALUES, token.text)) {
+                    throw new SyntaxError(`Expected true, false, 1 or 0 at ${token.offset + 1}, got "${token.text}"`);
+                }
+                return BOOLEAN_VALUES[token.text];
+            }
+            case FieldType.ADDRESS: {
+                const subnet = parseSubnet(token.text);
+                if (subnet === undefined) {
+                    throw new SyntaxError(`Expected an address or prefix such as 10.0.0.0/8 at ${token.offset + 1}, got "${token.text}"`);
+                }
+                return subnet;
+            }
+        }
+    };
+
+    // {53, 123} or {1024..2048, 8080}, commas optional
+    const parseSet = (field) => {
+        const open = peek();
+        expect("{");
+        let members = [];
+        while (accept("}") === undefined) {
+            const token = peek();
+            const range = token !== undefined && token.isWord ? /^(.+)\.\.(.+)$/.exec(token.text) : null;
+            if (range !== null && field.type === FieldType.NUMBER) {
+                position++;
+                members.push({
+                    min: parseNumber({ text: range[1], offset: token.offset }),
+                    max: parseNumber({ text: range[2], offset: token.offset })
+                });
+            } else {
+                const value = parseValue(field, token);
+                position++;
+                members.push({ value: value });
+            }
+            accept(",");
+        }
+        if (members.length === 0) {
+            throw new SyntaxError(`Empty set at ${open.offset + 1}`);
+        }
+        return members;
+    };
+
+    const parsePrimary = () => {
+        if (accept("(") !== undefined) {
+            const node = parseOr();
+            expect(")");
+            return node;
+        }
+
+        const token = peek();
+        if (token === undefined || !token.isWord) {
+            throw new SyntaxError(`Expected a field but found ${describe(token)}`);
+        }
+        // own fields only, so "constructor" and the like are unknown rather than inherited
+        const name = token.text.toLowerCase();
+        const field = Object.hasOwn(FIELDS, name) ? FIELDS[name] : undefined;
+        if (field === undefined) {
+            throw new SyntaxError(`Unknown field "${token.text}" at ${token.offset + 1}`);
+        }
+        position++;
+
+        if (accept("in") !== undefined) {
+            return { op: "in", field: field, members: parseSet(field) };
+        }
+        const operatorToken = peek();
+        const operator = operatorToken !== undefined && Object.hasOwn(COMPARISON_OPERATORS, operatorToken.text) ? COMPARISON_OPERATORS[operatorToken.text] : undefined;
+        if (operator === undefined) {
+            return { op: "exists", field: field };
+        }
+        position++;
+        if (field.type !== FieldType.NUMBER && operator !== "==" && operator !== "!=") {
+            throw new SyntaxError(`"${token.text}" at ${token.offset + 1} can only be compared with == or !=`);
+        }
+        const value = parseValue(field, peek());
+        position++;
+        return { op: operator, field: field, value: value };
+    };
+
+    const parseNot = () => {
+        if (accept("!", "not") !== undefined) {
+            return { op: "not", operand: parseNot() };
+        }
+        return parsePrimary();
+    };
+
+    const parseAnd = () => {
+        let node = parseNot();
+        while (accept("&&", "and") !== undefined) {
+            node = { op: "and", left: node, right: parseNot() };
+        }
+        return node;
+    };
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (accept("||", "or") !== undefined) {
+            node = { op: "or", left: node, right: parseAnd() };
+        }
+        return node;
+    };
+
+    const tree = parseOr();
+    if (peek() !== undefined) {
+        throw new SyntaxError(`Unexpected ${describe(peek())}`);
+    }
+    return tree;
+}
+
+// whether one value of a field satisfies `operator` against the filter's value
+function compare (field, value, operator, expected) {
+    if (field.type === FieldType.ADDRESS) {
+        return isInSubnet(value, expected);
+    }
+    const actual = Number(value);
+    switch (operator) {
+        case "==": return actual === expected;
+        case ">": return actual > expected;
+        case "<": return actual < expected;
+        case ">=": return actual >= expected;
+        case "<=": return actual <= expected;
+    }
+}
+
+function evaluate (node, element) {
+    switch (node.op) {
+        case "and":
+            return evaluate(node.left, element) && evaluate(node.right, element);
+        case "or":
+            return evaluate(node.left, element) || evaluate(node.right, element);
+        case "not":
+            return !evaluate(node.operand, element);
+    }
+
+    const found = node.field.get(element);
+    if (found === undefined) {
+        return false;
+    }
+    // the ADDRESS values themselves are arrays, so only an array of them counts as several
+    const values = Array.isArray(found) ? found : [found];
+    switch (node.op) {
+        case "exists":
+            return node.field.type === FieldType.BOOLEAN ? values.some(Boolean) : true;
+        case "in":
+            return values.some(value => node.members.some(member => member.value !== undefined
+                ? compare(node.field, value, "==", member.value)
+                : value >= member.min && value <= member.max));
+        case "!=":
+            return !values.some(value => compare(node.field, value, "==", node.value));
+        default:
+            return values.some(value => compare(node.field, value, node.op, node.value));
+    }
+}
+
+// Returns a predicate over parsed capture records, or null for an empty filter, which keeps
+// everything. Throws a SyntaxError saying what is wrong and where.
+export function compileDisplayFilter (text) {
+    if (text.trim() === "") {
+        return null;
+    }
+    const tree = parse(text);
+    return (element) => evaluate(tree, element);
+}
+
+// Returns why the filter cannot be used, or undefined when it is fine
+export function validateDisplayFilter (text) {
+    try {
+        compileDisplayFilter(text);
+        return undefined;
+    } catch (e) {
+        return e.message;
+    }
+}
@@ -1,5 +1,13 @@
 import * as THREE from "three";
-import {parsePcapFile} from "./pcap_parser";
+import {reassembleIPFragments, buildTCPFlows} from "./reassembly.js";
+import {getApplicationLayer, classifyApplication} from "./application_layer.js";
+import {formatIPv4Address, formatIPv6Address, createRandom} from "./utils.js";
+import {DEFAULT_COLOR_RULES, compileColorRules, getColorFor} from "./color_rules.js";
+import {WebGLSceneRenderer} from "./renderer.js";
+import {ParticleBuffer} from "./particle_buffer.js";
+import {SpatialGrid} from "./spatial_grid.js";
+import {inferInfections} from "./worm_analysis.js";
+import {compileDisplayFilter} from "./display_filter.js";
 
 export const EngineType = {
     FLUIDPARTICLE: 0,
@@ -9,136 +17,218 @@ export const EngineType = {
 export const FluidParameter = {
     PARTICLE_RADIUS: 0,
     SERVER_CAPACITY: 1,
+    SERVICE_RATE: 2,
+    GRAVITY: 3,
+    RESTITUTION: 4,
+    DRAG: 5,
+    MAX_PARTICLES: 6,
+    BACKLOG_LIMIT: 7,
+    PACKET_TTL: 8,
+    PARTICLE_BUDGET: 9,
 };
 
-const CollisionType = {
-    NO_COLLISION: 0,
-    COLLISION: 1,
-    INTERPENETRATING: -1
-}
+// what the server's service rate counts
+export const ServiceRateUnit = {
+    PACKETS: 0,
+    BYTES: 1,
+};
 
-const FRUSTUM_SIZE = 1;
+export const ParticleState = {
+    // falling towards the server
+    WAITING: "waiting",
+    // inside the server mouth, behind other packets
+    QUEUED: "queued",
+    PROCESSING: "processing",
+    // backlog full or TTL expired; lingers briefly before it disappears
+    DROPPED: "dropped",
+};
 
-class Quadtree {
-    constructor (boundary, capacity = 4) {
-        this.boundary = boundary;
-        this.capacity = capacity;
-        this.particles = [];
-        this.divided = false;
-        this.northeast = null;
-        this.southeast = null;
-        this.southwest = null;
-        this.northwest = null;
-    }
-
-    subdivide () {
-        const x = this.boundary.x;
-        const y = this.boundary.y;
-        const w = this.boundary.width * 0.5;
-        const h = this.boundary.height * 0.5;
-
-        const ne = { x: x + w, y: y + h, width: w, height: h };
-        const nw = { x: x, y: y + h, width: w, height: h };
-        const se = { x: x + w, y: y, width: w, height: h };
-        const sw = { x: x, y: y, width: w, height: h };
-
-        this.northeast = new Quadtree(ne, this.capacity);
-        this.northwest = new Quadtree(nw, this.capacity);
-        this.southeast = new Quadtree(se, this.capacity);
-        this.southwest = new Quadtree(sw, this.capacity);
-
-        this.divided = true;
-    }
-
-    contains (particle) {
-        const pos = particle.position();
-        return (
-            pos.x >= this.boundary.x &&
-            pos.x < this.boundary.x + this.boundary.width &&
-            pos.y >= this.boundary.y &&
-            pos.y < this.boundary.y + this.boundary.height
-        );
-    }
-
-    insert (particle) {
-        if (!this.contains(particle)) {
-            return false;
-        }
+export const DropReason = {
+    BACKLOG: "backlog",
+    TTL: "ttl",
+};
 
-        if (this.particles.length <= this.capacity) {
-            this.particles.push(particle);
-            return true;
-        }
+// Valid ranges for setFluidParameter; the sidebar builds its sliders from these too
+export const FLUID_PARAMETER_DESCRIPTORS = {
+    [FluidParameter.PARTICLE_RADIUS]: { key: "particleRadius", label: "Particle radius", min: 0.002, max: 0.05, step: 0.001 },
+    [FluidParameter.SERVER_CAPACITY]: { key: "serverCapacity", label: "Server capacity", min: 0.05, max: 1, step: 0.01 },
+    // packets or bytes per second, see ServiceRateUnit
+    [FluidParameter.SERVICE_RATE]: { key: "serviceRate", label: "Service rate (per s)", min: 1, max: 100000, step: 1, allowInfinity: true },
+    [FluidParameter.GRAVITY]: { key: "gravity", label: "Gravity", min: 0, max: 5, step: 0.01 },
+    [FluidParameter.RESTITUTION]: { key: "restitution", label: "Restitution", min: 0, max: 1, step: 0.05 },
+    [FluidParameter.DRAG]: { key: "drag", label: "Drag", min: 0, max: 5, step: 0.05 },
+    [FluidParameter.MAX_PARTICLES]: { key: "maxParticles", label: "Max particles", min: 1, max: 100000, step: 1, integer: true },
+    // packets that can wait inside the server; later arrivals are dropped
+    [FluidParameter.BACKLOG_LIMIT]: { key: "backlogLimit", label: "Backlog limit", min: 0, max: 10000, step: 1, integer: true },
+    // how long a packet may fall before reaching the server, in on-screen time
+    [FluidParameter.PACKET_TTL]: { key: "packetTTL", label: "Packet TTL (ms)", min: 100, max: 60000, step: 100, allowInfinity: true },
+    // particles spawned per on-screen second; beyond it several packets share a particle
+    [FluidParameter.PARTICLE_BUDGET]: { key: "particleBudget", label: "Particle budget (per s)", min: 10, max: 100000, step: 10, allowInfinity: true },
+};
 
-        if (!this.divided) {
-            this.subdivide();
-        }
+export const GridParameter = {
+    COLUMNS: 0,
+    VULNERABILITY: 1,
+    INITIAL_INFECTED: 2,
+    SCAN_RATE: 3,
+    PATCH_RATE: 4,
+    LOCAL_PREFERENCE: 5,
+};
+
+// Valid ranges for setGridParameter, same shape as FLUID_PARAMETER_DESCRIPTORS
+export const GRID_PARAMETER_DESCRIPTORS = {
+    // rows follow from the aspect ratio of the view
+    [GridParameter.COLUMNS]: { key: "columns", label: "Grid columns", min: 10, max: 400, step: 1, integer: true },
+    // share of hosts running the vulnerable service; the others can never be infected
+    [GridParameter.VULNERABILITY]: { key: "vulnerability", label: "Vulnerable hosts", min: 0, max: 1, step: 0.01 },
+    [GridParameter.INITIAL_INFECTED]: { key: "initialInfected", label: "Initially infected", min: 1, max: 100, step: 1, integer: true },
+    // probes sent by every infected host per second
+    [GridParameter.SCAN_RATE]: { key: "scanRate", label: "Scans per second", min: 0, max: 100, step: 0.1 },
+    // chance per second that a vulnerable or infected host gets patched, SIR only
+    [GridParameter.PATCH_RATE]: { key: "patchRate", label: "Patch rate (per s)", min: 0, max: 1, step: 0.005 },
+    // share of probes aimed at nearby hosts with ScanStrategy.LOCAL_PREFERENCE
+    [GridParameter.LOCAL_PREFERENCE]: { key: "localPreference", label: "Local preference", min: 0, max: 1, step: 0.05 },
+};
+
+export const InfectionModel = {
+    // susceptible -> infected, for good
+    SI: 0,
+    // patching takes hosts out, infected or not
+    SIR: 1,
+};
+
+// how an infected host picks the addresses it probes
+export const ScanStrategy = {
+    RANDOM: 0,
+    // walks the address space from a random starting point, like Blaster
+    SEQUENTIAL: 1,
+    // mostly probes its own neighbourhood, like Code Red II
+    LOCAL_PREFERENCE: 2,
+};
 
-        return (
-            this.northeast.insert(particle) ||
-            this.northwest.insert(particle) ||
-            this.southeast.insert(particle) ||
-            this.southwest.insert(particle)
-        );
+// what decides who gets infected when on the grid
+export const GridSource = {
+    // the infection model, see InfectionModel and ScanStrategy
+    MODEL: 0,
+    // the infections inferred from the loaded capture, replayed in order
+    CAPTURE: 1,
+};
+
+// kept in a Uint8Array, one byte per host
+export const HostState = {
+    // not running the vulnerable service
+    IMMUNE: 0,
+    SUSCEPTIBLE: 1,
+    INFECTED: 2,
+    // patched, whether or not it had been infected
+    RECOVERED: 3,
+    // a cell past the last address of the capture
+    EMPTY: 4,
+};
+
+// how a packet's size maps to its particle's radius; mass follows the area
+export const SizeScale = {
+    LINEAR: 0,
+    LOGARITHMIC: 1,
+    BUCKETED: 2,
+};
+
+// how packets are split among particle sources; IPv6 uses /48 and /32 for the two prefixes
+export const SourceGrouping = {
+    ADDRESS: 0,
+    PREFIX_24: 1,
+    PREFIX_16: 2,
+};
+
+const FRUSTUM_SIZE = 1;
+
+// the simulation always advances in steps of this many seconds, whatever the frame rate
+const FIXED_TIMESTEP = 1 / 120;
+// steps run per frame at most; time beyond that (a background tab, a breakpoint) is dropped
+// rather than integrated in one giant step that would tunnel particles through walls
+const MAX_SUBSTEPS = 8;
+
+export const DEFAULT_RANDOM_SEED = 1;
+
+function getSourceKey (ipLayer, grouping) {
+    const address = ipLayer.header.sourceIP;
+    if (grouping === SourceGrouping.ADDRESS) {
+        return address.string;
     }
 
-    intersect (range) {
-        return !(
-            range.x > this.boundary.x + this.boundary.width ||
-            range.x + range.width < this.boundary.x ||
-            range.y > this.boundary.y + this.boundary.height ||
-            range.y + range.height < this.boundary.y
-        )
+    const isIPv4 = address.array.length === 4;
+    let prefixLen;
+    if (grouping === SourceGrouping.PREFIX_24) {
+        prefixLen = isIPv4 ? 24 : 48;
+    } else {
+        prefixLen = isIPv4 ? 16 : 32;
     }
 
-    particleInRange (particle, range) {
-        const pos = particle.position();
-        return (
-            pos.x >= range.x &&
-            pos.x < range.x + range.width &&
-            pos.y >= range.y &&
-            pos.y < range.y + range.height
-        );
+    let masked = new Uint8Array(address.array.length);
+    masked.set(address.array.subarray(0, prefixLen / 8));
+    const network = isIPv4 ? formatIPv4Address(masked) : formatIPv6Address(masked);
+    return `${network}/${prefixLen}`;
+}
+
+// Throws a RangeError unless `value` is allowed by the descriptor of `parameter`
+function checkParameterValue (descriptors, parameter, value, kind) {
+    const descriptor = descriptors[parameter];
+    if (descriptor === undefined) {
+        throw new RangeError(`Unknown ${kind} parameter: ${parameter}`);
     }
 
-    query (range, found = []) {
-        if (!this.intersect(range)) {
-            return found;
-        }
+    const isAllowedInfinity = value === Infinity && descriptor.allowInfinity;
+    const isInRange = typeof value === 'number' && value >= descriptor.min && value <= descriptor.max;
+    if (!isAllowedInfinity && (!isInRange || (descriptor.integer && !Number.isInteger(value)))) {
+        const expected = descriptor.integer ? 'an integer' : 'a number';
+        throw new RangeError(`${descriptor.label} must be ${expected} between ${descriptor.min} and ${descriptor.max}, got ${value}`);
+    }
+    return descriptor;
+}
 
-        for (let p of this.particles) {
-            if (this.particleInRange(p, range)) {
-                found.push(p);
-            }
-        }
+// whether a circle overlaps the segment from (ax, ay) to (bx, by)
+function circleTouchesSegment (px, py, radius, ax, ay, bx, by) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const ox = px - ax;
+    const oy = py - ay;
 
-        if (this.divided) {
-            this.northeast.query(range, found);
-            this.northwest.query(range, found);
-            this.southeast.query(range, found);
-            this.southwest.query(range, found);
-        }
+    const a = dx * dx + dy * dy;
+    const b = -2.0 * (dx * ox + dy * oy);
+    const c = ox * ox + oy * oy - radius * radius;
 
-        return found;
+    const discriminant = b * b - 4.0 * a * c;
+    if (discriminant < 0.0) {
+        return false;
     }
+    const d = Math.sqrt(discriminant);
+    const t0 = (-b - d) / (2.0 * a);
+    const t1 = (-b + d) / (2.0 * a);
+    return t1 >= 0.0 && t0 <= 1.0;
 }
 
 export class Engine extends EventTarget {
-    constructor () {
+    // Pass a HeadlessRenderer to run the simulation without a browser
+    constructor (renderer = new WebGLSceneRenderer()) {
         super();
         this.initTHREE();
+        this.renderer = renderer;
+        this.renderer.attach(this);
         this.initEngines();
 
         // INIT SIMULATION AND RENDERING
         this.activeEngine = EngineType.FLUIDPARTICLE;
+        this.scene.add(this.getActiveEngine().group);
         this.simulationStopped = false;
         this.lastTime = 0;
         this.deltaTime = 0.0001;
+        // frame time not yet consumed by fixed steps
+        this.accumulator = 0;
+        this.stepCount = 0;
     }
 
     initTHREE () {
         this.simulation = this.simulation.bind(this);
-        this.resizeCanvas = this.resizeCanvas.bind(this);
 
         // Scene
         this.scene = new THREE.Scene();
@@ -148,17 +238,16 @@ export class Engine extends EventTarget {
         this.camera.near = 0.1;
         this.camera.far = 1000;
 
-        // Renderer
-        this.renderer = new THREE.WebGLRenderer({
-            antialias: true,
-        });
-        this.renderer.setClearColor(0xffffff);
-
-        // Canvas
-        this.canvas = document.body.appendChild(this.renderer.domElement);
-        window.addEventListener('resize', this.resizeCanvas);
+        // picks particles under the pointer, see pickParticle
+        this.raycaster = new THREE.Raycaster();
 
-        this.resizeCanvas();
+        // the visible world, which is also what the simulation is confined to
+        this.bounds = {
+            left: -FRUSTUM_SIZE / 2,
+            right: FRUSTUM_SIZE / 2,
+            top: FRUSTUM_SIZE / 2,
+            bottom: -FRUSTUM_SIZE / 2
+        };
     }
 
     initEngines () {
@@ -168,30 +257,96 @@ export class Engine extends EventTarget {
         this.gridVirusEngine.init();
     }
 
-    resizeCanvas () {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-
-        const aspectRatio = this.canvas.width / this.canvas.height;
-        this.camera.left = FRUSTUM_SIZE * aspectRatio / -2;
-        this.camera.right = FRUSTUM_SIZE * aspectRatio / 2;
-        this.camera.top = FRUSTUM_SIZE / 2;
-        this.camera.bottom = FRUSTUM_SIZE / -2;
-
+    // called by the renderer with the size of what it draws into, in pixels
+    setViewportSize (width, height) {
+        const aspectRatio = width / height;
+        this.bounds.left = FRUSTUM_SIZE * aspectRatio / -2;
+        this.bounds.right = FRUSTUM_SIZE * aspectRatio / 2;
+        this.bounds.top = FRUSTUM_SIZE / 2;
+        this.bounds.bottom = FRUSTUM_SIZE / -2;
+
+        this.camera.left = this.bounds.left;
+        this.camera.right = this.bounds.right;
+        this.camera.top = this.bounds.top;
+        this.camera.bottom = this.bounds.bottom;
         this.camera.updateProjectionMatrix();
-
-        this.renderer.setSize(this.canvas.width, this.canvas.height);
     }
 
     setPcapFile (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.scene.clear();
-            const pcapFile = parsePcapFile(e.target.result);
-            this.fluidParticleEngine.loadPcap(pcapFile);
-            this.fluidParticleEngine.restart();
+        this.stopPcapWorker();
+
+        // parsing runs in a worker so large captures do not block rendering
+        const worker = new Worker(new URL('./pcap_worker.js', import.meta.url), { type: 'module' });
+        this.pcapWorker = worker;
+        // until the header arrives the previous capture is still the loaded one
+        this.pcapHeaderReceived = false;
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+            switch (message.type) {
+                case 'header':
+                    this.pcapHeaderReceived = true;
+                    this.gridVirusEngine.clearCapture();
+                    this.fluidParticleEngine.group.clear();
+                    this.fluidParticleEngine.beginPcap(message.globalHeader);
+                    this.fluidParticleEngine.restart();
+                    break;
+                case 'packets':
+                    this.fluidParticleEngine.appendPackets(message.packets);
+                    break;
+                case 'progress':
+                    this.signalPcapProgress(message);
+                    break;
+                case 'done':
+                    this.fluidParticleEngine.inputPcap.globalHeader = message.globalHeader;
+                    this.fluidParticleEngine.inputPcap.report = message.report;
+                    this.stopPcapWorker();
+                    this.finishPcapLoading(message);
+                    break;
+                case 'error':
+                    console.error(`Failed to parse capture: ${message.message}`);
+                    this.stopPcapWorker();
+                    this.signalPcapLoadFailed(message.message);
+                    break;
+            }
         };
-        reader.readAsArrayBuffer(file);
+        worker.postMessage({ type: 'parse', file: file });
+    }
+
+    stopPcapWorker () {
+        if (this.pcapWorker) {
+            this.pcapWorker.terminate();
+            this.pcapWorker = null;
+        }
+    }
+
+    // runs the whole-capture analyses, which wait for the last packet
+    finishPcapLoading (result) {
+        this.fluidParticleEngine.analyseTraffic();
+        this.gridVirusEngine.loadCapture(inferInfections(this.fluidParticleEngine.inputPcap.packets));
+        this.signalPcapLoaded(result);
+    }
+
+    cancelPcapParsing () {
+        if (!this.pcapWorker) {
+            return;
+        }
+        this.stopPcapWorker();
+        if (!this.pcapHeaderReceived) {
+            this.signalPcapLoadCancelled();
+            return;
+        }
+        // packets already delivered stay loaded, and are analysed as if they were the whole capture
+        this.finishPcapLoading({
+            packetCount: this.fluidParticleEngine.inputPcap.packets.length,
+            trailingBytes: 0,
+            report: null,
+            cancelled: true
+        });
+    }
+
+    isParsingPcap () {
+        return this.pcapWorker != null;
     }
 
     pauseSimulation () {
@@ -213,6 +368,195 @@ export class Engine extends EventTarget {
         console.log("reset");
     }
 
+    getFlows () {
+        const reassembly = this.fluidParticleEngine.reassembly;
+        return reassembly !== null ? reassembly.flows : [];
+    }
+
+    getTrafficSummary () {
+        const reassembly = this.fluidParticleEngine.reassembly;
+        if (reassembly === null) {
+            return null;
+        }
+        return {
+            flows: reassembly.flows.length,
+            handshakes: reassembly.flows.filter(flow => flow.handshakeComplete).length,
+            reassembledDatagrams: reassembly.fragments.complete,
+            incompleteDatagrams: reassembly.fragments.incomplete,
+            overlappingDatagrams: reassembly.fragments.overlapping,
+        };
+    }
+
+    setFlowGrouping (enabled) {
+        this.fluidParticleEngine.setFlowGrouping(enabled);
+    }
+
+    setSourceGrouping (grouping) {
+        this.fluidParticleEngine.setSourceGrouping(grouping);
+    }
+
+    // Only packets matching the display filter become particles; an empty one lets all through.
+    // Throws a SyntaxError for a filter that does not parse, keeping the current one.
+    setDisplayFilter (text) {
+        this.fluidParticleEngine.setDisplayFilter(text, compileDisplayFilter(text));
+    }
+
+    getDisplayFilter () {
+        return this.fluidParticleEngine.displayFilterText;
+    }
+
+    setFluidParameter (parameter, value) {
+        checkParameterValue(FLUID_PARAMETER_DESCRIPTORS, parameter, value, 'fluid');
+        this.fluidParticleEngine.setParameter(parameter, value);
+        this.signalParameterChanged(EngineType.FLUIDPARTICLE, parameter, value);
+    }
+
+    getFluidParameter (parameter) {
+        const descriptor = FLUID_PARAMETER_DESCRIPTORS[parameter];
+        if (descriptor === undefined) {
+            throw new RangeError(`Unknown fluid parameter: ${parameter}`);
+        }
+        return this.fluidParticleEngine.parameters[descriptor.key];
+    }
+
+    // Changing the grid size, vulnerability or initial infections rebuilds the grid
+    setGridParameter (parameter, value) {
+        checkParameterValue(GRID_PARAMETER_DESCRIPTORS, parameter, value, 'grid');
+        this.gridVirusEngine.setParameter(parameter, value);
+        this.signalParameterChanged(EngineType.GRIDVIRUS, parameter, value);
+    }
+
+    getGridParameter (parameter) {
+        const descriptor = GRID_PARAMETER_DESCRIPTORS[parameter];
+        if (descriptor === undefined) {
+            throw new RangeError(`Unknown grid parameter: ${parameter}`);
+        }
+        return this.gridVirusEngine.parameters[descriptor.key];
+    }
+
+    setInfectionModel (model) {
+        if (!Object.values(InfectionModel).includes(model)) {
+            throw new RangeError(`Unknown infection model: ${model}`);
+        }
+        this.gridVirusEngine.parameters.model = model;
+    }
+
+    setScanStrategy (strategy) {
+        if (!Object.values(ScanStrategy).includes(strategy)) {
+            throw new RangeError(`Unknown scan strategy: ${strategy}`);
+        }
+        this.gridVirusEngine.parameters.scanStrategy = strategy;
+    }
+
+    // GridSource.CAPTURE needs a loaded capture; either way the grid starts over
+    setGridSource (source) {
+        if (!Object.values(GridSource).includes(source)) {
+            throw new RangeError(`Unknown grid source: ${source}`);
+        }
+        if (source === GridSource.CAPTURE && this.gridVirusEngine.capture === null) {
+            throw new RangeError("No capture to replay on the grid");
+        }
+        this.gridVirusEngine.parameters.source = source;
+        this.gridVirusEngine.buildGrid();
+    }
+
+    getGridStats () {
+        return this.gridVirusEngine.getStats();
+    }
+
+    // {addresses, targetPort, infections} of the loaded capture, see inferInfections
+    getInferredInfections () {
+        return this.gridVirusEngine.capture;
+    }
+
+    // [{time, susceptible, infected, recovered}], time in simulated seconds
+    getInfectionCurve () {
+        return this.gridVirusEngine.curve;
+    }
+
+    setPlaybackSpeed (speed) {
+        this.fluidParticleEngine.setPlaybackSpeed(speed);
+        this.gridVirusEngine.setPlaybackSpeed(speed);
+    }
+
+    // The timeline drives whichever engine is showing, the fluid engine or the capture replay
+    // on the grid. Seeking both would double the work of every scrub for a view not on screen.
+    seek (time) {
+        this.getActiveEngine().seek(time);
+        this.render();
+    }
+
+    setLoopRegion (start, end) {
+        this.fluidParticleEngine.setLoopRegion(start, end);
+        this.gridVirusEngine.setLoopRegion(start, end);
+    }
+
+    clearLoopRegion () {
+        this.fluidParticleEngine.clearLoopRegion();
+        this.gridVirusEngine.clearLoopRegion();
+    }
+
+    getTimeline () {
+        const fluid = this.fluidParticleEngine;
+        const grid = this.gridVirusEngine;
+        const packets = fluid.inputPcap !== null ? fluid.inputPcap.packets : [];
+        const isGridReplay = this.activeEngine === EngineType.GRIDVIRUS && grid.parameters.source === GridSource.CAPTURE;
+        return {
+            currentTime: isGridReplay ? 1000 * grid.time : fluid.simulationTime,
+            duration: fluid.captureDuration,
+            playbackSpeed: fluid.playbackSpeed,
+            loopRegion: fluid.loopRegion,
+            // absolute time of the first packet, in nanoseconds
+            captureStart: packets.length > 0 ? packets[0].header.timestamp : undefined,
+        };
+    }
+
+    getPacketRateHistogram (binCount) {
+        return this.fluidParticleEngine.getPacketRateHistogram(binCount);
+    }
+
+    setServiceRateUnit (unit) {
+        this.fluidParticleEngine.setServiceRateUnit(unit);
+    }
+
+    getServerStats () {
+        return this.fluidParticleEngine.getServerStats();
+    }
+
+    setSizeScale (sizeScale) {
+        this.fluidParticleEngine.setSizeScale(sizeScale);
+    }
+
+    setColorRules (rules) {
+        this.fluidParticleEngine.setColorRules(rules);
+    }
+
+    getSourceRanking () {
+        return this.fluidParticleEngine.getSourceRanking();
+    }
+
+    // The particle under a point of the view, in normalized device coordinates (-1 to 1, y up),
+    // or null. Only the fluid engine has particles to pick.
+    pickParticle (x, y) {
+        if (this.activeEngine !== EngineType.FLUIDPARTICLE) {
+            return null;
+        }
+        // the camera is orthographic, so every ray runs straight down the z axis from where it starts
+        this.raycaster.setFromCamera(new THREE.Vector2(x, y), this.camera);
+        const origin = this.raycaster.ray.origin;
+        return this.fluidParticleEngine.particleAt(origin.x, origin.y);
+    }
+
+    // highlights `particle` until it leaves the simulation; null clears the selection
+    selectParticle (particle) {
+        this.fluidParticleEngine.selected = particle;
+        this.render();
+    }
+
+    getSelectedParticle () {
+        return this.fluidParticleEngine.selected;
+    }
+
     getActiveEngine () {
         switch (this.activeEngine) {
             case EngineType.FLUIDPARTICLE:
@@ -222,12 +566,49 @@ export class Engine extends EventTarget {
         }
     }
 
+    // Swaps the engine that is simulated and drawn. The other engine keeps its state, and
+    // carries on from where it was when it is switched back to.
+    setActiveEngine (engineType) {
+        if (!Object.values(EngineType).includes(engineType)) {
+            throw new RangeError(`Unknown engine: ${engineType}`);
+        }
+        if (engineType === this.activeEngine) {
+            return;
+        }
+
+        this.scene.remove(this.getActiveEngine().group);
+        this.activeEngine = engineType;
+        this.scene.add(this.getActiveEngine().group);
+        // time owed to the previous engine is not handed to the new one
+        this.accumulator = 0;
+
+        this.render();
+        this.signalEngineChanged();
+    }
+
     getSimulationPlayIcon () {
         return this.simulationStopped ? '▶' : '⏸';
     }
 
     simulationStep () {
-        this.getActiveEngine().simulationStep(this.deltaTime);
+        this.getActiveEngine().simulationStep(FIXED_TIMESTEP);
+        this.stepCount++;
+    }
+
+    // Runs as many fixed steps as the elapsed frame time covers. Given the same pcap, seed and
+    // parameters, the state after N steps is always the same regardless of the frame rate.
+    advance (deltaTime) {
+        this.accumulator += deltaTime;
+        let steps = 0;
+        while (this.accumulator >= FIXED_TIMESTEP && steps < MAX_SUBSTEPS) {
+            this.simulationStep();
+            this.accumulator -= FIXED_TIMESTEP;
+            steps++;
+        }
+        if (this.accumulator >= FIXED_TIMESTEP) {
+            this.accumulator = 0;
+        }
+        return steps;
     }
 
     simulation (currentTime) {
@@ -240,7 +621,7 @@ export class Engine extends EventTarget {
             return;
         }
 
-        this.simulationStep();
+        this.advance(this.deltaTime);
         this.render();
 
         requestAnimationFrame(this.simulation);
@@ -249,20 +630,48 @@ export class Engine extends EventTarget {
     }
 
     render () {
+        this.getActiveEngine().updateScene();
         this.renderer.render(this.scene, this.camera);
     }
 
     restart () {
-        this.scene.clear();
+        this.getActiveEngine().group.clear();
+        this.accumulator = 0;
+        this.stepCount = 0;
         this.getActiveEngine().restart();
     }
 
+    // Seeds every random choice the simulation makes and restarts it, so the run can be replayed
+    setRandomSeed (seed) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+            throw new RangeError(`Random seed must be an integer between 0 and ${0xffffffff}, got ${seed}`);
+        }
+        this.fluidParticleEngine.setRandomSeed(seed);
+        this.gridVirusEngine.setRandomSeed(seed);
+        this.restart();
+    }
+
+    getRandomSeed () {
+        return this.fluidParticleEngine.randomSeed;
+    }
+
     signalFrameRendered () {
         queueMicrotask(() => {
             this.dispatchEvent(new CustomEvent('frameRendered', {
                 detail: {
                     time: this.lastTime,
                     fps: 1 / this.deltaTime,
+                    step: this.stepCount,
+                }
+            }));
+        });
+    }
+
+    signalEngineChanged () {
+        queueMicrotask(() => {
+            this.dispatchEvent(new CustomEvent('engineChanged', {
+                detail: {
+                    engine: this.activeEngine,
                 }
             }));
         });
@@ -278,127 +687,416 @@ export class Engine extends EventTarget {
         });
     }
 
+    signalPcapProgress (progress) {
+        queueMicrotask(() => {
+            this.dispatchEvent(new CustomEvent('pcapProgress', {
+                detail: {
+                    bytesRead: progress.bytesRead,
+                    totalBytes: progress.totalBytes,
+                    packetCount: progress.packetCount,
+                }
+            }));
+        });
+    }
+
+    signalPcapLoaded (result) {
+        queueMicrotask(() => {
+            this.dispatchEvent(new CustomEvent('pcapLoaded', {
+                detail: {
+                    packetCount: result.packetCount,
+                    // true when parsing was cancelled and only the packets read so far are loaded
+                    cancelled: result.cancelled === true,
+                    trailingBytes: result.trailingBytes,
+                    report: result.report,
+                    reassembly: this.getTrafficSummary(),
+                    infections: this.getInferredInfections(),
+                }
+            }));
+        });
+    }
+
+    signalPcapLoadCancelled () {
+        queueMicrotask(() => {
+            this.dispatchEvent(new CustomEvent('pcapLoadCancelled'));
+        });
+    }
+
+    signalParameterChanged (engineType, parameter, value) {
+        const descriptors = engineType === EngineType.GRIDVIRUS ? GRID_PARAMETER_DESCRIPTORS : FLUID_PARAMETER_DESCRIPTORS;
+        queueMicrotask(() => {
+            this.dispatchEvent(new CustomEvent('parameterChanged', {
+                detail: {
+                    engine: engineType,
+                    parameter: parameter,
+                    key: descriptors[parameter].key,
+                    value: value,
+                }
+            }));
+        });
+    }
+
+    signalPcapLoadFailed (message) {
+        queueMicrotask(() => {
+            this.dispatchEvent(new CustomEvent('pcapLoadFailed', {
+                detail: {
+                    message: message,
+                }
+            }));
+        });
+    }
+
     newFluidParticleEngine () {
         const engine = this;
 
         const DELAY = 1000;
 
-        const MAX_PARTICLES = 100;
+        const MAX_PARTICLES = 10000;
+        const PARTICLE_BUDGET = 2000;
         const GRAVITY = 0.98;
         const COLLISION_TOLERANCE = 0.0001;
         const COEFFICIENT_OF_RESTITUTION = 0.5;
         const LINEAR_DRAG = 0.25;
         const PARTICLE_MASS = 1;
 
+        const SERVICE_RATE = 50;
+        const BACKLOG_LIMIT = 30;
+        const PACKET_TTL = 10000;
+        // how long a dropped particle stays on screen
+        const DROP_LINGER = 600;
+
+        const MIN_PLAYBACK_SPEED = 0.01;
+        const MAX_PLAYBACK_SPEED = 100;
+
+        // a checkpoint every this many steps bounds what a seek has to simulate; past
+        // MAX_CHECKPOINTS every other one goes and the rest are spaced twice as far apart
+        const CHECKPOINT_STEPS = 120;
+        const MAX_CHECKPOINTS = 32;
+
+        // smallest TCP/IP packet to a full Ethernet frame; bigger flows are clamped
+        const MIN_PACKET_SIZE = 40;
+        const MAX_PACKET_SIZE = 1514;
+        const MIN_SIZE_SCALE = 0.5;
+        const MAX_SIZE_SCALE = 2;
+        const SIZE_BUCKETS = [128, 512, 1024];
+
         const PILLARS_HEIGHT = 0.25;
+        const CURVE_SEGMENTS = 50;
         const PARTICLE_RADIUS_MULTIPLIER = 0.01;
 
-        const PARTICLE_GEOMETRY = new THREE.CircleGeometry(PARTICLE_RADIUS_MULTIPLIER, 16);
-        const PARTICLE_MATERIAL = new THREE.MeshBasicMaterial({ color: 0x00bbbb });
+        // sources sit in a row below the top edge, their area proportional to the bytes sent
+        const SOURCE_MARGIN = 0.06;
+        const SOURCE_MIN_RADIUS = 0.004;
+        const SOURCE_MAX_RADIUS = 0.04;
+        // instances the source mesh starts with; it doubles as sources are added
+        const SOURCE_MESH_CAPACITY = 64;
+
+        // every particle is an instance of this unit circle, scaled to its radius
+        const PARTICLE_GEOMETRY = new THREE.CircleGeometry(1, 16);
+        // white, so the per-instance colors show through unchanged
+        const PARTICLE_MATERIAL = new THREE.MeshBasicMaterial({ color: 0xffffff });
         const CURVE_MATERIAL = new THREE.LineBasicMaterial({ color: 0x000000 });
+        // rule colors are kept for waiting particles; the other states restyle them. Instances
+        // share one opaque material, so opacity is faked by fading toward the white background
+        const STATE_STYLES = {
+            [ParticleState.WAITING]: { opacity: 1 },
+            [ParticleState.QUEUED]: { opacity: 0.5 },
+            [ParticleState.PROCESSING]: { color: "#000000", opacity: 1 },
+            [ParticleState.DROPPED]: { color: "#999999", opacity: 0.35 },
+        };
+        const BACKGROUND_COLOR = new THREE.Color(0xffffff);
+        const SOURCE_GEOMETRY = new THREE.CircleGeometry(1, 24);
+        const SOURCE_MATERIAL = new THREE.MeshBasicMaterial({ color: 0x888888 });
+        // a ring around the particle open in the packet inspector, scaled to its radius
+        const SELECTION_GEOMETRY = new THREE.RingGeometry(1.4, 2, 24);
+        const SELECTION_MATERIAL = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+
+        // Accessors shared by every particle handle through the prototype, so the handles all
+        // keep one hidden class and the physics loop stays fast
+        const PARTICLE_PROTOTYPE = {
+            get Vx () {
+                return this.buffer.vx[this.index];
+            },
+            set Vx (value) {
+                this.buffer.vx[this.index] = value;
+            },
+            get Vy () {
+                return this.buffer.vy[this.index];
+            },
+            set Vy (value) {
+                this.buffer.vy[this.index] = value;
+            },
+            get mass () {
+                return this.buffer.mass[this.index];
+            },
+            set mass (value) {
+                this.buffer.mass[this.index] = value;
+            },
 
-        const particle = function (x, y, particleGeometry = PARTICLE_GEOMETRY, particleMaterial = PARTICLE_MATERIAL) {
-            const particleMesh = new THREE.Mesh(particleGeometry, particleMaterial);
-            particleMesh.position.x = x;
-            particleMesh.position.y = y;
-            particleMesh.position.z = -1;
+            isInMovement: function () {
+                return this.Vx != 0 || this.Vy != 0;
+            },
 
-            return {
-                // Particle mesh
-                mesh: particleMesh,
+            position: function () {
+                return this.positionView;
+            },
+
+            radius: function () {
+                return this.buffer.radius[this.index];
+            }
+        };
+
+        // a live view of a particle's slot, so position().x = ... writes through to the buffer
+        const POSITION_PROTOTYPE = {
+            get x () {
+                return this.particle.buffer.x[this.particle.index];
+            },
+            set x (value) {
+                this.particle.buffer.x[this.particle.index] = value;
+            },
+            get y () {
+                return this.particle.buffer.y[this.particle.index];
+            },
+            set y (value) {
+                this.particle.buffer.y[this.particle.index] = value;
+            },
+            set (x, y) {
+                this.x = x;
+                this.y = y;
+                return this;
+            }
+        };
 
-                // Particle velocity
-                Vx: 0,
-                Vy: 0,
+        // A handle on a particle's slot in the buffer, carrying what the particle stands for.
+        // Position, velocity, radius and mass live in the buffer's typed arrays.
+        const particle = function (buffer, x, y) {
+            const handle = Object.assign(Object.create(PARTICLE_PROTOTYPE), {
+                buffer: buffer,
+                index: -1,
+                positionView: Object.create(POSITION_PROTOTYPE),
+
+                // what the particle stands for: a packet's IP layer, or a whole TCP flow
+                payload: undefined,
+                // the parsed capture record of the packet, or of the flow's first client packet
+                frame: undefined,
+                flow: undefined,
+                // e.g. "DNS ANY query", see classifyApplication
+                application: undefined,
+                applicationProtocol: undefined,
+                invalidChecksum: false,
+                // more than one when packets are aggregated, bytes is then their total
+                packets: 1,
+                bytes: 0,
+
+                state: ParticleState.WAITING,
+                // on-screen milliseconds, which playback speed does not stretch
+                age: 0,
+                droppedAge: Infinity
+            });
+            handle.positionView.particle = handle;
+
+            buffer.add(handle, x, y);
+            buffer.radius[handle.index] = PARTICLE_RADIUS_MULTIPLIER;
+            buffer.mass[handle.index] = PARTICLE_MASS;
+            return handle;
+        };
 
-                // when the server starts processing the "particle"
-                startProcessingTime: Infinity,
+        // what a handle carries besides its slot, copied into checkpoints
+        const PARTICLE_FIELDS = ["payload", "frame", "flow", "application", "applicationProtocol", "invalidChecksum", "packets", "bytes", "state", "age", "droppedAge"];
 
-                // Check collision to another particle
-                checkCollision: function (p) {
-                    const c1 = this.position();
-                    const c2 = p.position();
-                    const r = this.radius() + p.radius();
-                    const d = new THREE.Vector2(c1.x - c2.x, c1.y - c2.y);
-                    const s = d.length() - r;
-                    const normal = d.normalize();
+        // several packets from one source travelling as a single particle
+        const mergeSpawnItems = function (items) {
+            return {
+                ...items[0],
+                packets: items.reduce((total, item) => total + item.packets, 0),
+                bytes: items.reduce((total, item) => total + item.bytes, 0),
+                invalidChecksum: items.some(item => item.invalidChecksum)
+            };
+        };
 
-                    const relativeVelocity = new THREE.Vector2(this.Vx - p.Vx, this.Vy - p.Vy);
-                    const vrn = relativeVelocity.dot(normal);
+        // where the idx-th source goes along the top, as a fraction of the width. Each one halves
+        // the widest gap left (1/2, 1/4, 3/4, 1/8, ...), so adding a source never moves the others
+        const sourceSlot = function (idx) {
+            let fraction = 0;
+            let bit = 0.5;
+            for (let n = idx + 1; n > 0; n >>>= 1) {
+                if (n & 1) {
+                    fraction += bit;
+                }
+                bit /= 2;
+            }
+            return fraction;
+        };
 
-                    if ( (Math.abs(s) <= COLLISION_TOLERANCE) && (vrn < 0.0) ) {
-                        return {
-                            collision: CollisionType.COLLISION,
-                            normal: normal,
-                            relativeVelocity: relativeVelocity,
-                            collisionPoint: normal.multiplyScalar(this.radius() + p.radius())
-                        }
-                    } else if (s < -COLLISION_TOLERANCE) {
-                        return {
-                            collision: CollisionType.INTERPENETRATING,
-                            normal: normal,
-                            relativeVelocity: relativeVelocity,
-                            collisionPoint: normal.multiplyScalar(this.radius() + p.radius())
+        const particleSource = function (x, y, spawnQueue=[], key=undefined) {
+            const source = {
+                x: x,
+                y: y,
+                // source address or prefix
+                key: key,
+                packets: 0,
+                bytes: 0,
+                spawnQueue: [],
+                // everything before this index has been spawned
+                next: 0,
+
+                // packets arrive in batches while the capture is still being parsed
+                enqueue: function (items) {
+                    const start = this.spawnQueue.length;
+                    for (let item of items) {
+                        this.packets += item.packets;
+                        this.bytes += item.bytes;
+                        this.spawnQueue.push({
+                            time: item.milliseconds,
+                            frame: item.frame,
+                            payload: item.payload,
+                            packets: item.packets,
+                            bytes: item.bytes,
+                            flow: item.flow,
+                            invalidChecksum: item.invalidChecksum,
+                            application: item.application,
+                            applicationProtocol: item.applicationProtocol,
+                            spawned: false
+                        });
+                    }
+                    for (let i = Math.max(start, 1); i < this.spawnQueue.length; i++) {
+                        if (this.spawnQueue[i - 1].time > this.spawnQueue[i].time) {
+                            this.spawnQueue.sort((a, b) => a.time - b.time);
+                            this.rewind();
+                            break;
                         }
-                    } else {
-                        return {
-                            collision: CollisionType.NO_COLLISION,
-                            normal: normal,
-                            relativeVelocity: relativeVelocity,
-                            collisionPoint: normal.multiplyScalar(this.radius() + p.radius())
+                    }
+                },
+
+                // marks the packets sent before `time` as spawned
+                rewind: function (time = undefined) {
+                    if (time !== undefined) {
+                        for (let item of this.spawnQueue) {
+                            item.spawned = item.time < time;
                         }
                     }
+                    const next = this.spawnQueue.findIndex(item => !item.spawned);
+                    this.next = next === -1 ? this.spawnQueue.length : next;
                 },
 
-                isInMovement: function () {
-                    return this.Vx != 0 || this.Vy != 0;
+                // moves the cursor to where a checkpoint left it, either way
+                resume: function (next) {
+                    for (let i = Math.min(next, this.next); i < Math.max(next, this.next); i++) {
+                        this.spawnQueue[i].spawned = i < next;
+                    }
+                    this.next = next;
                 },
 
-                position: function () {
-                    return this.mesh.position;
+                countDue: function (time) {
+                    let due = 0;
+                    while (this.next + due < this.spawnQueue.length && this.spawnQueue[this.next + due].time <= time) {
+                        due++;
+                    }
+                    return due;
                 },
 
-                radius: function () {
-                    return this.mesh.geometry.parameters.radius;
+                // up to `limit` packets due by `time`, marked as spawned
+                takeDue: function (time, limit) {
+                    let items = [];
+                    while (items.length < limit && this.next < this.spawnQueue.length && this.spawnQueue[this.next].time <= time) {
+                        const item = this.spawnQueue[this.next++];
+                        item.spawned = true;
+                        items.push(item);
+                    }
+                    return items;
                 }
-            }
-        };
-
-        const particleSource = function (x, y, spawnQueue=[]) {
-            return {
-                x: x,
-                y: y,
-                spawnQueue: spawnQueue.map(item => ({
-                    time: item.milliseconds,
-                    payload: item.payload,
-                    spawned: false
-                })).sort((a, b) => a.time - b.time),
             };
+            source.enqueue(spawnQueue);
+            return source;
         };
 
         return {
-            particles: [],
+            // everything this engine draws; only the active engine's group is in the scene
+            group: new THREE.Group(),
+            buffer: new ParticleBuffer(),
+            // drawn as instances of a single mesh, see updateScene
+            particleMesh: null,
             particleSources: [],
-            quadtree: null,
+            sourcesByKey: new Map(),
+            // all sources, drawn as instances of a single mesh, see updateScene
+            sourceMesh: null,
+            // set when sources are added or grow, so updateScene rewrites their instances
+            sourcesChanged: false,
+            grid: new SpatialGrid(),
+            // reused by every neighbour query
+            nearby: [],
+            colorRules: compileColorRules(DEFAULT_COLOR_RULES),
+            // instance colors by rule color and state
+            colors: new Map(),
             parameters: {
                 particleRadius: PARTICLE_RADIUS_MULTIPLIER,
                 serverCapacity: 0.5,
                 maxParticles: MAX_PARTICLES,
-                serverSpeed: Infinity
+                particleBudget: PARTICLE_BUDGET,
+                serviceRate: SERVICE_RATE,
+                serviceRateUnit: ServiceRateUnit.PACKETS,
+                backlogLimit: BACKLOG_LIMIT,
+                packetTTL: PACKET_TTL,
+                gravity: GRAVITY,
+                restitution: COEFFICIENT_OF_RESTITUTION,
+                drag: LINEAR_DRAG,
+                sizeScale: SizeScale.LOGARITHMIC,
+                groupFlows: false,
+                sourceGrouping: SourceGrouping.ADDRESS
             },
-            particleGeometry: PARTICLE_GEOMETRY,
-            particleMaterial: PARTICLE_MATERIAL,
             serverRepresentation: {
                 material: CURVE_MATERIAL,
                 curve1: null,
                 curve2: null,
+                // the curves as polylines, which is what particles collide with
+                points1: null,
+                points2: null,
                 curveMesh1: null,
                 curveMesh2: null,
                 lineMesh1: null,
                 lineMesh2: null
             },
+            server: {
+                // in arrival order; the head is the one being processed
+                queue: [],
+                // packets in the queue, aggregated particles counting for several
+                queuedPackets: 0,
+                // service not yet spent on a whole packet
+                credit: 0,
+                processed: 0,
+                droppedBacklog: 0,
+                droppedTTL: 0
+            },
             inputPcap: null,
+            reassembly: null,
+            // which packets become particles, null for all of them
+            displayFilter: null,
+            displayFilterText: "",
+            // capture milliseconds since the first packet
             simulationTime: 0,
+            // the capture clock runs this many times faster than the physics
+            playbackSpeed: 1,
+            captureDuration: 0,
+            // {start, end} in capture milliseconds, replayed over and over
+            loopRegion: null,
+            // states saved while playing, oldest first, for seeks to start from
+            checkpoints: [],
+            // capture milliseconds from one checkpoint to the next
+            checkpointSpacing: 0,
+            // the state at the loop region's start, which every wrap goes back to
+            loopCheckpoint: null,
+            randomSeed: DEFAULT_RANDOM_SEED,
+            // reset with every restart or seek so a replay draws the same numbers
+            random: createRandom(DEFAULT_RANDOM_SEED),
+            // packets per particle in the latest spawn, above one when over the particle budget
+            aggregation: 1,
+            // the particle open in the packet inspector; its index turns -1 once it is gone
+            selected: null,
+            selectionMesh: new THREE.Mesh(SELECTION_GEOMETRY, SELECTION_MATERIAL),
+
+            // the live particles, in buffer order
+            get particles () {
+                return this.buffer.handles;
+            },
 
             init: function () {
                 this.restart();
@@ -408,101 +1106,733 @@ export class Engine extends EventTarget {
                 this.particleSources.push(source);
             },
 
-            buildQuadTree: function () {
+            buildSpatialIndex: function () {
                 const boundary = {
-                    x: engine.camera.left,
-                    y: engine.camera.bottom,
-                    width: engine.camera.right - engine.camera.left,
-                    height: engine.camera.top - engine.camera.bottom
+                    x: engine.bounds.left,
+                    y: engine.bounds.bottom,
+                    width: engine.bounds.right - engine.bounds.left,
+                    height: engine.bounds.top - engine.bounds.bottom
                 };
+                // as wide as the largest particle, so a neighbour query spans a few cells at most
+                const cellSize = this.parameters.particleRadius * MAX_SIZE_SCALE * 2;
+                const handles = this.buffer.handles;
+                this.grid.build(boundary, cellSize, this.buffer.x, this.buffer.y, this.buffer.count, (i) => {
+                    return handles[i].state !== ParticleState.DROPPED;
+                });
+            },
 
-                this.quadtree = new Quadtree(boundary, 4);
-
-                for (let p of this.particles) {
-                    this.quadtree.insert(p);
-                }
+            // slots of the particles close enough to touch the one in slot i
+            getNearbyParticles: function (i) {
+                const buffer = this.buffer;
+                // far enough to touch the largest neighbour
+                const searchRadius = buffer.radius[i] + this.parameters.particleRadius * MAX_SIZE_SCALE + COLLISION_TOLERANCE;
+
+                this.nearby.length = 0;
+                return this.grid.queryBox(
+                    buffer.x[i] - searchRadius,
+                    buffer.y[i] - searchRadius,
+                    buffer.x[i] + searchRadius,
+                    buffer.y[i] + searchRadius,
+                    this.nearby
+                );
             },
 
-            getNearbyParticles: function (p) {
-                const searchRadius = p.radius() * 4;
+            loadPcap(pcapFile) {
+                this.beginPcap(pcapFile.globalHeader);
+                this.appendPackets(pcapFile.packets);
+                this.inputPcap.report = pcapFile.report;
+                this.analyseTraffic();
+            },
 
-                const range = {
-                    x: p.position().x - searchRadius,
-                    y: p.position().y - searchRadius,
-                    width: searchRadius * 2,
-                    height: searchRadius * 2
+            beginPcap(globalHeader) {
+                this.inputPcap = {
+                    globalHeader: globalHeader,
+                    packets: [],
+                    report: null
                 };
-
-                return this.quadtree.query(range);
+                this.reassembly = null;
+                this.captureDuration = 0;
+                this.loopRegion = null;
+                this.clearCheckpoints();
+                this.clearSources();
             },
 
-            loadPcap(pcapFile) {
-                this.inputPcap = pcapFile;
-                // TODO: Case for non-ethernet frame
-                const packets = pcapFile.packets.filter(element => {
-                    return element.packet.payload !== undefined;
-                });
-                // let sourceIPs = new Set();
-                // let destIPs = new Set();
-
-                const baseMilliseconds = packets[0].header.tsSec * 1000 + packets[0].header.tsUsec;
-                const convertIntoMillisecondsFromStart = function (tsSec, tsUsec) {
-                    return (tsSec * 1000 + tsUsec) - baseMilliseconds;
+            appendPackets(packets) {
+                for (let p of packets) {
+                    this.inputPcap.packets.push(p);
+                    this.captureDuration = Math.max(this.captureDuration, p.header.relativeTime);
                 }
+                // the new packets may be due before the latest checkpoints
+                this.clearCheckpoints();
+                this.distributeSpawnItems(this.packetSpawnItems(packets));
+            },
 
-                const spawnQueue = packets.map((element) => {
+            packetSpawnItems(packets) {
+                return packets.filter(element => {
+                    return element.packet !== undefined && element.packet.payload !== undefined && this.matchesDisplayFilter(element);
+                }).map((element) => {
+                    const application = getApplicationLayer(element);
                     return {
-                        milliseconds: convertIntoMillisecondsFromStart(element.header.tsSec, element.header.tsUsec),
-                        payload: element.packet.payload
+                        milliseconds: element.header.relativeTime,
+                        frame: element,
+                        payload: element.packet.payload,
+                        sourceKey: getSourceKey(element.packet.payload, this.parameters.sourceGrouping),
+                        packets: 1,
+                        bytes: element.header.origLen,
+                        invalidChecksum: element.invalidChecksum,
+                        application: classifyApplication(application),
+                        applicationProtocol: application !== undefined ? application.protocol : undefined
                     }
                 });
-                this.particleSources = [];
-                this.addSource(particleSource(0, 0, spawnQueue));
-                
             },
 
-            spawnParticle (source) {
-                const posx = source.x + Math.random() * 0.01;
-                const posy = source.y + Math.random() * 0.01;
-                const p = particle(posx, posy)
-                this.particles.push(p);
-                engine.scene.add(p.mesh);
+            matchesDisplayFilter(element) {
+                return this.displayFilter === null || this.displayFilter(element);
             },
 
-            removeParticle (particle) {
-                const idx = this.particles.indexOf(particle);
-                if (idx > -1) {
-                    this.particles.splice(idx, 1);
-                    engine.scene.remove(particle.mesh);
-                }
+            clearSources() {
+                this.particleSources = [];
+                this.sourcesByKey = new Map();
+                this.sourcesChanged = true;
             },
 
-            restart: function () {
+            // hands each item to the source it came from, creating sources as new senders show up
+            distributeSpawnItems(items) {
+                let batches = new Map();
+                for (let item of items) {
+                    if (!batches.has(item.sourceKey)) {
+                        batches.set(item.sourceKey, []);
+                    }
+                    batches.get(item.sourceKey).push(item);
+                }
+
+                for (let [key, batch] of batches) {
+                    let source = this.sourcesByKey.get(key);
+                    if (source === undefined) {
+                        source = particleSource(0, 0, [], key);
+                        this.sourcesByKey.set(key, source);
+                        this.layoutSource(source, this.particleSources.length);
+                        this.addSource(source);
+                    }
+                    source.enqueue(batch);
+                }
+                // sizes are relative to the busiest source, so they are worked out when drawing
+                this.sourcesChanged = true;
+                this.renderSources();
+            },
+
+            // places the idx-th source along the top
+            layoutSource(source, idx) {
+                source.x = engine.bounds.left + sourceSlot(idx) * (engine.bounds.right - engine.bounds.left);
+                source.y = engine.bounds.top - SOURCE_MARGIN;
+            },
+
+            // one instance per source, replaced when the sources outgrow it
+            renderSources() {
+                const count = this.particleSources.length;
+                if (this.sourceMesh === null || this.sourceMesh.instanceMatrix.count < count) {
+                    if (this.sourceMesh !== null) {
+                        this.group.remove(this.sourceMesh);
+                        this.sourceMesh.dispose();
+                    }
+                    const capacity = Math.max(SOURCE_MESH_CAPACITY, 2 ** Math.ceil(Math.log2(count)));
+                    this.sourceMesh = new THREE.InstancedMesh(SOURCE_GEOMETRY, SOURCE_MATERIAL, capacity);
+                    this.sourceMesh.frustumCulled = false;
+                    this.sourceMesh.count = 0;
+                    this.sourcesChanged = true;
+                }
+                this.group.remove(this.sourceMesh);
+                this.group.add(this.sourceMesh);
+            },
+
+            // the busiest sources first, as [{key, packets, bytes}]
+            getSourceRanking() {
+                return this.particleSources
+                    .map(source => ({ key: source.key, packets: source.packets, bytes: source.bytes }))
+                    .sort((a, b) => b.bytes - a.bytes);
+            },
+
+            // needs the whole capture, so it runs once loading is done
+            analyseTraffic() {
+                const packets = this.inputPcap.packets;
+                const fragments = reassembleIPFragments(packets);
+                this.reassembly = {
+                    fragments: fragments,
+                    flows: buildTCPFlows(packets, fragments)
+                };
+                if (this.parameters.groupFlows) {
+                    this.rebuildSpawnQueue();
+                }
+            },
+
+            rebuildSpawnQueue() {
+                const packets = this.inputPcap.packets;
+                let spawnQueue;
+
+                if (this.parameters.groupFlows && this.reassembly !== null) {
+                    // each TCP flow spawns a single particle when it opens, if any of its packets
+                    // pass the display filter
+                    let inFlow = new Set();
+                    const flows = this.reassembly.flows.filter(flow => flow.packetIndices.some(idx => this.matchesDisplayFilter(packets[idx])));
+                    for (let flow of this.reassembly.flows) {
+                        for (let idx of flow.packetIndices) {
+                            inFlow.add(idx);
+                        }
+                    }
+                    spawnQueue = flows.map(flow => {
+                        // the flow belongs to its client's source
+                        const clientIP = flow.client.slice(0, flow.client.lastIndexOf(':'));
+                        const clientIdx = flow.packetIndices.find(idx => packets[idx].packet.payload.header.sourceIP.string === clientIP);
+                        const frame = packets[clientIdx !== undefined ? clientIdx : flow.packetIndices[0]];
+                        const payload = frame.packet.payload;
+                        const application = flow.packetIndices.map(idx => getApplicationLayer(packets[idx])).find(layer => layer !== undefined);
+                        return {
+                            milliseconds: flow.startTime,
+                            frame: frame,
+                            payload: payload,
+                            sourceKey: getSourceKey(payload, this.parameters.sourceGrouping),
+                            packets: flow.packetIndices.length,
+                            bytes: flow.packetIndices.reduce((total, idx) => total + packets[idx].header.origLen, 0),
+                            flow: flow,
+                            invalidChecksum: flow.packetIndices.some(idx => packets[idx].invalidChecksum),
+                            application: classifyApplication(application),
+                            applicationProtocol: application !== undefined ? application.protocol : undefined
+                        };
+                    });
+                    spawnQueue.push(...this.packetSpawnItems(packets.filter((element, idx) => !inFlow.has(idx))));
+                } else {
+                    spawnQueue = this.packetSpawnItems(packets);
+                }
+
+                this.clearSources();
+                this.distributeSpawnItems(spawnQueue);
+            },
+
+            setFlowGrouping(enabled) {
+                this.parameters.groupFlows = enabled;
+                if (this.inputPcap === null) {
+                    return;
+                }
+                this.rebuildSpawnQueue();
+                this.restart();
+            },
+
+            setSourceGrouping(grouping) {
+                this.parameters.sourceGrouping = grouping;
+                if (this.inputPcap === null) {
+                    return;
+                }
+                this.rebuildSpawnQueue();
+                this.restart();
+            },
+
+            setDisplayFilter(text, filter) {
+                this.displayFilterText = text;
+                this.displayFilter = filter;
+                if (this.inputPcap === null) {
+                    return;
+                }
+                this.rebuildSpawnQueue();
+                this.restart();
+            },
+
+            // Spawns whatever the sources have due, within the particle budget for this step. When
+            // more is due than that, consecutive packets of a source share a particle and the
+            // budget goes to the sources that have waited longest; the others keep their packets
+            // for a later step.
+            spawnDueItems (deltaTime) {
+                const now = this.simulationTime;
+                let waiting = [];
+                let due = 0;
+                for (let source of this.particleSources) {
+                    const count = source.countDue(now);
+                    if (count > 0) {
+                        waiting.push(source);
+                        due += count;
+                    }
+                }
+                if (due === 0) {
+                    return;
+                }
+                const budget = this.parameters.particleBudget * deltaTime;
+                // at least one a step, or a budget below the step rate would spawn nothing
+                let slots = due > budget ? Math.max(Math.floor(budget), 1) : due;
+                this.aggregation = Math.ceil(due / slots);
+
+                waiting.sort((a, b) => a.spawnQueue[a.next].time - b.spawnQueue[b.next].time);
+                for (let source of waiting) {
+                    // at the cap, packets wait until the server frees some room
+                    while (slots > 0 && this.buffer.count < this.parameters.maxParticles) {
+                        const items = source.takeDue(now, this.aggregation);
+                        if (items.length === 0) {
+                            break;
+                        }
+                        this.spawnParticle(source, items.length === 1 ? items[0] : mergeSpawnItems(items));
+                        slots--;
+                    }
+                }
+            },
+
+            spawnParticle (source, item) {
+                const posx = source.x + this.random() * 0.01;
+                const posy = source.y + this.random() * 0.01;
+                const p = particle(this.buffer, posx, posy);
+                p.frame = item.frame;
+                p.payload = item.payload;
+                p.flow = item.flow;
+                p.application = item.application;
+                p.applicationProtocol = item.applicationProtocol;
+                p.invalidChecksum = item.invalidChecksum;
+                p.packets = item.packets;
+                p.bytes = item.bytes;
+                this.applyPacketSize(p);
+                this.applyParticleColor(p);
+                return p;
+            },
+
+            // 0 for the smallest packet, 1 for a full frame
+            getRelativeSize (bytes) {
+                const clamped = Math.min(Math.max(bytes, MIN_PACKET_SIZE), MAX_PACKET_SIZE);
+                switch (this.parameters.sizeScale) {
+                    case SizeScale.LINEAR:
+                        return (clamped - MIN_PACKET_SIZE) / (MAX_PACKET_SIZE - MIN_PACKET_SIZE);
+                    case SizeScale.LOGARITHMIC:
+                        return Math.log(clamped / MIN_PACKET_SIZE) / Math.log(MAX_PACKET_SIZE / MIN_PACKET_SIZE);
+                    case SizeScale.BUCKETED: {
+                        const bucket = SIZE_BUCKETS.findIndex(limit => clamped <= limit);
+                        return (bucket === -1 ? SIZE_BUCKETS.length : bucket) / SIZE_BUCKETS.length;
+                    }
+                }
+            },
+
+            // aggregated particles are sized by their average packet
+            applyPacketSize (p) {
+                const sizeScale = MIN_SIZE_SCALE + (MAX_SIZE_SCALE - MIN_SIZE_SCALE) * this.getRelativeSize(p.bytes / p.packets);
+                this.buffer.radius[p.index] = sizeScale * this.parameters.particleRadius;
+                p.mass = PARTICLE_MASS * sizeScale * sizeScale;
+            },
+
+            setParameter (parameter, value) {
+                this.parameters[FLUID_PARAMETER_DESCRIPTORS[parameter].key] = value;
+                this.clearCheckpoints();
+
+                switch (parameter) {
+                    case FluidParameter.SERVER_CAPACITY:
+                        // the old meshes have to go before refreshServerCapacity replaces them
+                        this.group.remove(
+                            this.serverRepresentation.curveMesh1,
+                            this.serverRepresentation.curveMesh2,
+                            this.serverRepresentation.lineMesh1,
+                            this.serverRepresentation.lineMesh2
+                        );
+                        this.refreshServerCapacity();
+                        this.renderServerRepresentation();
+                        break;
+                    case FluidParameter.PARTICLE_RADIUS:
+                        for (let p of this.particles) {
+                            this.applyPacketSize(p);
+                        }
+                        break;
+                }
+            },
+
+            setSizeScale (sizeScale) {
+                this.parameters.sizeScale = sizeScale;
+                this.clearCheckpoints();
                 for (let p of this.particles) {
-                    engine.scene.remove(p.mesh);
+                    this.applyPacketSize(p);
                 }
-                this.particles = [];
+            },
+
+            getParticleColor (subject) {
+                const state = subject.state !== undefined ? subject.state : ParticleState.WAITING;
+                const style = STATE_STYLES[state];
+                const color = style.color !== undefined ? style.color : getColorFor(this.colorRules, subject);
+
+                const key = `${color}|${state}`;
+                if (!this.colors.has(key)) {
+                    this.colors.set(key, new THREE.Color(color).lerp(BACKGROUND_COLOR, 1 - style.opacity));
+                }
+                return this.colors.get(key);
+            },
+
+            applyParticleColor (p) {
+                this.getParticleColor(p).toArray(this.buffer.color, p.index * 3);
+            },
+
+            setParticleState (p, state) {
+                p.state = state;
+                this.applyParticleColor(p);
+            },
+
+            setServiceRateUnit (unit) {
+                this.parameters.serviceRateUnit = unit;
+                this.server.credit = 0;
+                this.clearCheckpoints();
+            },
+
+            admitToServer (p) {
+                const queue = this.server.queue;
+                if (this.server.queuedPackets + p.packets > this.parameters.backlogLimit) {
+                    this.dropParticle(p, DropReason.BACKLOG);
+                    return;
+                }
+                queue.push(p);
+                this.server.queuedPackets += p.packets;
+                this.setParticleState(p, queue.length === 1 ? ParticleState.PROCESSING : ParticleState.QUEUED);
+            },
+
+            dropParticle (p, reason) {
+                if (reason === DropReason.BACKLOG) {
+                    this.server.droppedBacklog += p.packets;
+                } else {
+                    this.server.droppedTTL += p.packets;
+                }
+                p.droppedAge = p.age;
+                this.setParticleState(p, ParticleState.DROPPED);
+            },
+
+            // Works through the queue at the service rate. Unused service is only carried
+            // over while packets are waiting, an idle server does not bank it.
+            serveQueue (deltaTime) {
+                const queue = this.server.queue;
+                const cost = (p) => this.parameters.serviceRateUnit === ServiceRateUnit.BYTES ? p.bytes : p.packets;
+
+                this.server.credit += this.parameters.serviceRate * deltaTime;
+                while (queue.length > 0 && this.server.credit >= cost(queue[0])) {
+                    const done = queue.shift();
+                    this.server.credit -= cost(done);
+                    this.server.processed += done.packets;
+                    this.server.queuedPackets -= done.packets;
+                    this.removeParticle(done);
+                }
+
+                if (queue.length === 0) {
+                    this.server.credit = 0;
+                } else if (queue[0].state !== ParticleState.PROCESSING) {
+                    this.setParticleState(queue[0], ParticleState.PROCESSING);
+                }
+            },
+
+            getServerStats () {
+                return {
+                    queued: this.server.queuedPackets,
+                    processed: this.server.processed,
+                    droppedBacklog: this.server.droppedBacklog,
+                    droppedTTL: this.server.droppedTTL,
+                    dropped: this.server.droppedBacklog + this.server.droppedTTL,
+                    particles: this.buffer.count,
+                    aggregation: this.aggregation
+                };
+            },
+
+            // recolors the particles already on screen too
+            setColorRules (rules) {
+                this.colorRules = compileColorRules(rules);
+                this.colors = new Map();
+                this.clearCheckpoints();
+                for (let p of this.particles) {
+                    this.applyParticleColor(p);
+                }
+            },
+
+            removeParticle (particle) {
+                if (particle.index > -1) {
+                    this.buffer.remove(particle);
+                }
+            },
+
+            clearParticles: function () {
+                this.buffer.clear();
+                this.aggregation = 1;
+                this.server.queue = [];
+                this.server.queuedPackets = 0;
+                this.server.credit = 0;
+                this.server.processed = 0;
+                this.server.droppedBacklog = 0;
+                this.server.droppedTTL = 0;
+                this.random = createRandom(this.randomSeed);
+            },
+
+            setRandomSeed: function (seed) {
+                this.randomSeed = seed;
+                this.random = createRandom(seed);
+                this.clearCheckpoints();
+            },
+
+            restart: function () {
+                this.clearParticles();
+                this.clearCheckpoints();
 
                 this.simulationTime = 0;
                 
                 for (let source of this.particleSources) {
-                    for (let item of source.spawnQueue) {
-                        item.spawned = false;
-                    }
+                    source.rewind(0);
                 }
 
                 this.refreshServerCapacity();
                 this.renderServerRepresentation();
+                this.renderSources();
+                this.renderParticles();
+                this.group.add(this.selectionMesh);
+            },
+
+            // Rebuilds the state at a capture time by simulating up to it, from the latest
+            // checkpoint before it when that is closer, or from the start when going back. Steps
+            // are fixed and the random numbers seeded, so this ends where playing straight
+            // through would have: on the last step not past `time`.
+            seek: function (time) {
+                const checkpoint = this.checkpoints.findLast(checkpoint => checkpoint.simulationTime <= time);
+                if (checkpoint !== undefined && (time < this.simulationTime || checkpoint.simulationTime > this.simulationTime)) {
+                    this.restoreCheckpoint(checkpoint);
+                } else if (time < this.simulationTime) {
+                    this.clearParticles();
+                    this.simulationTime = 0;
+                    for (let source of this.particleSources) {
+                        source.rewind(0);
+                    }
+                }
+
+                // the loop would wrap us back before we get there
+                const loopRegion = this.loopRegion;
+                this.loopRegion = null;
+                const stepTime = 1000 * (FIXED_TIMESTEP * this.playbackSpeed);
+                while (this.simulationTime + stepTime <= time) {
+                    this.simulationStep(FIXED_TIMESTEP);
+                }
+                this.loopRegion = loopRegion;
+            },
+
+            // Everything a step moves on: the particles in their slots, the server queue, the
+            // sources' cursors and the random numbers. Handles are copied, not shared, since
+            // the ones in play keep changing.
+            takeCheckpoint: function () {
+                const buffer = this.buffer;
+                const count = buffer.count;
+                return {
+                    simulationTime: this.simulationTime,
+                    aggregation: this.aggregation,
+                    randomState: this.random.state,
+                    particles: buffer.handles.map(p => {
+                        let fields = {};
+                        for (let field of PARTICLE_FIELDS) {
+                            fields[field] = p[field];
+                        }
+                        return fields;
+                    }),
+                    x: buffer.x.slice(0, count),
+                    y: buffer.y.slice(0, count),
+                    vx: buffer.vx.slice(0, count),
+                    vy: buffer.vy.slice(0, count),
+                    radius: buffer.radius.slice(0, count),
+                    mass: buffer.mass.slice(0, count),
+                    color: buffer.color.slice(0, count * 3),
+                    // by slot, the handles are new after a restore
+                    server: { ...this.server, queue: this.server.queue.map(p => p.index) },
+                    sourceCursors: this.particleSources.map(source => source.next)
+                };
+            },
+
+            restoreCheckpoint: function (checkpoint) {
+                const buffer = this.buffer;
+                buffer.clear();
+                for (let fields of checkpoint.particles) {
+                    Object.assign(particle(buffer, 0, 0), fields);
+                }
+                buffer.x.set(checkpoint.x);
+                buffer.y.set(checkpoint.y);
+                buffer.vx.set(checkpoint.vx);
+                buffer.vy.set(checkpoint.vy);
+                buffer.radius.set(checkpoint.radius);
+                buffer.mass.set(checkpoint.mass);
+                buffer.color.set(checkpoint.color);
+
+                Object.assign(this.server, checkpoint.server, {
+                    queue: checkpoint.server.queue.map(idx => buffer.handles[idx])
+                });
+                this.particleSources.forEach((source, idx) => source.resume(checkpoint.sourceCursors[idx]));
+                this.simulationTime = checkpoint.simulationTime;
+                this.aggregation = checkpoint.aggregation;
+                this.random = createRandom(checkpoint.randomState);
+            },
+
+            // Called after every step, saves the state once a spacing's worth of capture time
+            // has gone by since the latest checkpoint. A long capture would keep adding them, so
+            // at MAX_CHECKPOINTS every other one is dropped and the spacing doubles.
+            addCheckpoint: function () {
+                const checkpoints = this.checkpoints;
+                const latest = checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].simulationTime : 0;
+                if (this.simulationTime < latest + this.checkpointSpacing) {
+                    return;
+                }
+                checkpoints.push(this.takeCheckpoint());
+                if (checkpoints.length >= MAX_CHECKPOINTS) {
+                    this.checkpoints = checkpoints.filter((checkpoint, idx) => idx % 2 === 1);
+                    this.checkpointSpacing *= 2;
+                }
+            },
+
+            // for anything that changes how the simulation plays out from here on
+            clearCheckpoints: function () {
+                this.checkpoints = [];
+                this.checkpointSpacing = CHECKPOINT_STEPS * 1000 * (FIXED_TIMESTEP * this.playbackSpeed);
+                this.loopCheckpoint = null;
+            },
+
+            // back to the loop region's start, simulated the first time round and restored after
+            wrapLoop: function () {
+                if (this.loopCheckpoint === null) {
+                    this.seek(this.loopRegion.start);
+                    this.loopCheckpoint = this.takeCheckpoint();
+                } else {
+                    this.restoreCheckpoint(this.loopCheckpoint);
+                }
+            },
+
+            setPlaybackSpeed: function (speed) {
+                if (typeof speed !== 'number' || !(speed >= MIN_PLAYBACK_SPEED && speed <= MAX_PLAYBACK_SPEED)) {
+                    throw new RangeError(`Playback speed must be between ${MIN_PLAYBACK_SPEED}x and ${MAX_PLAYBACK_SPEED}x, got ${speed}`);
+                }
+                this.playbackSpeed = speed;
+                // the capture times of the steps have changed
+                this.clearCheckpoints();
+            },
+
+            setLoopRegion: function (start, end) {
+                if (!(start >= 0 && end > start)) {
+                    throw new RangeError(`Invalid loop region ${start}-${end}`);
+                }
+                this.loopRegion = { start: start, end: end };
+                this.loopCheckpoint = null;
+                if (this.simulationTime < start || this.simulationTime >= end) {
+                    this.seek(start);
+                }
+            },
+
+            clearLoopRegion: function () {
+                this.loopRegion = null;
+                this.loopCheckpoint = null;
+            },
+
+            // packets per bin over the whole capture, for the timeline
+            getPacketRateHistogram: function (binCount) {
+                let counts = new Array(binCount).fill(0);
+                const binWidth = Math.max(this.captureDuration, 1) / binCount;
+                if (this.inputPcap !== null) {
+                    for (let p of this.inputPcap.packets) {
+                        const bin = Math.floor(p.header.relativeTime / binWidth);
+                        counts[Math.min(Math.max(bin, 0), binCount - 1)]++;
+                    }
+                }
+                return {
+                    binWidth: binWidth,
+                    counts: counts
+                };
+            },
+
+            // one instance per buffer slot, replaced when the buffer outgrows it
+            renderParticles: function () {
+                const buffer = this.buffer;
+                if (this.particleMesh === null || this.particleMesh.instanceMatrix.count !== buffer.capacity) {
+                    if (this.particleMesh !== null) {
+                        this.group.remove(this.particleMesh);
+                        this.particleMesh.dispose();
+                    }
+                    this.particleMesh = new THREE.InstancedMesh(PARTICLE_GEOMETRY, PARTICLE_MATERIAL, buffer.capacity);
+                    this.particleMesh.instanceColor = new THREE.InstancedBufferAttribute(buffer.color, 3);
+                    // the instances move every frame, so a cached bounding sphere would cull them
+                    this.particleMesh.frustumCulled = false;
+                    this.particleMesh.count = 0;
+                }
+                this.group.remove(this.particleMesh);
+                this.group.add(this.particleMesh);
+            },
+
+            // the topmost particle covering (x, y), or null
+            particleAt: function (x, y) {
+                const buffer = this.buffer;
+                // later instances are drawn over earlier ones
+                for (let i = buffer.count - 1; i >= 0; i--) {
+                    const dx = buffer.x[i] - x;
+                    const dy = buffer.y[i] - y;
+                    if (dx * dx + dy * dy <= buffer.radius[i] * buffer.radius[i]) {
+                        return buffer.handles[i];
+                    }
+                }
+                return null;
+            },
+
+            // copies the particles' positions and radii into the instance matrices
+            updateScene: function () {
+                if (this.sourcesChanged) {
+                    this.updateSourceInstances();
+                }
+
+                const buffer = this.buffer;
+                if (this.particleMesh === null || this.particleMesh.instanceMatrix.count !== buffer.capacity) {
+                    this.renderParticles();
+                }
+
+                const mesh = this.particleMesh;
+                const matrices = mesh.instanceMatrix.array;
+                for (let i = 0; i < buffer.count; i++) {
+                    // a scale and a translation; the other entries keep their identity values
+                    const offset = i * 16;
+                    matrices[offset] = buffer.radius[i];
+                    matrices[offset + 5] = buffer.radius[i];
+                    matrices[offset + 12] = buffer.x[i];
+                    matrices[offset + 13] = buffer.y[i];
+                    matrices[offset + 14] = -1;
+                }
+
+                mesh.count = buffer.count;
+                mesh.instanceMatrix.clearUpdateRanges();
+                mesh.instanceMatrix.addUpdateRange(0, buffer.count * 16);
+                mesh.instanceMatrix.needsUpdate = true;
+                mesh.instanceColor.clearUpdateRanges();
+                mesh.instanceColor.addUpdateRange(0, buffer.count * 3);
+                mesh.instanceColor.needsUpdate = true;
+
+                const selected = this.selected;
+                this.selectionMesh.visible = selected !== null && selected.index !== -1;
+                if (this.selectionMesh.visible) {
+                    const radius = selected.radius();
+                    this.selectionMesh.position.set(selected.position().x, selected.position().y, -0.5);
+                    this.selectionMesh.scale.set(radius, radius, 1);
+                }
+            },
+
+            // sources sized by the bytes they sent, relative to the busiest one
+            updateSourceInstances: function () {
+                const sources = this.particleSources;
+                const maxBytes = sources.reduce((max, source) => Math.max(max, source.bytes), 1);
+                const mesh = this.sourceMesh;
+                const matrices = mesh.instanceMatrix.array;
+                for (let i = 0; i < sources.length; i++) {
+                    const radius = SOURCE_MIN_RADIUS + (SOURCE_MAX_RADIUS - SOURCE_MIN_RADIUS) * Math.sqrt(sources[i].bytes / maxBytes);
+                    const offset = i * 16;
+                    matrices[offset] = radius;
+                    matrices[offset + 5] = radius;
+                    matrices[offset + 12] = sources[i].x;
+                    matrices[offset + 13] = sources[i].y;
+                    matrices[offset + 14] = -2;
+                }
+
+                mesh.count = sources.length;
+                mesh.instanceMatrix.clearUpdateRanges();
+                mesh.instanceMatrix.addUpdateRange(0, sources.length * 16);
+                mesh.instanceMatrix.needsUpdate = true;
+                this.sourcesChanged = false;
             },
 
             renderServerRepresentation: function () {
-                engine.scene.remove(
+                this.group.remove(
                     this.serverRepresentation.curveMesh1,
                     this.serverRepresentation.curveMesh2,
                     this.serverRepresentation.lineMesh1,
                     this.serverRepresentation.lineMesh2
                 )
-                engine.scene.add(
+                this.group.add(
                     this.serverRepresentation.curveMesh1,
                     this.serverRepresentation.curveMesh2,
                     this.serverRepresentation.lineMesh1,
@@ -511,16 +1841,16 @@ export class Engine extends EventTarget {
             },
 
             refreshServerCapacity: function () {
-                const x0 = engine.camera.left;
-                const x1 = (engine.camera.left + engine.camera.right - this.parameters.serverCapacity) * 0.5;
+                const x0 = engine.bounds.left;
+                const x1 = (engine.bounds.left + engine.bounds.right - this.parameters.serverCapacity) * 0.5;
 
-                const y0 = (engine.camera.top + engine.camera.bottom) * 0.5;
-                const y1 = engine.camera.bottom + PILLARS_HEIGHT;
+                const y0 = (engine.bounds.top + engine.bounds.bottom) * 0.5;
+                const y1 = engine.bounds.bottom + PILLARS_HEIGHT;
 
-                const xx0 = engine.camera.right;
-                const xx1 = (engine.camera.left + engine.camera.right + this.parameters.serverCapacity) * 0.5;
+                const xx0 = engine.bounds.right;
+                const xx1 = (engine.bounds.left + engine.bounds.right + this.parameters.serverCapacity) * 0.5;
 
-                const bottom = engine.camera.bottom;
+                const bottom = engine.bounds.bottom;
 
                 this.serverRepresentation.curve1 = new THREE.QuadraticBezierCurve (
                     new THREE.Vector2(x0, y0),
@@ -532,8 +1862,10 @@ export class Engine extends EventTarget {
                     new THREE.Vector2(xx0, y1),
                     new THREE.Vector2(xx1, y1)
                 );
-                const curve1Geometry = new THREE.BufferGeometry().setFromPoints(this.serverRepresentation.curve1.getPoints(50));
-                const curve2Geometry = new THREE.BufferGeometry().setFromPoints(this.serverRepresentation.curve2.getPoints(50));
+                this.serverRepresentation.points1 = this.serverRepresentation.curve1.getPoints(CURVE_SEGMENTS);
+                this.serverRepresentation.points2 = this.serverRepresentation.curve2.getPoints(CURVE_SEGMENTS);
+                const curve1Geometry = new THREE.BufferGeometry().setFromPoints(this.serverRepresentation.points1);
+                const curve2Geometry = new THREE.BufferGeometry().setFromPoints(this.serverRepresentation.points2);
 
                 this.serverRepresentation.curveMesh1 = new THREE.Line(curve1Geometry, this.serverRepresentation.material);
                 this.serverRepresentation.curveMesh2 = new THREE.Line(curve2Geometry, this.serverRepresentation.material);
@@ -556,213 +1888,632 @@ export class Engine extends EventTarget {
             },
 
             simulationStep: function (deltaTime) {
-                this.simulationTime += 1000 * deltaTime;
-
-                for (let source of this.particleSources) {
-                    for (let item of source.spawnQueue) {
-                        if (!item.spawned && item.time <= this.simulationTime) {
-                            this.spawnParticle(source);
-                            item.spawned = true;
-                        }
-                    }
+                // physics runs on screen time, spawning and the server on capture time
+                const captureDelta = deltaTime * this.playbackSpeed;
+                this.simulationTime += 1000 * captureDelta;
+                if (this.loopRegion !== null && this.simulationTime >= this.loopRegion.end) {
+                    // the state at the start stands in for this step
+                    this.wrapLoop();
+                    return;
                 }
 
+                this.spawnDueItems(deltaTime);
+
                 // Collision Check
-                this.buildQuadTree();
+                this.buildSpatialIndex();
+
+                const buffer = this.buffer;
+                const gravity = this.parameters.gravity;
+                // linear drag
+                const dragFactor = Math.max(0, 1 - this.parameters.drag * deltaTime);
+                const serverMouth = engine.bounds.bottom + PILLARS_HEIGHT;
+
+                let expired = [];
+                for (let i = 0; i < buffer.count; i++) {
+                    const p = buffer.handles[i];
+                    p.age += 1000 * deltaTime;
+
+                    if (p.state === ParticleState.DROPPED) {
+                        // dropped particles fall through everything until they fade out
+                        buffer.vy[i] -= gravity * deltaTime;
+                        buffer.y[i] += buffer.vy[i] * deltaTime;
+                        if (p.age - p.droppedAge >= DROP_LINGER) {
+                            expired.push(p);
+                        }
+                        continue;
+                    }
 
-                for (let p of this.particles) {
                     // APPLY FORCES
-                    p.Vy -= GRAVITY * deltaTime;
+                    buffer.vy[i] -= gravity * deltaTime;
+                    buffer.vx[i] *= dragFactor;
+                    buffer.vy[i] *= dragFactor;
 
                     // Check collisions with particles
-                    this.checkParticleCollision(p);
+                    this.checkParticleCollision(i);
 
                     // check collisions with screen boundaaries
-                    this.checkWallCollisions(p);
+                    this.checkWallCollisions(i);
 
                     // check collision with server representation
-                    this.checkCollisionWithServer(p);
+                    this.checkCollisionWithServer(i);
 
                     // APPLY DISPLACEMENT
-                    p.position().x += p.Vx * deltaTime;
-                    p.position().y += p.Vy * deltaTime;
-
-                    // check if server starts processing packet
-                    if (p.startProcessingTime === Infinity && p.position().y <= engine.camera.bottom + PILLARS_HEIGHT) {
-                        p.startProcessingTime = this.simulationTime;
-                    }
-                    // should the particle be processed and removed?
-                    if (this.simulationTime - p.startProcessingTime >= this.parameters.serverSpeed) {
-                        this.removeParticle(p);
+                    buffer.x[i] += buffer.vx[i] * deltaTime;
+                    buffer.y[i] += buffer.vy[i] * deltaTime;
+
+                    // has it reached the server, or given up on the way?
+                    if (p.state === ParticleState.WAITING) {
+                        if (buffer.y[i] <= serverMouth) {
+                            this.admitToServer(p);
+                        } else if (p.age > this.parameters.packetTTL) {
+                            this.dropParticle(p, DropReason.TTL);
+                        }
                     }
                 }
+
+                for (let p of expired) {
+                    this.removeParticle(p);
+                }
+                this.serveQueue(captureDelta);
+                this.addCheckpoint();
             },
 
-            checkParticleCollision: function (currentParticle) {
-                const nearby = this.getNearbyParticles(currentParticle);
+            // particles are addressed by buffer slot in the physics, see ParticleBuffer
+            checkParticleCollision: function (i) {
+                const {x, y, vx, vy, radius, mass} = this.buffer;
+                if (vx[i] === 0 && vy[i] === 0) {
+                    return;
+                }
+                const nearby = this.getNearbyParticles(i);
+                const restitution = this.parameters.restitution;
 
-                for (let p of nearby) {
-                    if (!currentParticle.isInMovement() || currentParticle === p) {
+                for (let k = 0; k < nearby.length; k++) {
+                    const j = nearby[k];
+                    if (i === j) {
                         continue;
                     }
-                    const collResult = currentParticle.checkCollision(p);
 
-                    if (collResult.collision === CollisionType.COLLISION) {
-                        
-                        // if (collResult.collision === CollisionType.INTERPENETRATING) {
-                        //     currentParticle.position().x = collResult.collisionPoint.x;
-                        //     currentParticle.position().y = collResult.collisionPoint.y;
-                        // }
+                    const dx = x[i] - x[j];
+                    const dy = y[i] - y[j];
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance === 0) {
+                        continue;
+                    }
+                    const gap = distance - (radius[i] + radius[j]);
+                    if (Math.abs(gap) > COLLISION_TOLERANCE) {
+                        continue;
+                    }
+                    const nx = dx / distance;
+                    const ny = dy / distance;
 
-                        // Apply impulse force
-                        const normalRelVel = collResult.relativeVelocity.dot(collResult.normal);
-                        const n2 = collResult.normal.dot(collResult.normal);
+                    // relative velocity along the normal, negative when they approach
+                    const normalRelVel = (vx[i] - vx[j]) * nx + (vy[i] - vy[j]) * ny;
+                    if (normalRelVel >= 0.0) {
+                        continue;
+                    }
 
-                        const j = ( -(1 + COEFFICIENT_OF_RESTITUTION) * normalRelVel ) / ( n2 * 2 * PARTICLE_MASS);
+                    // Apply impulse force
+                    const impulse = ( -(1 + restitution) * normalRelVel ) / ( 1 / mass[i] + 1 / mass[j] );
 
-                        const impulseVelocity = collResult.normal.multiplyScalar(j / PARTICLE_MASS);
+                    // the lighter particle takes the larger change in velocity
+                    vx[i] += nx * impulse / mass[i];
+                    vy[i] += ny * impulse / mass[i];
 
-                        currentParticle.Vx += impulseVelocity.x;
-                        currentParticle.Vy += impulseVelocity.y;
+                    vx[j] -= nx * impulse / mass[j];
+                    vy[j] -= ny * impulse / mass[j];
 
-                        p.Vx -= impulseVelocity.x;
-                        p.Vy -= impulseVelocity.y;
+                    if (vx[i] === 0 && vy[i] === 0) {
+                        return;
                     }
                 }
             },
 
-            checkWallCollisions: function (p) {
-                const leftLimit = engine.camera.left + (this.parameters.particleRadius * 0.5);
-                const rightLimit = engine.camera.right - (this.parameters.particleRadius * 0.5);
-                const topLimit = engine.camera.top - (this.parameters.particleRadius * 0.5);
-                const bottomLimit = engine.camera.bottom + (this.parameters.particleRadius * 0.5);
-
-                if (p.position().x >= rightLimit) {
-                    p.position().x = rightLimit;
-                    p.Vx = 0;
+            checkWallCollisions: function (i) {
+                const buffer = this.buffer;
+                // each particle's own radius, which grows with the packets it stands for
+                const radius = buffer.radius[i];
+                const leftLimit = engine.bounds.left + radius;
+                const rightLimit = engine.bounds.right - radius;
+                const topLimit = engine.bounds.top - radius;
+                const bottomLimit = engine.bounds.bottom + radius;
+
+                if (buffer.x[i] >= rightLimit) {
+                    buffer.x[i] = rightLimit;
+                    buffer.vx[i] = 0;
                 }
-                if (p.position().x <= leftLimit) {
-                    p.position().x = leftLimit;
-                    p.Vx = 0;
+                if (buffer.x[i] <= leftLimit) {
+                    buffer.x[i] = leftLimit;
+                    buffer.vx[i] = 0;
                 }
-                if (p.position().y <= bottomLimit) {
-                    p.position().y = bottomLimit;
-                    p.Vy = 0;
+                if (buffer.y[i] <= bottomLimit) {
+                    buffer.y[i] = bottomLimit;
+                    buffer.vy[i] = 0;
                 }
-                if (p.position().y >= topLimit) {
-                    p.position().y = topLimit;
-                    p.Vy = 0;
+                if (buffer.y[i] >= topLimit) {
+                    buffer.y[i] = topLimit;
+                    buffer.vy[i] = 0;
                 }
             },
 
-            checkCollisionWithServer: function (p) {
-                const x1 = (engine.camera.left + engine.camera.right - this.parameters.serverCapacity) * 0.5;
-                const y1 = engine.camera.bottom + PILLARS_HEIGHT;
-                const xx1 = (engine.camera.left + engine.camera.right + this.parameters.serverCapacity) * 0.5;
+            checkCollisionWithServer: function (i) {
+                const buffer = this.buffer;
+                const x = buffer.x[i];
+                const y = buffer.y[i];
+                const radius = buffer.radius[i];
 
-                const bottom = engine.camera.bottom;
+                const x1 = (engine.bounds.left + engine.bounds.right - this.parameters.serverCapacity) * 0.5;
+                const y0 = (engine.bounds.top + engine.bounds.bottom) * 0.5;
+                const y1 = engine.bounds.bottom + PILLARS_HEIGHT;
+                const xx1 = (engine.bounds.left + engine.bounds.right + this.parameters.serverCapacity) * 0.5;
 
-                const start1 = new THREE.Vector2(x1, y1);
-                const end1 = new THREE.Vector2(x1, bottom);
+                const bottom = engine.bounds.bottom;
 
-                const start2 = new THREE.Vector2(xx1, y1);
-                const end2 = new THREE.Vector2(xx1, bottom);
+                // most particles are above the curves or inside the mouth, where nothing is hit
+                if (y - radius > y0 || (x - radius > x1 && x + radius < xx1)) {
+                    return;
+                }
 
-                const coll1 = this.collisionParticleSegment(p, start1, end1);
-                const coll2 = this.collisionParticleSegment(p, start2, end2);
+                if (circleTouchesSegment(x, y, radius, x1, y1, x1, bottom) || circleTouchesSegment(x, y, radius, xx1, y1, xx1, bottom)) {
+                    buffer.vx[i] *= -0.8;
+                }
 
-                if (coll1.collision !== CollisionType.NO_COLLISION || coll2.collision !== CollisionType.NO_COLLISION) {
-                    p.Vx *= -0.8;
+                const points1 = this.serverRepresentation.points1;
+                const points2 = this.serverRepresentation.points2;
+                for (let k = 0; k < CURVE_SEGMENTS; k++) {
+                    const hit = (
+                        circleTouchesSegment(x, y, radius, points1[k].x, points1[k].y, points1[k + 1].x, points1[k + 1].y) ||
+                        circleTouchesSegment(x, y, radius, points2[k].x, points2[k].y, points2[k + 1].x, points2[k + 1].y)
+                    );
+                    if (hit) {
+                        buffer.vx[i] *= -0.8;
+                        buffer.vy[i] *= -0.8;
+                        return;
+                    }
                 }
+            },
+        };
+    }
 
-                const TOTAL_POINTS = 50.0;
-                const INCREMENT = 1.0 / TOTAL_POINTS;
+    newGridVirusEngine () {
+        const engine = this;
 
-                const curve1 = this.serverRepresentation.curve1;
-                const curve2 = this.serverRepresentation.curve2;
+        const COLUMNS = 160;
+        const VULNERABILITY = 0.5;
+        const INITIAL_INFECTED = 1;
+        const SCAN_RATE = 2;
+        const PATCH_RATE = 0.02;
+        const LOCAL_PREFERENCE = 0.75;
+        // cells around itself a host probes when it prefers its neighbourhood
+        const LOCAL_RADIUS = 3;
+        // simulated seconds between two points of the infection curve
+        const CURVE_INTERVAL = 0.1;
+
+        // RGBA texel of each HostState
+        const HOST_COLORS = {
+            [HostState.IMMUNE]: [0xee, 0xee, 0xee, 0xff],
+            [HostState.SUSCEPTIBLE]: [0x00, 0xbb, 0xbb, 0xff],
+            [HostState.INFECTED]: [0xdd, 0x00, 0x00, 0xff],
+            [HostState.RECOVERED]: [0x33, 0x99, 0x33, 0xff],
+            [HostState.EMPTY]: [0xff, 0xff, 0xff, 0xff],
+        };
 
-                let collisionResult = {
-                    collision: CollisionType.NO_COLLISION
-                };
+        return {
+            // everything this engine draws; only the active engine's group is in the scene
+            group: new THREE.Group(),
+            parameters: {
+                columns: COLUMNS,
+                vulnerability: VULNERABILITY,
+                initialInfected: INITIAL_INFECTED,
+                scanRate: SCAN_RATE,
+                patchRate: PATCH_RATE,
+                localPreference: LOCAL_PREFERENCE,
+                model: InfectionModel.SIR,
+                scanStrategy: ScanStrategy.RANDOM,
+                source: GridSource.MODEL
+            },
+            columns: 0,
+            rows: 0,
+            // one HostState per host, row by row from the bottom left
+            hosts: new Uint8Array(0),
+            // hosts per HostState
+            counts: new Int32Array(5),
+            // the infected hosts in no particular order, and where each one sits in that list
+            infected: [],
+            infectedSlot: new Int32Array(0),
+            // the next address each sequential scanner probes
+            scanCursor: new Int32Array(0),
+            // probes owed but not sent yet, always below one
+            scanCredit: 0,
+            everInfected: 0,
+            peak: { infected: 0, time: 0 },
+            // simulated seconds since the outbreak
+            time: 0,
+            curve: [],
+            // see inferInfections; null until a capture is loaded
+            capture: null,
+            // the next capture infection to replay
+            nextInfection: 0,
+            // capture seconds replayed per simulated second
+            playbackSpeed: 1,
+            // {start, end} in capture milliseconds, only looped when replaying the capture
+            loopRegion: null,
+            // the replay at the loop region's start, which every wrap goes back to
+            loopCheckpoint: null,
+            randomSeed: DEFAULT_RANDOM_SEED,
+            random: createRandom(DEFAULT_RANDOM_SEED),
+            // one texel per host, drawn stretched over the whole view
+            texels: new Uint8Array(0),
+            texture: null,
+            textureDirty: false,
+            mesh: null,
 
-                let i = 0.0;
-                while (collisionResult.collision === CollisionType.NO_COLLISION && i < 1.0) {
-                    const j = i + INCREMENT;
-                    const p0 = curve1.getPoint(i);
-                    const p1 = curve1.getPoint(j);
+            init: function () {
+                this.restart();
+            },
 
-                    const p0_2 = curve2.getPoint(i);
-                    const p1_2 = curve2.getPoint(j);
+            // Lays out a fresh grid: picks the vulnerable hosts and infects the first ones, or
+            // puts the capture's hosts in address order when replaying it
+            buildGrid: function () {
+                const width = engine.bounds.right - engine.bounds.left;
+                const height = engine.bounds.top - engine.bounds.bottom;
+                const isReplay = this.parameters.source === GridSource.CAPTURE;
+                if (isReplay) {
+                    const addressCount = Math.max(1, this.capture.addresses.length);
+                    this.columns = Math.ceil(Math.sqrt(addressCount * width / height));
+                    this.rows = Math.ceil(addressCount / this.columns);
+                } else {
+                    this.columns = this.parameters.columns;
+                    this.rows = Math.max(1, Math.round(this.columns * height / width));
+                }
 
-                    collisionResult = this.collisionParticleSegment(p, p0, p1);
-                    if (collisionResult.collision !== CollisionType.NO_COLLISION) {
-                        break;
+                const hostCount = this.columns * this.rows;
+                this.hosts = new Uint8Array(hostCount);
+                this.counts.fill(0);
+                this.infected = [];
+                this.infectedSlot = new Int32Array(hostCount);
+                this.scanCursor = new Int32Array(hostCount);
+                this.scanCredit = 0;
+                this.everInfected = 0;
+                this.time = 0;
+                this.curve = [];
+                this.nextInfection = 0;
+                this.random = createRandom(this.randomSeed);
+                this.loopCheckpoint = null;
+
+                if (this.texture !== null) {
+                    this.texture.dispose();
+                }
+                this.texels = new Uint8Array(hostCount * 4);
+                this.texture = new THREE.DataTexture(this.texels, this.columns, this.rows, THREE.RGBAFormat);
+                this.texture.magFilter = THREE.NearestFilter;
+                this.texture.minFilter = THREE.NearestFilter;
+                this.texture.colorSpace = THREE.SRGBColorSpace;
+                if (this.mesh !== null) {
+                    this.mesh.material.map = this.texture;
+                    this.mesh.material.needsUpdate = true;
+                }
+
+                // the zeroed hosts all start out IMMUNE
+                this.counts[HostState.IMMUNE] = hostCount;
+                if (isReplay) {
+                    // whether a host was vulnerable only shows once it is infected
+                    for (let host = 0; host < hostCount; host++) {
+                        this.setHostState(host, host < this.capture.addresses.length ? HostState.SUSCEPTIBLE : HostState.EMPTY);
                     }
-                    collisionResult = this.collisionParticleSegment(p, p0_2, p1_2);
+                    this.peak = { infected: 0, time: 0 };
+                    this.recordCurve();
+                    return;
+                }
 
-                    i = j;
+                let susceptible = [];
+                for (let host = 0; host < hostCount; host++) {
+                    const isVulnerable = this.random() < this.parameters.vulnerability;
+                    this.setHostState(host, isVulnerable ? HostState.SUSCEPTIBLE : HostState.IMMUNE);
+                    if (isVulnerable) {
+                        susceptible.push(host);
+                    }
                 }
 
-                if (collisionResult.collision === CollisionType.NO_COLLISION) {
+                for (let k = 0; k < this.parameters.initialInfected && susceptible.length > 0; k++) {
+                    const pick = Math.floor(this.random() * susceptible.length);
+                    this.infect(susceptible[pick]);
+                    susceptible[pick] = susceptible[susceptible.length - 1];
+                    susceptible.pop();
+                }
+
+                this.peak = { infected: this.counts[HostState.INFECTED], time: 0 };
+                this.recordCurve();
+            },
+
+            setHostState: function (host, state) {
+                this.counts[this.hosts[host]]--;
+                this.counts[state]++;
+                this.hosts[host] = state;
+                this.texels.set(HOST_COLORS[state], host * 4);
+                this.textureDirty = true;
+            },
+
+            infect: function (host) {
+                this.setHostState(host, HostState.INFECTED);
+                this.infectedSlot[host] = this.infected.length;
+                this.infected.push(host);
+                this.scanCursor[host] = Math.floor(this.random() * this.hosts.length);
+                this.everInfected++;
+            },
+
+            patch: function (host) {
+                if (this.hosts[host] === HostState.INFECTED) {
+                    const last = this.infected.pop();
+                    if (last !== host) {
+                        this.infected[this.infectedSlot[host]] = last;
+                        this.infectedSlot[last] = this.infectedSlot[host];
+                    }
+                }
+                this.setHostState(host, HostState.RECOVERED);
+            },
+
+            // the address `scanner` probes next
+            pickTarget: function (scanner) {
+                switch (this.parameters.scanStrategy) {
+                    case ScanStrategy.SEQUENTIAL: {
+                        const target = this.scanCursor[scanner];
+                        this.scanCursor[scanner] = (target + 1) % this.hosts.length;
+                        return target;
+                    }
+                    case ScanStrategy.LOCAL_PREFERENCE:
+                        if (this.random() < this.parameters.localPreference) {
+                            // the grid wraps around at its edges
+                            const offsetX = Math.floor(this.random() * (2 * LOCAL_RADIUS + 1)) - LOCAL_RADIUS;
+                            const offsetY = Math.floor(this.random() * (2 * LOCAL_RADIUS + 1)) - LOCAL_RADIUS;
+                            const column = (scanner % this.columns + offsetX + this.columns) % this.columns;
+                            const row = (Math.floor(scanner / this.columns) + offsetY + this.rows) % this.rows;
+                            return row * this.columns + column;
+                        }
+                        break;
+                }
+                return Math.floor(this.random() * this.hosts.length);
+            },
+
+            // Keeps `capture`, the output of inferInfections, for replaying. Only a capture that
+            // shows infections takes over from the model; others can still be picked by hand.
+            loadCapture: function (capture) {
+                this.capture = capture;
+                if (capture.infections.length > 0) {
+                    this.parameters.source = GridSource.CAPTURE;
+                    this.buildGrid();
+                }
+            },
+
+            // Replays the capture up to a capture time, from the start when going back. The model
+            // runs on a clock of its own, so it does not follow the timeline.
+            seek: function (time) {
+                if (this.parameters.source !== GridSource.CAPTURE) {
                     return;
                 }
+                if (time < 1000 * this.time) {
+                    this.buildGrid();
+                }
 
-                p.Vx *= -0.8;
-                p.Vy *= -0.8;
+                // the loop would wrap us back before we get there
+                const loopRegion = this.loopRegion;
+                this.loopRegion = null;
+                const stepTime = FIXED_TIMESTEP * this.playbackSpeed;
+                while (1000 * (this.time + stepTime) <= time) {
+                    this.simulationStep(FIXED_TIMESTEP);
+                }
+                this.loopRegion = loopRegion;
             },
 
-            collisionParticleParticle: function (p1, p2) {
+            // the fluid engine has already rejected invalid regions, see Engine.setLoopRegion
+            setLoopRegion: function (start, end) {
+                this.loopRegion = { start: start, end: end };
+                this.loopCheckpoint = null;
+                const time = 1000 * this.time;
+                if (time < start || time >= end) {
+                    this.seek(start);
+                }
+            },
 
+            clearLoopRegion: function () {
+                this.loopRegion = null;
+                this.loopCheckpoint = null;
             },
 
-            collisionParticleSegment: function (particle, startSeg, endSeg) {
-                const dir = endSeg.sub(startSeg);
-                const oc = new THREE.Vector2(particle.position().x, particle.position().y).sub(startSeg);
-                
-                const a = dir.lengthSq();
-                const b = -2.0 * dir.dot(oc);
-                const c = oc.lengthSq() - particle.radius() * particle.radius();
+            // the fluid engine has already rejected invalid speeds, see Engine.setPlaybackSpeed
+            setPlaybackSpeed: function (speed) {
+                this.playbackSpeed = speed;
+                this.loopCheckpoint = null;
+            },
 
-                const discriminant = b * b - 4.0 * a * c;
-                const d = Math.sqrt(discriminant);
+            // everything replaying the capture moves on; the layout stays until buildGrid
+            takeCheckpoint: function () {
+                return {
+                    hosts: this.hosts.slice(),
+                    counts: this.counts.slice(),
+                    infected: this.infected.slice(),
+                    infectedSlot: this.infectedSlot.slice(),
+                    scanCursor: this.scanCursor.slice(),
+                    texels: this.texels.slice(),
+                    scanCredit: this.scanCredit,
+                    everInfected: this.everInfected,
+                    peak: this.peak,
+                    time: this.time,
+                    curve: this.curve.slice(),
+                    nextInfection: this.nextInfection,
+                    randomState: this.random.state
+                };
+            },
 
-                const t0 = (-b - d) / (2.0 * a);
-                const t1 = (-b + d) / (2.0 * a);
+            restoreCheckpoint: function (checkpoint) {
+                this.hosts.set(checkpoint.hosts);
+                this.counts.set(checkpoint.counts);
+                this.infected = checkpoint.infected.slice();
+                this.infectedSlot.set(checkpoint.infectedSlot);
+                this.scanCursor.set(checkpoint.scanCursor);
+                this.texels.set(checkpoint.texels);
+                this.textureDirty = true;
+                this.scanCredit = checkpoint.scanCredit;
+                this.everInfected = checkpoint.everInfected;
+                this.peak = checkpoint.peak;
+                this.time = checkpoint.time;
+                this.curve = checkpoint.curve.slice();
+                this.nextInfection = checkpoint.nextInfection;
+                this.random = createRandom(checkpoint.randomState);
+            },
 
-                if (discriminant < 0.0 || t1 < 0.0 || t0 > 1.0) {
-                    return {
-                        collision: CollisionType.NO_COLLISION
-                    };
-                }
-
-                // if (discriminant === 0.0) {
-                //     const f = startSeg.multiplyScalar(1 - t0);
-                //     const d = endSeg.multiplyScalar(t0);
-                //     return {
-                //         collision: CollisionType.COLLISION,
-                //         collisionPoint: f.add(d),
-                //     }
-                // } else {
-                //     const firstPoint = startSeg.multiplyScalar(1 - t0).add(endSeg.multiplyScalar(t0));
-                //     const secondPoint = startSeg.multiplyScalar(1 - t1).add(endSeg.multiplyScalar(t1));
-                //     return {
-                //         collision: CollisionType.INTERPENETRATING,
-                //         collisionPoint: firstPoint.multiplyScalar(0.5).add(secondPoint.multiplyScalar(0.5)),
-                //     }
-                // }
-                return { collision: CollisionType.COLLISION };
+            // back to the loop region's start, replayed the first time round and restored after
+            wrapLoop: function () {
+                if (this.loopCheckpoint === null) {
+                    this.seek(this.loopRegion.start);
+                    this.loopCheckpoint = this.takeCheckpoint();
+                } else {
+                    this.restoreCheckpoint(this.loopCheckpoint);
+                }
             },
-        };
-    }
 
-    newGridVirusEngine () {
+            clearCapture: function () {
+                this.capture = null;
+                if (this.parameters.source === GridSource.CAPTURE) {
+                    this.parameters.source = GridSource.MODEL;
+                    this.buildGrid();
+                }
+            },
 
-        return {
-            init: function () {
+            setParameter (parameter, value) {
+                this.parameters[GRID_PARAMETER_DESCRIPTORS[parameter].key] = value;
 
+                switch (parameter) {
+                    case GridParameter.COLUMNS:
+                    case GridParameter.VULNERABILITY:
+                    case GridParameter.INITIAL_INFECTED:
+                        this.buildGrid();
+                        break;
+                }
             },
-            simulationStep: function () {
 
+            // the seed also decides which hosts are vulnerable, so the grid is laid out again
+            setRandomSeed: function (seed) {
+                this.randomSeed = seed;
+                this.buildGrid();
+            },
+
+            restart: function () {
+                this.buildGrid();
+                this.renderGrid();
+            },
+
+            renderGrid: function () {
+                if (this.mesh === null) {
+                    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial({ map: this.texture }));
+                    this.mesh.position.z = -1;
+                }
+                this.group.add(this.mesh);
+            },
+
+            recordCurve: function () {
+                this.curve.push({
+                    time: this.time,
+                    susceptible: this.counts[HostState.SUSCEPTIBLE],
+                    infected: this.counts[HostState.INFECTED],
+                    recovered: this.counts[HostState.RECOVERED]
+                });
+            },
+
+            getStats: function () {
+                return {
+                    time: this.time,
+                    source: this.parameters.source,
+                    hosts: this.hosts.length - this.counts[HostState.EMPTY],
+                    columns: this.columns,
+                    rows: this.rows,
+                    susceptible: this.counts[HostState.SUSCEPTIBLE],
+                    infected: this.counts[HostState.INFECTED],
+                    recovered: this.counts[HostState.RECOVERED],
+                    immune: this.counts[HostState.IMMUNE],
+                    everInfected: this.everInfected,
+                    peakInfected: this.peak.infected,
+                    peakTime: this.peak.time
+                };
+            },
+
+            simulationStep: function (deltaTime) {
+                if (this.parameters.source === GridSource.CAPTURE) {
+                    if (this.loopRegion !== null && 1000 * (this.time + deltaTime * this.playbackSpeed) >= this.loopRegion.end) {
+                        // the state at the start stands in for this step
+                        this.wrapLoop();
+                        return;
+                    }
+                    this.replayCapture(deltaTime);
+                } else {
+                    this.spreadInfection(deltaTime);
+                }
+
+                const infected = this.counts[HostState.INFECTED];
+                if (infected > this.peak.infected) {
+                    this.peak = { infected: infected, time: this.time };
+                }
+                if (this.time >= this.curve[this.curve.length - 1].time + CURVE_INTERVAL) {
+                    this.recordCurve();
+                }
+            },
+
+            // infects the capture's hosts in the order, and at the pace, the capture shows
+            replayCapture: function (deltaTime) {
+                this.time += deltaTime * this.playbackSpeed;
+                const infections = this.capture.infections;
+                while (this.nextInfection < infections.length && infections[this.nextInfection].time <= this.time * 1000) {
+                    this.infect(infections[this.nextInfection++].host);
+                }
+            },
+
+            spreadInfection: function (deltaTime) {
+                this.time += deltaTime;
+
+                // The probes are handed to infected hosts drawn at random, so the cost follows
+                // the number of probes rather than the number of hosts. Hosts infected during
+                // this step only start scanning in the next one.
+                const scanners = this.infected.length;
+                this.scanCredit += scanners * this.parameters.scanRate * deltaTime;
+                const probes = Math.floor(this.scanCredit);
+                this.scanCredit -= probes;
+                for (let k = 0; k < probes; k++) {
+                    const scanner = this.infected[Math.floor(this.random() * scanners)];
+                    const target = this.pickTarget(scanner);
+                    if (this.hosts[target] === HostState.SUSCEPTIBLE) {
+                        this.infect(target);
+                    }
+                }
+
+                if (this.parameters.model === InfectionModel.SIR && this.parameters.patchRate > 0) {
+                    // every host has the same chance of being patched this step, so jump from one
+                    // patched host to the next with geometrically distributed gaps
+                    const chance = 1 - Math.exp(-this.parameters.patchRate * deltaTime);
+                    const logMiss = Math.log(1 - chance);
+                    let host = -1;
+                    while (true) {
+                        host += 1 + Math.floor(Math.log(1 - this.random()) / logMiss);
+                        if (host >= this.hosts.length) {
+                            break;
+                        }
+                        const state = this.hosts[host];
+                        if (state === HostState.SUSCEPTIBLE || state === HostState.INFECTED) {
+                            this.patch(host);
+                        }
+                    }
+                }
+            },
+
+            updateScene: function () {
+                if (this.mesh === null) {
+                    return;
+                }
+                this.mesh.scale.set(engine.bounds.right - engine.bounds.left, engine.bounds.top - engine.bounds.bottom, 1);
+                this.mesh.position.x = (engine.bounds.left + engine.bounds.right) / 2;
+                this.mesh.position.y = (engine.bounds.top + engine.bounds.bottom) / 2;
+                if (this.textureDirty) {
+                    this.texture.needsUpdate = true;
+                    this.textureDirty = false;
+                }
             },
         };
     }
@@ -1,4 +1,33 @@
-import { Engine, FluidParameter } from "./engine.js";
+import { Engine, EngineType, GridSource, FLUID_PARAMETER_DESCRIPTORS, GRID_PARAMETER_DESCRIPTORS } from "./engine.js";
+import { decodePacketLayers, formatHexDump, summarizeParticle } from "./packet_inspector.js";
+import { ColorRuleType, DEFAULT_COLOR_RULES, DEFAULT_PARTICLE_COLOR, validateColorRule, describeColorRule, isValuelessRule, loadColorRules, saveColorRules } from "./color_rules.js";
+import { validateDisplayFilter } from "./display_filter.js";
+
+const TOP_SOURCES_SHOWN = 5;
+
+const COLOR_RULE_LABELS = {
+    [ColorRuleType.PROTOCOL]: { label: "Protocol", placeholder: "TCP, UDP, DNS..." },
+    [ColorRuleType.APPLICATION]: { label: "Application", placeholder: "DNS ANY query" },
+    [ColorRuleType.TCP_FLAG]: { label: "TCP flags", placeholder: "SYN,ACK" },
+    [ColorRuleType.DEST_PORT]: { label: "Dst port", placeholder: "53" },
+    [ColorRuleType.SOURCE_SUBNET]: { label: "Src subnet", placeholder: "10.0.0.0/8" },
+    [ColorRuleType.PACKET_SIZE]: { label: "Size", placeholder: "1000-1500" },
+    [ColorRuleType.INVALID_CHECKSUM]: { label: "Bad checksum", placeholder: "" },
+    [ColorRuleType.TCP_FLOW]: { label: "TCP flow", placeholder: "" },
+};
+
+// values of the engineSelect options
+const ENGINE_OPTIONS = {
+    [EngineType.FLUIDPARTICLE]: "fluidEngine",
+    [EngineType.GRIDVIRUS]: "gridVirus",
+};
+
+const PLAYBACK_SPEEDS = [0.01, 0.1, 0.25, 0.5, 1, 2, 5, 10, 25, 50, 100];
+// one histogram bar every this many pixels
+const TIMELINE_BAR_WIDTH = 2;
+
+let colorRules;
+let timelineHistogram = null;
 
 let engine;
 
@@ -34,22 +63,632 @@ function initGUI() {
     });
 
     const fpsLabel = document.getElementById('fpsLabel');
+    const serverStatsLabel = document.getElementById('serverStatsLabel');
     engine.addEventListener('frameRendered', (event) => {
         fpsLabel.innerHTML = `FPS: ${event.detail.fps.toFixed(2)}`;
+        const stats = engine.getServerStats();
+        const aggregation = stats.aggregation > 1 ? `, ${stats.aggregation} packets per particle` : '';
+        serverStatsLabel.textContent = `${stats.particles} particles${aggregation}. Queued ${stats.queued}, processed ${stats.processed}, dropped ${stats.dropped} (${stats.droppedBacklog} backlog, ${stats.droppedTTL} TTL)`;
         // if (event.detail.fps < 30) {
         //     console.warn(`low fps: ${event.detail.fps}`);
         // }
     });
 
-    const serverCapacityRange = document.getElementById('serverCapacityRange');
-    serverCapacityRange.oninput = function() {
-        engine.setFluidParameter(FluidParameter.SERVER_CAPACITY, 0.1);
-    };
+    buildParameterPanels();
+    initGridVirusPanel();
+    initEngineSelect();
+
+    const serviceRateUnitSelect = document.getElementById('serviceRateUnitSelect');
+    serviceRateUnitSelect.addEventListener('change', function () {
+        engine.setServiceRateUnit(parseInt(this.value));
+    });
 
     const pcapInput = document.getElementById('pcapInput');
+    const pcapLoader = document.getElementById('pcapLoader');
+    const pcapProgress = document.getElementById('pcapProgress');
+    const pcapStatusLabel = document.getElementById('pcapStatusLabel');
+    const cancelPcapBtn = document.getElementById('cancelPcapBtn');
+
     pcapInput.addEventListener('change', function () {
+        renderParseReport(null);
+        pcapProgress.value = 0;
+        pcapStatusLabel.innerHTML = 'Parsing...';
+        pcapLoader.classList.add('active');
+        cancelPcapBtn.style.display = '';
         engine.setPcapFile(this.files[0]);
     });
+
+    cancelPcapBtn.addEventListener('click', () => {
+        engine.cancelPcapParsing();
+    });
+
+    const groupFlowsCheckbox = document.getElementById('groupFlowsCheckbox');
+    groupFlowsCheckbox.addEventListener('change', function () {
+        engine.setFlowGrouping(this.checked);
+        engine.render();
+    });
+
+    const sizeScaleSelect = document.getElementById('sizeScaleSelect');
+    sizeScaleSelect.addEventListener('change', function () {
+        engine.setSizeScale(parseInt(this.value));
+        engine.render();
+    });
+
+    const randomSeedInput = document.getElementById('randomSeedInput');
+    randomSeedInput.value = engine.getRandomSeed();
+    randomSeedInput.addEventListener('change', function () {
+        try {
+            engine.setRandomSeed(Number(this.value));
+            engine.render();
+        } catch (e) {
+            console.warn(e.message);
+            this.value = engine.getRandomSeed();
+        }
+    });
+
+    // checked as it is typed, applied on enter or when the box loses focus
+    const displayFilterInput = document.getElementById('displayFilterInput');
+    const displayFilterError = document.getElementById('displayFilterError');
+    displayFilterInput.value = engine.getDisplayFilter();
+    displayFilterInput.addEventListener('input', function () {
+        const error = validateDisplayFilter(this.value);
+        this.classList.toggle('invalid', error !== undefined);
+        displayFilterError.textContent = error !== undefined ? error : '';
+    });
+    displayFilterInput.addEventListener('change', function () {
+        // a broken filter keeps the current one; the error is already showing
+        if (validateDisplayFilter(this.value) !== undefined) {
+            return;
+        }
+        engine.setDisplayFilter(this.value);
+        engine.render();
+        renderTopSources();
+    });
+
+    const sourceGroupingSelect = document.getElementById('sourceGroupingSelect');
+    sourceGroupingSelect.addEventListener('change', function () {
+        engine.setSourceGrouping(parseInt(this.value));
+        engine.render();
+        renderTopSources();
+    });
+
+    engine.addEventListener('pcapProgress', (event) => {
+        pcapProgress.value = event.detail.bytesRead / event.detail.totalBytes;
+        pcapStatusLabel.innerHTML = `${event.detail.packetCount} packets`;
+    });
+    engine.addEventListener('pcapLoaded', (event) => {
+        pcapProgress.value = 1;
+        pcapStatusLabel.innerHTML = event.detail.cancelled ? `Parsing cancelled, loaded ${event.detail.packetCount} packets` : `Loaded ${event.detail.packetCount} packets`;
+        cancelPcapBtn.style.display = 'none';
+        renderParseReport(event.detail.report, event.detail.reassembly, event.detail.infections);
+        renderTopSources();
+    });
+    engine.addEventListener('pcapLoadCancelled', () => {
+        pcapStatusLabel.innerHTML = 'Parsing cancelled';
+        cancelPcapBtn.style.display = 'none';
+    });
+    engine.addEventListener('pcapLoadFailed', (event) => {
+        pcapStatusLabel.innerHTML = `Error: ${event.detail.message}`;
+        cancelPcapBtn.style.display = 'none';
+    });
+}
+
+// One slider per descriptor. Parameters that allow Infinity get an extra notch past the
+// maximum for it. Returns a function per parameter that moves its slider to a new value.
+function buildParameterPanel(panelId, descriptors, getParameter, setParameter) {
+    const panel = document.getElementById(panelId);
+    let sliders = {};
+
+    const formatValue = (value) => value === Infinity ? '∞' : `${value}`;
+
+    for (const [parameter, descriptor] of Object.entries(descriptors)) {
+        const row = document.createElement('div');
+        row.className = 'parameter-row';
+
+        const label = document.createElement('label');
+        const name = document.createElement('span');
+        name.textContent = descriptor.label;
+        const output = document.createElement('span');
+        label.append(name, output);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = descriptor.min;
+        slider.max = descriptor.allowInfinity ? descriptor.max + descriptor.step : descriptor.max;
+        slider.step = descriptor.step;
+
+        const show = (value) => {
+            slider.value = value === Infinity ? slider.max : value;
+            output.textContent = formatValue(value);
+        };
+
+        slider.addEventListener('input', () => {
+            let value = parseFloat(slider.value);
+            if (descriptor.allowInfinity && value > descriptor.max) {
+                value = Infinity;
+            }
+            try {
+                setParameter(parseInt(parameter), value);
+            } catch (e) {
+                console.warn(e.message);
+            }
+        });
+
+        show(getParameter(parseInt(parameter)));
+        sliders[parameter] = show;
+
+        row.append(label, slider);
+        panel.appendChild(row);
+    }
+    return sliders;
+}
+
+function buildParameterPanels() {
+    const sliders = {
+        [EngineType.FLUIDPARTICLE]: buildParameterPanel('fluidParameterPanel', FLUID_PARAMETER_DESCRIPTORS,
+            (parameter) => engine.getFluidParameter(parameter),
+            (parameter, value) => engine.setFluidParameter(parameter, value)),
+        [EngineType.GRIDVIRUS]: buildParameterPanel('gridParameterPanel', GRID_PARAMETER_DESCRIPTORS,
+            (parameter) => engine.getGridParameter(parameter),
+            (parameter, value) => engine.setGridParameter(parameter, value)),
+    };
+
+    // keeps the sliders in step when parameters are set from elsewhere
+    engine.addEventListener('parameterChanged', (event) => {
+        sliders[event.detail.engine][event.detail.parameter](event.detail.value);
+        engine.render();
+    });
+}
+
+function initEngineSelect() {
+    const engineSelect = document.getElementById('engineSelect');
+    engineSelect.addEventListener('change', function () {
+        const engineType = Object.keys(ENGINE_OPTIONS).find(type => ENGINE_OPTIONS[type] === this.value);
+        engine.setActiveEngine(parseInt(engineType));
+    });
+
+    // every element tagged with data-engine only shows while that engine runs
+    const showEngineControls = (engineType) => {
+        engineSelect.value = ENGINE_OPTIONS[engineType];
+        for (const element of document.querySelectorAll('[data-engine]')) {
+            element.hidden = element.dataset.engine !== ENGINE_OPTIONS[engineType];
+        }
+    };
+    engine.addEventListener('engineChanged', (event) => showEngineControls(event.detail.engine));
+    showEngineControls(engine.activeEngine);
+}
+
+function initGridVirusPanel() {
+    const panel = document.getElementById('gridVirusPanel');
+
+    const infectionModelSelect = document.getElementById('infectionModelSelect');
+    infectionModelSelect.addEventListener('change', function () {
+        engine.setInfectionModel(parseInt(this.value));
+    });
+
+    const scanStrategySelect = document.getElementById('scanStrategySelect');
+    scanStrategySelect.addEventListener('change', function () {
+        engine.setScanStrategy(parseInt(this.value));
+    });
+
+    // a finished capture takes over the grid; a new one being parsed hands it back to the model
+    const gridSourceSelect = document.getElementById('gridSourceSelect');
+    const showGridSource = () => {
+        gridSourceSelect.value = engine.getGridStats().source;
+        gridSourceSelect.querySelector(`option[value="${GridSource.CAPTURE}"]`).disabled = engine.getInferredInfections() === null;
+    };
+    gridSourceSelect.addEventListener('change', function () {
+        engine.setGridSource(parseInt(this.value));
+        engine.render();
+    });
+    engine.addEventListener('pcapProgress', showGridSource);
+    engine.addEventListener('pcapLoaded', showGridSource);
+    showGridSource();
+
+    const gridStatsLabel = document.getElementById('gridStatsLabel');
+    engine.addEventListener('frameRendered', () => {
+        if (panel.hidden) {
+            return;
+        }
+        const stats = engine.getGridStats();
+        const peak = `peak ${stats.peakInfected} at ${stats.peakTime.toFixed(1)} s`;
+        gridStatsLabel.textContent = `${stats.time.toFixed(1)} s: ${stats.infected} infected, ${stats.susceptible} susceptible, ${stats.recovered} recovered, ${stats.immune} immune (${peak})`;
+        drawInfectionCurve();
+    });
+}
+
+// susceptible, infected and recovered hosts over time, in the colors of the grid
+function drawInfectionCurve() {
+    const canvas = document.getElementById('infectionCurveCanvas');
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    const curve = engine.getInfectionCurve();
+    const stats = engine.getGridStats();
+    if (curve.length < 2 || stats.hosts === 0) {
+        return;
+    }
+    const duration = curve[curve.length - 1].time;
+    const xOf = (time) => time / duration * canvas.width;
+    const yOf = (hosts) => canvas.height - hosts / stats.hosts * canvas.height;
+
+    for (const [key, color] of [['susceptible', '#00bbbb'], ['infected', '#dd0000'], ['recovered', '#339933']]) {
+        context.strokeStyle = color;
+        context.beginPath();
+        curve.forEach((point, idx) => {
+            if (idx === 0) {
+                context.moveTo(xOf(point.time), yOf(point[key]));
+            } else {
+                context.lineTo(xOf(point.time), yOf(point[key]));
+            }
+        });
+        context.stroke();
+    }
+}
+
+function renderParseReport(report, reassembly, infections) {
+    const pcapReport = document.getElementById('pcapReport');
+    pcapReport.innerHTML = '';
+
+    const addLine = (text) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        pcapReport.appendChild(item);
+    };
+
+    // a cancelled parse has no report, but its packets are still analysed
+    if (report) {
+        addLine(`Truncated packets: ${report.truncatedPackets}`);
+        addLine(`Malformed packets: ${report.malformedPackets}`);
+        addLine(`Bad checksums: ${report.invalidChecksums}`);
+        for (const [type, count] of Object.entries(report.errors)) {
+            addLine(`${type}: ${count}`);
+        }
+        if (report.corrupt) {
+            addLine(`Parsing stopped: ${report.corrupt}`);
+        }
+    }
+    if (reassembly) {
+        addLine(`TCP flows: ${reassembly.flows} (${reassembly.handshakes} with handshake)`);
+        addLine(`Reassembled datagrams: ${reassembly.reassembledDatagrams}`);
+        addLine(`Incomplete datagrams: ${reassembly.incompleteDatagrams}`);
+        addLine(`Overlapping fragments: ${reassembly.overlappingDatagrams}`);
+    }
+    if (infections && infections.targetPort !== undefined) {
+        addLine(`Worm infections: ${infections.infections.length} (scanning port ${infections.targetPort})`);
+    }
+}
+
+// the heaviest hitters, by bytes sent
+function renderTopSources() {
+    const topSources = document.getElementById('topSources');
+    topSources.innerHTML = '';
+
+    for (const source of engine.getSourceRanking().slice(0, TOP_SOURCES_SHOWN)) {
+        const item = document.createElement('li');
+        item.textContent = `${source.key}: ${source.packets} packets, ${source.bytes} bytes`;
+        topSources.appendChild(item);
+    }
+}
+
+function initColorRules() {
+    colorRules = loadColorRules();
+
+    document.getElementById('addColorRuleBtn').addEventListener('click', () => {
+        colorRules.push({ type: ColorRuleType.PROTOCOL, value: "TCP", color: DEFAULT_PARTICLE_COLOR });
+        renderColorRuleEditor();
+        applyColorRules();
+    });
+    document.getElementById('resetColorRulesBtn').addEventListener('click', () => {
+        colorRules = DEFAULT_COLOR_RULES.map(rule => ({ ...rule }));
+        renderColorRuleEditor();
+        applyColorRules();
+    });
+
+    renderColorRuleEditor();
+    applyColorRules();
+}
+
+// invalid rules are kept (and saved) while being edited, the engine just skips them
+function applyColorRules() {
+    engine.setColorRules(colorRules);
+    saveColorRules(colorRules);
+    renderColorLegend();
+    engine.render();
+}
+
+function renderColorRuleEditor() {
+    const colorRuleList = document.getElementById('colorRuleList');
+    colorRuleList.innerHTML = '';
+
+    colorRules.forEach((rule, idx) => {
+        const item = document.createElement('li');
+        item.className = 'color-rule';
+
+        const typeSelect = document.createElement('select');
+        for (const [type, { label }] of Object.entries(COLOR_RULE_LABELS)) {
+            typeSelect.add(new Option(label, type, false, type === rule.type));
+        }
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.value = rule.value;
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = rule.color;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'sidebar-btn';
+        removeBtn.textContent = '✕';
+
+        const refreshValueInput = () => {
+            const error = validateColorRule(rule);
+            valueInput.disabled = isValuelessRule(rule.type);
+            valueInput.placeholder = COLOR_RULE_LABELS[rule.type] ? COLOR_RULE_LABELS[rule.type].placeholder : '';
+            valueInput.classList.toggle('invalid', error !== undefined);
+            valueInput.title = error !== undefined ? error : '';
+        };
+
+        typeSelect.addEventListener('change', () => {
+            rule.type = typeSelect.value;
+            refreshValueInput();
+            applyColorRules();
+        });
+        valueInput.addEventListener('input', () => {
+            rule.value = valueInput.value;
+            refreshValueInput();
+            applyColorRules();
+        });
+        colorInput.addEventListener('input', () => {
+            rule.color = colorInput.value;
+            applyColorRules();
+        });
+        removeBtn.addEventListener('click', () => {
+            colorRules.splice(idx, 1);
+            renderColorRuleEditor();
+            applyColorRules();
+        });
+
+        refreshValueInput();
+        item.append(typeSelect, valueInput, colorInput, removeBtn);
+        colorRuleList.appendChild(item);
+    });
+}
+
+function renderColorLegend() {
+    const colorLegend = document.getElementById('colorLegend');
+    colorLegend.innerHTML = '';
+
+    const addEntry = (color, text) => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'legend-swatch';
+        swatch.style.background = color;
+        item.append(swatch, text);
+        colorLegend.appendChild(item);
+    };
+
+    for (const rule of colorRules.filter(rule => validateColorRule(rule) === undefined)) {
+        addEntry(rule.color, describeColorRule(rule));
+    }
+    addEntry(DEFAULT_PARTICLE_COLOR, 'other');
+}
+
+function initTimeline() {
+    const canvas = document.getElementById('timelineCanvas');
+    const playbackSpeedSelect = document.getElementById('playbackSpeedSelect');
+
+    for (const speed of PLAYBACK_SPEEDS) {
+        playbackSpeedSelect.add(new Option(`${speed}x`, speed, false, speed === 1));
+    }
+    playbackSpeedSelect.addEventListener('change', () => {
+        engine.setPlaybackSpeed(parseFloat(playbackSpeedSelect.value));
+    });
+
+    document.getElementById('clearLoopBtn').addEventListener('click', () => {
+        engine.clearLoopRegion();
+        drawTimeline();
+    });
+
+    const timeAt = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+        return fraction * engine.getTimeline().duration;
+    };
+
+    // A drag seeks at most once a frame, to wherever the pointer has got to by then, and
+    // once more where it is let go
+    let pendingSeek = null;
+    const seekNextFrame = (time) => {
+        if (pendingSeek === null) {
+            requestAnimationFrame(() => {
+                if (pendingSeek !== null) {
+                    engine.seek(pendingSeek);
+                    pendingSeek = null;
+                    drawTimeline();
+                }
+            });
+        }
+        pendingSeek = time;
+    };
+
+    // click (and drag) seeks, shift+drag selects the loop region
+    let loopStart = null;
+    canvas.addEventListener('pointerdown', (event) => {
+        canvas.setPointerCapture(event.pointerId);
+        if (event.shiftKey) {
+            loopStart = timeAt(event);
+        } else {
+            engine.seek(timeAt(event));
+        }
+        drawTimeline();
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!canvas.hasPointerCapture(event.pointerId)) {
+            return;
+        }
+        if (loopStart === null) {
+            seekNextFrame(timeAt(event));
+        } else {
+            const time = timeAt(event);
+            drawTimeline({ start: Math.min(loopStart, time), end: Math.max(loopStart, time) });
+        }
+    });
+    canvas.addEventListener('pointerup', (event) => {
+        if (pendingSeek !== null) {
+            pendingSeek = null;
+            engine.seek(timeAt(event));
+        }
+        if (loopStart !== null) {
+            const time = timeAt(event);
+            if (time !== loopStart) {
+                engine.setLoopRegion(Math.min(loopStart, time), Math.max(loopStart, time));
+            }
+            loopStart = null;
+        }
+        drawTimeline();
+    });
+
+    window.addEventListener('resize', refreshTimelineHistogram);
+    engine.addEventListener('frameRendered', () => drawTimeline());
+    engine.addEventListener('pcapProgress', refreshTimelineHistogram);
+    engine.addEventListener('pcapLoaded', refreshTimelineHistogram);
+
+    refreshTimelineHistogram();
+}
+
+function refreshTimelineHistogram() {
+    const canvas = document.getElementById('timelineCanvas');
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+
+    const binCount = Math.max(1, Math.floor(canvas.width / TIMELINE_BAR_WIDTH));
+    timelineHistogram = engine.getPacketRateHistogram(binCount);
+    drawTimeline();
+}
+
+function formatCaptureTime(timeline) {
+    const relative = `+${(timeline.currentTime / 1000).toFixed(3)} s / ${(timeline.duration / 1000).toFixed(3)} s`;
+    if (timeline.captureStart === undefined) {
+        return relative;
+    }
+    const absolute = new Date(Number(timeline.captureStart / 1000000n) + timeline.currentTime);
+    return `${absolute.toISOString()} (${relative})`;
+}
+
+// `loopPreview` is the region being dragged out, drawn instead of the current one
+function drawTimeline(loopPreview) {
+    const canvas = document.getElementById('timelineCanvas');
+    const context = canvas.getContext('2d');
+    const timeline = engine.getTimeline();
+    const duration = Math.max(timeline.duration, 1);
+    const xOf = (time) => time / duration * canvas.width;
+
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    if (timelineHistogram !== null) {
+        const counts = timelineHistogram.counts;
+        const max = Math.max(1, ...counts);
+        const barWidth = canvas.width / counts.length;
+        context.fillStyle = '#b37dff';
+        counts.forEach((count, idx) => {
+            const height = count / max * canvas.height;
+            context.fillRect(idx * barWidth, canvas.height - height, Math.max(barWidth - 1, 1), height);
+        });
+    }
+
+    const loop = loopPreview !== undefined ? loopPreview : timeline.loopRegion;
+    if (loop !== null) {
+        context.fillStyle = 'rgba(255, 144, 232, 0.35)';
+        context.fillRect(xOf(loop.start), 0, xOf(loop.end) - xOf(loop.start), canvas.height);
+    }
+
+    context.fillStyle = '#ff0000';
+    context.fillRect(xOf(timeline.currentTime) - 1, 0, 2, canvas.height);
+
+    document.getElementById('timelineTimeLabel').textContent = formatCaptureTime(timeline);
+}
+
+function initPacketInspector() {
+    const canvas = engine.renderer.canvas;
+    const tooltip = document.getElementById('packetTooltip');
+
+    // the particle under a pointer event, if any
+    const particleAt = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) / rect.width * 2 - 1;
+        const y = 1 - (event.clientY - rect.top) / rect.height * 2;
+        return engine.pickParticle(x, y);
+    };
+
+    canvas.addEventListener('pointermove', (event) => {
+        const particle = particleAt(event);
+        canvas.style.cursor = particle !== null ? 'pointer' : '';
+        tooltip.hidden = particle === null;
+        if (particle !== null) {
+            tooltip.textContent = summarizeParticle(particle).join('\n');
+            tooltip.style.left = `${event.clientX + 12}px`;
+            tooltip.style.top = `${event.clientY + 12}px`;
+        }
+    });
+    canvas.addEventListener('pointerleave', () => {
+        tooltip.hidden = true;
+    });
+
+    canvas.addEventListener('click', (event) => {
+        const particle = particleAt(event);
+        if (particle === null) {
+            return;
+        }
+        engine.selectParticle(particle);
+        renderPacketInspector(particle);
+        document.getElementById('sidebar').classList.add('active');
+        document.getElementById('toggleBtn').classList.add('active');
+    });
+
+    document.getElementById('closeInspectorBtn').addEventListener('click', () => {
+        engine.selectParticle(null);
+        renderPacketInspector(null);
+    });
+}
+
+// the layers of the selected particle's packet as a tree, and its bytes
+function renderPacketInspector(particle) {
+    const inspector = document.getElementById('packetInspector');
+    const packetLayers = document.getElementById('packetLayers');
+    const packetHexDump = document.getElementById('packetHexDump');
+    packetLayers.innerHTML = '';
+    inspector.classList.toggle('active', particle !== null);
+    if (particle === null) {
+        return;
+    }
+
+    const title = document.createElement('p');
+    title.textContent = summarizeParticle(particle).join(', ');
+    packetLayers.appendChild(title);
+
+    if (particle.frame === undefined) {
+        packetHexDump.textContent = 'No capture record for this packet';
+        return;
+    }
+    for (const layer of decodePacketLayers(particle.frame)) {
+        const details = document.createElement('details');
+        details.open = true;
+        const summary = document.createElement('summary');
+        summary.textContent = layer.name;
+        const table = document.createElement('table');
+        for (const [label, text] of layer.fields) {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = text;
+        }
+        details.append(summary, table);
+        packetLayers.appendChild(details);
+    }
+    packetHexDump.textContent = formatHexDump(particle.frame.data);
 }
 
 function initEngine() {
@@ -60,6 +699,9 @@ function initEngine() {
 document.addEventListener('DOMContentLoaded', () => {
     initEngine();
     initGUI();
+    initColorRules();
+    initTimeline();
+    initPacketInspector();
 
 
 });
@@ -0,0 +1,155 @@
+import {IPProtocolType, getIPProtocolName} from "./utils.js";
+
+// bytes per line of the hex dump
+const HEX_DUMP_WIDTH = 16;
+
+// what a layer carries besides its own fields: the layers above it and raw bytes
+const LAYER_LINK_KEYS = ["type", "header", "payload", "datagram", "application", "data", "fragmentData"];
+
+function isAddress (value) {
+    return typeof value.string === "string" && value.array instanceof Uint8Array;
+}
+
+// TCP flags, IPv4 flags and the like: only the ones set are listed
+function isFlagSet (value) {
+    const values = Object.values(value);
+    return values.length > 0 && values.every(flag => typeof flag === "boolean");
+}
+
+function formatItem (item) {
+    if (item === null || typeof item !== "object") {
+        return `${item}`;
+    }
+    return Object.entries(item)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${formatValue(value)}`)
+        .join(" ");
+}
+
+function formatValue (value) {
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (value === null || typeof value !== "object") {
+        return `${value}`;
+    }
+    if (value instanceof Uint8Array) {
+        return `${value.length} bytes`;
+    }
+    if (Array.isArray(value)) {
+        return value.length === 0 ? "none" : value.map(formatItem).join("; ");
+    }
+    if (isAddress(value)) {
+        return value.string;
+    }
+    if (isFlagSet(value)) {
+        const set = Object.keys(value).filter(flag => value[flag]);
+        return set.length === 0 ? "none" : set.join(", ");
+    }
+    return formatItem(value);
+}
+
+// [label, text] pairs for the fields of `object`; nested records get dotted labels
+function describeFields (object, skip = [], prefix = "") {
+    let fields = [];
+    for (const [key, value] of Object.entries(object)) {
+        if (value === undefined || skip.includes(key)) {
+            continue;
+        }
+        const isRecord = typeof value === "object" && value !== null && !Array.isArray(value) &&
+            !(value instanceof Uint8Array) && !isAddress(value) && !isFlagSet(value);
+        if (isRecord) {
+            fields.push(...describeFields(value, [], `${prefix}${key}.`));
+        } else {
+            fields.push([`${prefix}${key}`, formatValue(value)]);
+        }
+    }
+    return fields;
+}
+
+function describeLayer (layer) {
+    let fields = [
+        ...(layer.header !== undefined ? describeFields(layer.header) : []),
+        ...describeFields(layer, LAYER_LINK_KEYS)
+    ];
+    if (layer.data instanceof Uint8Array) {
+        fields.push(["payload", `${layer.data.length} bytes`]);
+    }
+    return { name: layer.type, fields: fields };
+}
+
+// The decode of a parsed capture record, one entry per layer from the frame itself up to the
+// application: [{name, fields: [[label, text]]}]
+export function decodePacketLayers (element) {
+    let frameFields = [
+        ["captured", `${element.header.inclLen} bytes`],
+        ["original", `${element.header.origLen} bytes`],
+        ["time", `+${(element.header.relativeTime / 1000).toFixed(6)} s${element.header.timestampInherited ? " (not recorded, previous packet's)" : ""}`],
+    ];
+    for (const error of element.errors) {
+        frameFields.push([error.kind, `${error.type}: ${error.reason}`]);
+    }
+    let layers = [{ name: "Frame", fields: frameFields }];
+
+    const link = element.packet;
+    const ip = link !== undefined ? link.payload : undefined;
+    const transport = ip !== undefined ? ip.datagram : undefined;
+    const application = transport !== undefined ? transport.application : undefined;
+    for (const layer of [link, ip, transport, application]) {
+        if (layer !== undefined) {
+            layers.push(describeLayer(layer));
+        }
+    }
+    return layers;
+}
+
+// Offset, hex bytes in two groups of eight and the printable ASCII, one line per 16 bytes
+export function formatHexDump (bytes) {
+    let lines = [];
+    for (let offset = 0; offset < bytes.length; offset += HEX_DUMP_WIDTH) {
+        const row = bytes.subarray(offset, offset + HEX_DUMP_WIDTH);
+        let hex = "";
+        let ascii = "";
+        for (let i = 0; i < HEX_DUMP_WIDTH; i++) {
+            hex += i < row.length ? `${row[i].toString(16).padStart(2, "0")} ` : "   ";
+            if (i === HEX_DUMP_WIDTH / 2 - 1) {
+                hex += " ";
+            }
+            if (i < row.length) {
+                ascii += row[i] >= 0x20 && row[i] < 0x7f ? String.fromCharCode(row[i]) : ".";
+            }
+        }
+        lines.push(`${offset.toString(16).padStart(4, "0")}  ${hex} ${ascii}`);
+    }
+    return lines.join("\n");
+}
+
+// One line each for the endpoints, protocol, TCP flags and size of what a particle stands for
+export function summarizeParticle (particle) {
+    const ip = particle.payload;
+    const datagram = ip.datagram;
+    const hasPorts = datagram !== undefined && datagram.header.sourcePort !== undefined;
+    const sourcePort = hasPorts ? `:${datagram.header.sourcePort}` : "";
+    const destPort = hasPorts ? `:${datagram.header.destPort}` : "";
+
+    let lines = [`${ip.header.sourceIP.string}${sourcePort} → ${ip.header.destIP.string}${destPort}`];
+
+    const transport = getIPProtocolName(ip.header.protocol);
+    let protocol = transport !== undefined ? transport : `IP protocol ${ip.header.protocol}`;
+    if (particle.applicationProtocol !== undefined) {
+        protocol += ` / ${particle.applicationProtocol}`;
+    }
+    if (particle.application !== undefined) {
+        protocol += ` (${particle.application})`;
+    }
+    lines.push(protocol);
+
+    if (ip.header.protocol === IPProtocolType.TCP && datagram !== undefined) {
+        lines.push(`Flags: ${formatValue(datagram.header.flags)}`);
+    }
+    if (particle.flow !== undefined) {
+        lines.push(`TCP flow, ${particle.flow.state}`);
+    }
+    lines.push(particle.packets > 1 ? `${particle.bytes} bytes in ${particle.packets} packets` : `${particle.bytes} bytes`);
+    return lines;
+}
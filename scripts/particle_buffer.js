@@ -0,0 +1,77 @@
+// Simulation state of the live particles, packed in typed arrays so the physics loop and the
+// instanced mesh walk plain numbers instead of objects. Slot i belongs to handles[i]; removing
+// a particle moves the last one into its slot, so the slots in use are always 0..count-1.
+export class ParticleBuffer {
+    constructor (capacity = 1024) {
+        this.count = 0;
+        this.capacity = 0;
+        this.handles = [];
+        this.grow(capacity);
+    }
+
+    grow (capacity) {
+        const resize = (ArrayType, old, stride) => {
+            const next = new ArrayType(capacity * stride);
+            if (old !== undefined) {
+                next.set(old.subarray(0, this.count * stride));
+            }
+            return next;
+        };
+
+        this.x = resize(Float64Array, this.x, 1);
+        this.y = resize(Float64Array, this.y, 1);
+        this.vx = resize(Float64Array, this.vx, 1);
+        this.vy = resize(Float64Array, this.vy, 1);
+        this.radius = resize(Float64Array, this.radius, 1);
+        this.mass = resize(Float64Array, this.mass, 1);
+        // linear RGB, laid out for THREE.InstancedBufferAttribute
+        this.color = resize(Float32Array, this.color, 3);
+        this.capacity = capacity;
+    }
+
+    // gives the handle a slot, at rest at (x, y)
+    add (handle, x, y) {
+        if (this.count === this.capacity) {
+            this.grow(this.capacity * 2);
+        }
+        const idx = this.count++;
+        this.handles.push(handle);
+        handle.index = idx;
+
+        this.x[idx] = x;
+        this.y[idx] = y;
+        this.vx[idx] = 0;
+        this.vy[idx] = 0;
+        return idx;
+    }
+
+    remove (handle) {
+        const idx = handle.index;
+        const last = this.count - 1;
+        if (idx !== last) {
+            this.x[idx] = this.x[last];
+            this.y[idx] = this.y[last];
+            this.vx[idx] = this.vx[last];
+            this.vy[idx] = this.vy[last];
+            this.radius[idx] = this.radius[last];
+            this.mass[idx] = this.mass[last];
+            this.color.copyWithin(idx * 3, last * 3, last * 3 + 3);
+
+            const moved = this.handles[last];
+            moved.index = idx;
+            this.handles[idx] = moved;
+        }
+        this.handles.pop();
+        this.count--;
+        handle.index = -1;
+    }
+
+    clear () {
+        for (let handle of this.handles) {
+            handle.index = -1;
+        }
+        // emptied in place: callers keep a reference to the handle list
+        this.handles.length = 0;
+        this.count = 0;
+    }
+}
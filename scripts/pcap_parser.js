@@ -1,99 +1,495 @@
-import {HeaderLinkType, EthernetProtocolType, IPProtocolType, getFirstNBits, getLastNBits, getFlagBit} from "./utils.js";
+import {HeaderLinkType, EthernetProtocolType, IPProtocolType, TCPOptionKind, IPv4OptionType, ICMPType, ICMPv6Type, LoopbackAddressFamily, PPPProtocolType, IEEE802_11FrameType, RadiotapField, RadiotapFlag, ParseErrorType, ParseErrorKind, ChecksumStatus, PcapMagicNumber, PcapngBlockType, PcapngOptionCode, PcapngNameRecordType, formatHex, formatIPv4Address, formatIPv6Address, readUint16, readUint32, getFirstNBits, getLastNBits, getFlagBit, onesComplementSum, foldChecksum} from "./utils.js";
+import {parseApplicationLayer} from "./application_layer.js";
+
+// Problems found while dissecting the current packet. Dissection is synchronous, so one
+// collector is enough; dissectPacket resets it for every record.
+let packetErrors = [];
+
+function reportTruncated (type, reason) {
+    packetErrors.push({ type: type, kind: ParseErrorKind.TRUNCATED, reason: reason });
+}
+
+function reportMalformed (type, reason) {
+    packetErrors.push({ type: type, kind: ParseErrorKind.MALFORMED, reason: reason });
+}
+
+// Walks a kind/length/value option block (TCP and IPv4 share the layout).
+// A malformed or truncated option ends the walk and is reported instead of throwing.
+function parseOptionList (data, endOfOptions, noOperation, decodeValue) {
+    let options = [];
+    let offset = 0;
+    while (offset < data.length) {
+        const kind = data[offset];
+
+        if (kind === endOfOptions || kind === noOperation) {
+            options.push({ kind: kind, length: 1 });
+            offset += 1;
+            if (kind === endOfOptions) {
+                break;
+            }
+            continue;
+        }
+
+        if (offset + 1 >= data.length) {
+            options.push({ kind: kind, malformed: true, reason: "missing length" });
+            break;
+        }
+
+        const length = data[offset + 1];
+        if (length < 2) {
+            options.push({ kind: kind, length: length, malformed: true, reason: "length too short" });
+            break;
+        }
+        if (offset + length > data.length) {
+            options.push({ kind: kind, length: length, malformed: true, reason: "truncated" });
+            break;
+        }
+
+        const raw = data.subarray(offset + 2, offset + length);
+        let option = { kind: kind, length: length };
+        const value = decodeValue(kind, raw);
+        if (value === null) {
+            option.malformed = true;
+            option.reason = "unexpected length";
+            option.value = raw;
+        } else {
+            option.value = value;
+        }
+        options.push(option);
+        offset += length;
+    }
+    for (let option of options) {
+        if (option.malformed) {
+            reportMalformed(ParseErrorType.MALFORMED_OPTION, `option ${option.kind}: ${option.reason}`);
+        }
+    }
+    return options;
+}
+
+function decodeTCPOption (kind, raw) {
+    const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+    switch (kind) {
+        case TCPOptionKind.MSS:
+            return raw.length === 2 ? view.getUint16(0) : null;
+        case TCPOptionKind.WINDOW_SCALE:
+            return raw.length === 1 ? raw[0] : null;
+        case TCPOptionKind.SACK_PERMITTED:
+            return raw.length === 0 ? true : null;
+        case TCPOptionKind.SACK: {
+            if (raw.length % 8 !== 0) {
+                return null;
+            }
+            let blocks = [];
+            for (let i = 0; i < raw.length; i += 8) {
+                blocks.push({ left: view.getUint32(i), right: view.getUint32(i + 4) });
+            }
+            return blocks;
+        }
+        case TCPOptionKind.TIMESTAMPS:
+            return raw.length === 8 ? { value: view.getUint32(0), echoReply: view.getUint32(4) } : null;
+        case TCPOptionKind.USER_TIMEOUT:
+            return raw.length === 2 ? view.getUint16(0) : null;
+        default:
+            return raw;
+    }
+}
+
+function decodeIPv4Option (kind, raw) {
+    switch (kind) {
+        case IPv4OptionType.RECORD_ROUTE:
+        case IPv4OptionType.LOOSE_SOURCE_ROUTE:
+        case IPv4OptionType.STRICT_SOURCE_ROUTE: {
+            if (raw.length < 1 || (raw.length - 1) % 4 !== 0) {
+                return null;
+            }
+            let route = [];
+            for (let i = 1; i < raw.length; i += 4) {
+                route.push(formatIPv4Address(raw.subarray(i, i + 4)));
+            }
+            return { pointer: raw[0], route: route };
+        }
+        case IPv4OptionType.TIMESTAMP: {
+            if (raw.length < 2) {
+                return null;
+            }
+            return {
+                pointer: raw[0],
+                overflow: getFirstNBits(raw[1], 4),
+                flag: getLastNBits(raw[1], 4),
+                data: raw.subarray(2)
+            };
+        }
+        case IPv4OptionType.ROUTER_ALERT:
+            return raw.length === 2 ? readUint16(raw, 0) : null;
+        case IPv4OptionType.STREAM_ID:
+            return raw.length === 2 ? readUint16(raw, 0) : null;
+        default:
+            return raw;
+    }
+}
+
+function parseTCPSegment (data) {
+    if (data.length < 20) {
+        reportTruncated(ParseErrorType.TRUNCATED_TCP_HEADER, `${data.length} bytes, need 20`);
+        return undefined;
+    }
+
+    const sourcePort = readUint16(data, 0);
+    const destPort = readUint16(data, 2);
+    const sequenceNumber = readUint32(data, 4);
+    const ACKNumber = readUint32(data, 8);
+
+    const offsetReserved = data[12];
+    let dataOffset = getFirstNBits(offsetReserved, 4) * 4;
+    const reserved = getLastNBits(offsetReserved, 4);
+
+    const isBadDataOffset = dataOffset < 20;
+    if (isBadDataOffset) {
+        reportMalformed(ParseErrorType.BAD_TCP_DATA_OFFSET, `data offset ${dataOffset} below 20`);
+    } else if (dataOffset > data.length) {
+        reportTruncated(ParseErrorType.TRUNCATED_TCP_HEADER, `data offset ${dataOffset} beyond ${data.length} bytes`);
+    }
+
+    const flags = data[13];
+    const FIN = getFlagBit(flags, 0);
+    const SYN = getFlagBit(flags, 1);
+    const RST = getFlagBit(flags, 2);
+    const PSH = getFlagBit(flags, 3);
+    const ACK = getFlagBit(flags, 4);
+    const URG = getFlagBit(flags, 5);
+    const ECE = getFlagBit(flags, 6);
+    const CWR = getFlagBit(flags, 7);
+
+    const window = readUint16(data, 14);
+    const checksum = readUint16(data, 16);
+    const urgentPointer = readUint16(data, 18);
+
+    // with a bogus offset the options and payload boundaries are unknown
+    const options = isBadDataOffset ? [] : parseOptionList(data.subarray(20, dataOffset), TCPOptionKind.EOL, TCPOptionKind.NOP, decodeTCPOption);
+
+    const tcpData = isBadDataOffset ? new Uint8Array(0) : data.subarray(dataOffset);
+
+    return {
+        type: "TCP PDU",
+        header: {
+            sourcePort: sourcePort,
+            destPort: destPort,
+            sequenceNumber: sequenceNumber,
+            ACKNumber: ACKNumber,
+            dataOffset: dataOffset,
+            reserved: reserved,
+            flags: {
+                CWR: CWR,
+                ECE: ECE,
+                URG: URG,
+                ACK: ACK,
+                PSH: PSH,
+                RST: RST,
+                SYN: SYN,
+                FIN: FIN
+            },
+            window: window,
+            checksum: checksum,
+            urgentPointer: urgentPointer,
+            options: options,
+            // option ordering is what SYN fingerprinting keys on
+            optionKinds: options.map(option => option.kind)
+        },
+        data: tcpData
+    }
+}
+
+function parseUDPDatagram (data) {
+    if (data.length < 8) {
+        reportTruncated(ParseErrorType.TRUNCATED_UDP_HEADER, `${data.length} bytes, need 8`);
+        return undefined;
+    }
+
+    const sourcePort = readUint16(data, 0);
+    const destPort = readUint16(data, 2);
+    const length = readUint16(data, 4);
+    const checksum = readUint16(data, 6);
+
+    // a zero length is legal for IPv6 jumbograms
+    if (length !== 0 && length < 8) {
+        reportMalformed(ParseErrorType.BAD_UDP_LENGTH, `length ${length} below 8`);
+    } else if (length > data.length) {
+        reportTruncated(ParseErrorType.TRUNCATED_IP_PAYLOAD, `UDP length ${length}, ${data.length} bytes captured`);
+    }
+
+    const udpData = data.subarray(8, length >= 8 ? length : data.length);
+
+    return {
+        type: "UDP Datagram",
+        header: {
+            sourcePort: sourcePort,
+            destPort: destPort,
+            length: length,
+            checksum: checksum
+        },
+        data: udpData
+    }
+}
+
+// ICMP errors quote a cut-down datagram on purpose (and first fragments carry a partial one),
+// so its problems are not the packet's
+function parseQuotedDatagram (data, parser, minLength) {
+    if (data.length < minLength) {
+        return undefined;
+    }
+    const outerErrors = packetErrors;
+    packetErrors = [];
+    const quoted = parser(data);
+    packetErrors = outerErrors;
+    return quoted;
+}
+
+function parseICMPMessage (data) {
+    if (data.length < 8) {
+        reportTruncated(ParseErrorType.TRUNCATED_ICMP_HEADER, `${data.length} bytes, need 8`);
+        return undefined;
+    }
+
+    const type = data[0];
+    const code = data[1];
+    const checksum = readUint16(data, 2);
+
+    let header = {
+        type: type,
+        code: code,
+        checksum: checksum
+    };
+    let original;
+
+    switch (type) {
+        case ICMPType.ECHO_REPLY:
+        case ICMPType.ECHO_REQUEST:
+        case ICMPType.TIMESTAMP:
+        case ICMPType.TIMESTAMP_REPLY:
+            header.identifier = readUint16(data, 4);
+            header.sequenceNumber = readUint16(data, 6);
+            break;
+        case ICMPType.REDIRECT:
+            header.gateway = formatIPv4Address(data.subarray(4, 8));
+            original = parseQuotedDatagram(data.subarray(8), parseIPv4Payload, 20);
+            break;
+        case ICMPType.DESTINATION_UNREACHABLE:
+            header.nextHopMTU = readUint16(data, 6);
+            original = parseQuotedDatagram(data.subarray(8), parseIPv4Payload, 20);
+            break;
+        case ICMPType.PARAMETER_PROBLEM:
+            header.pointer = data[4];
+            original = parseQuotedDatagram(data.subarray(8), parseIPv4Payload, 20);
+            break;
+        case ICMPType.SOURCE_QUENCH:
+        case ICMPType.TIME_EXCEEDED:
+            original = parseQuotedDatagram(data.subarray(8), parseIPv4Payload, 20);
+            break;
+    }
+
+    return {
+        type: "ICMP Message",
+        header: header,
+        // error messages quote the IP header and first bytes of the offending datagram
+        original: original,
+        data: data.subarray(8)
+    }
+}
+
+function parseICMPv6Message (data) {
+    if (data.length < 8) {
+        reportTruncated(ParseErrorType.TRUNCATED_ICMP_HEADER, `${data.length} bytes, need 8`);
+        return undefined;
+    }
+
+    const type = data[0];
+    const code = data[1];
+    const checksum = readUint16(data, 2);
+
+    let header = {
+        type: type,
+        code: code,
+        checksum: checksum
+    };
+    let original;
+
+    switch (type) {
+        case ICMPv6Type.ECHO_REQUEST:
+        case ICMPv6Type.ECHO_REPLY:
+            header.identifier = readUint16(data, 4);
+            header.sequenceNumber = readUint16(data, 6);
+            break;
+        case ICMPv6Type.PACKET_TOO_BIG:
+            header.mtu = readUint32(data, 4);
+            original = parseQuotedDatagram(data.subarray(8), parseIPv6Payload, 40);
+            break;
+        case ICMPv6Type.PARAMETER_PROBLEM:
+            header.pointer = readUint32(data, 4);
+            original = parseQuotedDatagram(data.subarray(8), parseIPv6Payload, 40);
+            break;
+        case ICMPv6Type.DESTINATION_UNREACHABLE:
+        case ICMPv6Type.TIME_EXCEEDED:
+            original = parseQuotedDatagram(data.subarray(8), parseIPv6Payload, 40);
+            break;
+        case ICMPv6Type.NEIGHBOR_SOLICITATION:
+        case ICMPv6Type.NEIGHBOR_ADVERTISEMENT:
+            if (data.length < 24) {
+                reportTruncated(ParseErrorType.TRUNCATED_ICMP_HEADER, `neighbor discovery message of ${data.length} bytes`);
+                break;
+            }
+            header.targetAddress = formatIPv6Address(data.subarray(8, 24));
+            break;
+    }
+
+    return {
+        type: "ICMPv6 Message",
+        header: header,
+        original: original,
+        data: data.subarray(8)
+    }
+}
+
+function withApplicationLayer (datagram, protocol) {
+    if (datagram !== undefined) {
+        datagram.application = parseApplicationLayer(protocol, datagram.header.sourcePort, datagram.header.destPort, datagram.data);
+    }
+    return datagram;
+}
 
 function parseProtocolDatagram (data, protocol) {
     switch (protocol) {
         case IPProtocolType.TCP:
-            const sourcePort = new DataView(data.slice(0, 2).buffer).getUint16();
-            const destPort = new DataView(data.slice(2, 4).buffer).getUint16();
-            const sequenceNumber = new DataView(data.slice(4, 8).buffer).getUint32();
-            const ACKNumber = new DataView(data.slice(8, 12).buffer).getUint32();
-
-            const offsetReserved = data[12];
-            const dataOffset = getFirstNBits(offsetReserved, 4) * 4;
-            const reserved = getLastNBits(offsetReserved, 4);
-
-            const flags = data[13];
-            const FIN = getFlagBit(flags, 0);
-            const SYN = getFlagBit(flags, 1);
-            const RST = getFlagBit(flags, 2);
-            const PSH = getFlagBit(flags, 3);
-            const ACK = getFlagBit(flags, 4);
-            const URG = getFlagBit(flags, 5);
-            const ECE = getFlagBit(flags, 6);
-            const CWR = getFlagBit(flags, 7);
-
-            const window = new DataView(data.slice(14, 16).buffer).getUint16();
-            const checksum = new DataView(data.slice(16, 18).buffer).getUint16();
-            const urgentPointer = new DataView(data.slice(18, 20).buffer).getUint16();
-
-            const options = data.slice(20, dataOffset);
-            // TODO: option parsing
-
-            const tcpData = data.slice(dataOffset);
+            return withApplicationLayer(parseTCPSegment(data), protocol);
+        case IPProtocolType.UDP:
+            return withApplicationLayer(parseUDPDatagram(data), protocol);
+        case IPProtocolType.ICMP:
+            return parseICMPMessage(data);
+        case IPProtocolType.ICMPv6:
+            return parseICMPv6Message(data);
+    }
+}
 
-            return {
-                type: "TCP PDU",
-                header: {
-                    sourcePort: sourcePort,
-                    destPort: destPort,
-                    sequenceNumber: sequenceNumber,
-                    ACKNumber: ACKNumber,
-                    dataOffset: dataOffset,
-                    reserved: reserved,
-                    flags: {
-                        CWR: CWR,
-                        ECE: ECE,
-                        URG: URG,
-                        ACK: ACK,
-                        PSH: PSH,
-                        RST: RST,
-                        SYN: SYN,
-                        FIN: FIN
-                    },
-                    window: window,
-                    checksum: checksum,
-                    urgentPointer: urgentPointer,
-                    options: options
-                },
-                data: tcpData
-            }
+function pseudoHeaderSum (sourceIp, destIp, protocol, length) {
+    // IPv6 widens the length to 32 bits (RFC 8200 8.1), the sum is the same either way
+    return onesComplementSum(destIp, onesComplementSum(sourceIp)) + protocol + Math.floor(length / 0x10000) + (length % 0x10000);
+}
+
+// Checks the TCP/UDP checksum against the pseudo-header. `segment` is everything the IP
+// layer says belongs to the datagram, `isComplete` whether all of it was captured.
+function getTransportChecksumStatus (datagram, segment, sourceIp, destIp, protocol, isComplete) {
+    const checksum = datagram.header.checksum;
+    if (protocol === IPProtocolType.UDP && checksum === 0) {
+        // mandatory over IPv6 (RFC 8200 8.1)
+        return sourceIp.length === 4 ? ChecksumStatus.ABSENT : ChecksumStatus.INVALID;
+    }
+    if (!isComplete) {
+        return ChecksumStatus.UNVERIFIED;
     }
+
+    let length = segment.length;
+    if (protocol === IPProtocolType.UDP && datagram.header.length !== 0) {
+        if (datagram.header.length < 8 || datagram.header.length > segment.length) {
+            return ChecksumStatus.UNVERIFIED;
+        }
+        length = datagram.header.length;
+    }
+
+    const pseudoHeader = pseudoHeaderSum(sourceIp, destIp, protocol, length);
+    if (foldChecksum(onesComplementSum(segment.subarray(0, length), pseudoHeader)) === 0xffff) {
+        return ChecksumStatus.VALID;
+    }
+
+    // with checksum offload the stack leaves zero or the folded pseudo-header sum for the NIC
+    const partial = foldChecksum(pseudoHeader);
+    if (checksum === 0 || checksum === partial || checksum === (~partial & 0xffff)) {
+        return ChecksumStatus.OFFLOADED;
+    }
+    return ChecksumStatus.INVALID;
+}
+
+function verifyTransportChecksum (datagram, segment, sourceIp, destIp, protocol, isComplete) {
+    if (datagram === undefined || (protocol !== IPProtocolType.TCP && protocol !== IPProtocolType.UDP)) {
+        return;
+    }
+    datagram.header.checksumStatus = getTransportChecksumStatus(datagram, segment, sourceIp, destIp, protocol, isComplete);
+}
+
+function getIPv4HeaderChecksumStatus (header, checksum) {
+    if (foldChecksum(onesComplementSum(header)) === 0xffff) {
+        return ChecksumStatus.VALID;
+    }
+    return checksum === 0 ? ChecksumStatus.OFFLOADED : ChecksumStatus.INVALID;
 }
 
 function parseIPv4Payload (data) {
-    const versionIHL = data[14];
+    if (data.length < 20) {
+        reportTruncated(ParseErrorType.TRUNCATED_IP_HEADER, `IPv4 header of ${data.length} bytes`);
+        return undefined;
+    }
+
+    const versionIHL = data[0];
     const version = getFirstNBits(versionIHL, 4);
     const headerLen = getLastNBits(versionIHL, 4) * 4;
 
-    const typeOfService = data[15];
+    if (version !== 4) {
+        reportMalformed(ParseErrorType.BAD_IP_VERSION, `version ${version} in an IPv4 packet`);
+        return undefined;
+    }
+
+    const typeOfService = data[1];
     const differentiatedServicesCodepoint = getFirstNBits(typeOfService, 6);
     const ecn = getLastNBits(typeOfService, 2);
 
-    const ipLen = new DataView(data.slice(16, 18).buffer).getUint16();
+    const ipLen = readUint16(data, 2);
 
-    const ipId = new DataView(data.slice(18, 20).buffer).getUint16();
+    const ipId = readUint16(data, 4);
 
-    const flagsFragmentOffset = new DataView(data.slice(20, 22).buffer).getUint16();
+    const flagsFragmentOffset = readUint16(data, 6);
     const flags = getFirstNBits(flagsFragmentOffset, 3, 16);
     const dontFragmentFlag = (flags == 2 || flags == 3);
     const moreFragmentsFlag = (flags == 1 || flags == 3);
     const fragmentOffset = getLastNBits(flagsFragmentOffset, 13);
 
-    const ttl = data[22];
+    const ttl = data[8];
 
-    const protocol = data[23];
+    const protocol = data[9];
 
-    const headerChecksum = new DataView(data.slice(24, 26).buffer).getUint16();
+    const headerChecksum = readUint16(data, 10);
 
-    const sourceIp = data.slice(26, 30);
+    const sourceIp = data.subarray(12, 16);
 
-    const destIp = data.slice(30, 34);
+    const destIp = data.subarray(16, 20);
 
-    const lastIdx = 14 + headerLen;
-    const options = data.slice(34, lastIdx);
-    // TODO: option parsing
+    let isHeaderValid = true;
+    if (headerLen < 20) {
+        reportMalformed(ParseErrorType.BAD_IP_HEADER_LENGTH, `header length ${headerLen} below 20`);
+        isHeaderValid = false;
+    } else if (headerLen > data.length) {
+        reportTruncated(ParseErrorType.TRUNCATED_IP_HEADER, `header length ${headerLen}, ${data.length} bytes captured`);
+        isHeaderValid = false;
+    }
 
-    const datagram = parseProtocolDatagram(data.slice(lastIdx), protocol);
+    // total length excludes link-layer padding; it is 0 on segmentation-offloaded captures
+    if (ipLen !== 0 && ipLen < headerLen) {
+        reportMalformed(ParseErrorType.BAD_IP_TOTAL_LENGTH, `total length ${ipLen} below header length ${headerLen}`);
+    } else if (ipLen > data.length) {
+        reportTruncated(ParseErrorType.TRUNCATED_IP_PAYLOAD, `total length ${ipLen}, ${data.length} bytes captured`);
+    }
+    const lastIdx = ipLen >= headerLen ? Math.min(ipLen, data.length) : data.length;
+
+    const options = isHeaderValid ? parseOptionList(data.subarray(20, headerLen), IPv4OptionType.EOL, IPv4OptionType.NOP, decodeIPv4Option) : [];
+
+    // later fragments carry no upper-layer header, and a first fragment may cut it short
+    const isFragment = moreFragmentsFlag || fragmentOffset > 0;
+    let datagram;
+    if (isHeaderValid && !isFragment) {
+        datagram = parseProtocolDatagram(data.subarray(headerLen, lastIdx), protocol);
+        // a zero total length (segmentation offload) runs to the end of the capture
+        verifyTransportChecksum(datagram, data.subarray(headerLen, lastIdx), sourceIp, destIp, protocol, ipLen === 0 || (ipLen >= headerLen && ipLen <= data.length));
+    } else if (isHeaderValid && fragmentOffset === 0) {
+        datagram = parseQuotedDatagram(data.subarray(headerLen, lastIdx), (d) => parseProtocolDatagram(d, protocol), 0);
+        verifyTransportChecksum(datagram, undefined, sourceIp, destIp, protocol, false);
+    }
 
     return {
         type: "IP PDU",
@@ -112,108 +508,1110 @@ function parseIPv4Payload (data) {
             ttl: ttl,
             protocol: protocol,
             headerChecksum: headerChecksum,
+            headerChecksumStatus: isHeaderValid ? getIPv4HeaderChecksumStatus(data.subarray(0, headerLen), headerChecksum) : ChecksumStatus.UNVERIFIED,
             sourceIP: {
                 array: sourceIp,
-                string: `${sourceIp[0]}.${sourceIp[1]}.${sourceIp[2]}.${sourceIp[3]}`,
+                string: formatIPv4Address(sourceIp),
             },
             destIP: {
                 array: destIp,
-                string: `${destIp[0]}.${destIp[1]}.${destIp[2]}.${destIp[3]}`,
+                string: formatIPv4Address(destIp),
             },
             options: options
         },
         datagram: datagram,
+        // kept for reassembly (see reassembly.js)
+        fragmentData: isFragment && isHeaderValid ? data.subarray(headerLen, lastIdx) : undefined,
     }
 }
 
-function parseEthernetFrame (data) {
-    const macDest = data.slice(0, 6).toHex();
-    const macSrc = data.slice(6, 12).toHex();
-    const etherType = new DataView(data.slice(12, 14).buffer).getUint16();
+function isIPv6ExtensionHeader (protocol) {
+    return (
+        protocol === IPProtocolType.HOPOPT ||
+        protocol === IPProtocolType.IPv6_ROUTE ||
+        protocol === IPProtocolType.IPv6_FRAG ||
+        protocol === IPProtocolType.IPv6_OPTS ||
+        protocol === IPProtocolType.AH
+    );
+}
 
-    let payload;
+function parseIPv6Payload (data) {
+    if (data.length < 40) {
+        reportTruncated(ParseErrorType.TRUNCATED_IP_HEADER, `IPv6 header of ${data.length} bytes`);
+        return undefined;
+    }
+
+    const read16 = (start) => readUint16(data, start);
+    const read32 = (start) => readUint32(data, start);
+
+    const versionClassFlow = read32(0);
+    const version = versionClassFlow >>> 28;
+    if (version !== 6) {
+        reportMalformed(ParseErrorType.BAD_IP_VERSION, `version ${version} in an IPv6 packet`);
+        return undefined;
+    }
+    const trafficClass = (versionClassFlow >>> 20) & 0xff;
+    const differentiatedServicesCodepoint = getFirstNBits(trafficClass, 6);
+    const ecn = getLastNBits(trafficClass, 2);
+    const flowLabel = versionClassFlow & 0xfffff;
 
+    const payloadLen = read16(4);
+    const nextHeader = data[6];
+    const hopLimit = data[7];
+
+    const sourceIp = data.subarray(8, 24);
+    const destIp = data.subarray(24, 40);
+
+    // a zero payload length means a jumbogram, whose real length sits in a Hop-by-Hop option
+    let end = data.length;
+    if (payloadLen !== 0) {
+        if (40 + payloadLen > data.length) {
+            reportTruncated(ParseErrorType.TRUNCATED_IP_PAYLOAD, `payload length ${payloadLen}, ${data.length - 40} bytes captured`);
+        } else {
+            end = 40 + payloadLen;
+        }
+    }
+
+    // walk the extension header chain up to the upper-layer protocol
+    let extensionHeaders = [];
+    let fragment;
+    let protocol = nextHeader;
+    let offset = 40;
+    let walking = true;
+    let isChainComplete = true;
+    // an extension header promised right at the end of the payload is missing, not absent
+    while (walking && offset <= end) {
+        if (isIPv6ExtensionHeader(protocol) && offset + 8 > end) {
+            reportTruncated(ParseErrorType.TRUNCATED_EXTENSION_HEADER, `extension header ${protocol} at byte ${offset}`);
+            isChainComplete = false;
+            break;
+        }
+
+        switch (protocol) {
+            case IPProtocolType.HOPOPT:
+            case IPProtocolType.IPv6_ROUTE:
+            case IPProtocolType.IPv6_OPTS: {
+                const length = (data[offset + 1] + 1) * 8;
+                extensionHeaders.push({
+                    type: protocol,
+                    length: length,
+                    data: data.subarray(offset + 2, offset + length)
+                });
+                protocol = data[offset];
+                offset += length;
+                break;
+            }
+            case IPProtocolType.IPv6_FRAG: {
+                const offsetFlags = read16(offset + 2);
+                fragment = {
+                    fragmentOffset: offsetFlags >>> 3,
+                    moreFragments: getFlagBit(offsetFlags, 0),
+                    identification: read32(offset + 4)
+                };
+                extensionHeaders.push({
+                    type: protocol,
+                    length: 8,
+                    fragment: fragment
+                });
+                protocol = data[offset];
+                offset += 8;
+                break;
+            }
+            case IPProtocolType.AH: {
+                // AH counts its length in 32-bit words, minus 2
+                const length = (data[offset + 1] + 2) * 4;
+                extensionHeaders.push({
+                    type: protocol,
+                    length: length,
+                    data: data.subarray(offset + 2, offset + length)
+                });
+                protocol = data[offset];
+                offset += length;
+                break;
+            }
+            default:
+                // upper-layer protocol, ESP or No Next Header
+                walking = false;
+        }
+    }
+
+    if (offset > end) {
+        reportTruncated(ParseErrorType.TRUNCATED_EXTENSION_HEADER, `extension header chain runs ${offset - end} bytes past the payload`);
+        isChainComplete = false;
+    }
+
+    // only the first fragment carries the upper-layer header, possibly cut short
+    let datagram;
+    if (isChainComplete && fragment === undefined) {
+        datagram = parseProtocolDatagram(data.subarray(offset, end), protocol);
+        // jumbogram lengths are not tracked, so those stay unverified
+        verifyTransportChecksum(datagram, data.subarray(offset, end), sourceIp, destIp, protocol, payloadLen !== 0 && 40 + payloadLen <= data.length);
+    } else if (isChainComplete && fragment.fragmentOffset === 0) {
+        datagram = parseQuotedDatagram(data.subarray(offset, end), (d) => parseProtocolDatagram(d, protocol), 0);
+        verifyTransportChecksum(datagram, undefined, sourceIp, destIp, protocol, false);
+    }
+
+    return {
+        type: "IPv6 PDU",
+        header: {
+            version: version,
+            trafficClass: trafficClass,
+            differentiatedServicesCodepoint: differentiatedServicesCodepoint,
+            ecn: ecn,
+            flowLabel: flowLabel,
+            payloadLen: payloadLen,
+            ipLen: 40 + payloadLen,
+            nextHeader: nextHeader,
+            hopLimit: hopLimit,
+            protocol: protocol,
+            sourceIP: {
+                array: sourceIp,
+                string: formatIPv6Address(sourceIp),
+            },
+            destIP: {
+                array: destIp,
+                string: formatIPv6Address(destIp),
+            },
+            extensionHeaders: extensionHeaders,
+            fragment: fragment
+        },
+        datagram: datagram,
+        fragmentData: fragment !== undefined && isChainComplete ? data.subarray(offset, end) : undefined,
+    }
+}
+
+function isLinkHeaderTruncated (data, minLength, name) {
+    if (data.length < minLength) {
+        reportTruncated(ParseErrorType.TRUNCATED_LINK_HEADER, `${name} header of ${data.length} bytes, need ${minLength}`);
+        return true;
+    }
+    return false;
+}
+
+function parseNetworkLayer (data, etherType) {
     switch (etherType) {
         case EthernetProtocolType.IPv4:
-            payload = parseIPv4Payload(data);
-            break;
+            return parseIPv4Payload(data);
         case EthernetProtocolType.IPv6:
-            break;
+            return parseIPv6Payload(data);
         default:
             console.warn(`Unrecognized packet's EtherType: ${etherType}`);
     }
+}
+
+function parseEthernetFrame (data) {
+    if (isLinkHeaderTruncated(data, 14, "Ethernet")) {
+        return { type: "Ethernet Frame", payload: undefined };
+    }
+
+    const macDest = formatHex(data.subarray(0, 6));
+    const macSrc = formatHex(data.subarray(6, 12));
+    let etherType = readUint16(data, 12);
+
+    // 802.1Q / 802.1ad (QinQ) tags sit between the source MAC and the real EtherType
+    let vlanTags = [];
+    let offset = 14;
+    while (etherType === EthernetProtocolType.VLAN || etherType === EthernetProtocolType.QINQ || etherType === EthernetProtocolType.QINQ_LEGACY) {
+        if (isLinkHeaderTruncated(data, offset + 4, "VLAN tag")) {
+            etherType = undefined;
+            break;
+        }
+        const tci = readUint16(data, offset);
+        vlanTags.push({
+            tpid: etherType,
+            priority: tci >>> 13,
+            dropEligible: getFlagBit(tci, 12),
+            vlanId: getLastNBits(tci, 12)
+        });
+        etherType = readUint16(data, offset + 2);
+        offset += 4;
+    }
+
+    const payload = etherType === undefined ? undefined : parseNetworkLayer(data.subarray(offset), etherType);
 
     return {
         type: "Ethernet Frame",
         macDest: macDest,
         macSrc: macSrc,
         etherType: etherType,
+        vlanTags: vlanTags,
+        payload: payload
+    }
+}
+
+function parseRawIPPacket (data) {
+    if (isLinkHeaderTruncated(data, 1, "Raw IP")) {
+        return { type: "Raw IP Packet", payload: undefined };
+    }
+
+    const version = getFirstNBits(data[0], 4);
+
+    let payload;
+    switch (version) {
+        case 4:
+            payload = parseIPv4Payload(data);
+            break;
+        case 6:
+            payload = parseIPv6Payload(data);
+            break;
+        default:
+            console.warn(`Unrecognized raw IP version: ${version}`);
+    }
+
+    return {
+        type: "Raw IP Packet",
+        payload: payload
+    }
+}
+
+function parseLoopbackFrame (data, isNetworkOrder) {
+    if (isLinkHeaderTruncated(data, 4, "Loopback")) {
+        return { type: "Loopback Frame", payload: undefined };
+    }
+
+    // DLT_NULL stores the address family in the capturing host's byte order, so guess it
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const isLittleEndian = isNetworkOrder ? false : (data[0] !== 0 && data[3] === 0);
+    const family = view.getUint32(0, isLittleEndian);
+
+    let payload;
+    switch (family) {
+        case LoopbackAddressFamily.INET:
+            payload = parseIPv4Payload(data.subarray(4));
+            break;
+        case LoopbackAddressFamily.INET6_LINUX:
+        case LoopbackAddressFamily.INET6_BSD:
+        case LoopbackAddressFamily.INET6_FREEBSD:
+        case LoopbackAddressFamily.INET6_DARWIN:
+            payload = parseIPv6Payload(data.subarray(4));
+            break;
+        default:
+            console.warn(`Unrecognized loopback address family: ${family}`);
+    }
+
+    return {
+        type: "Loopback Frame",
+        family: family,
+        payload: payload
+    }
+}
+
+function parsePPPFrame (data) {
+    // address and control fields are optional (HDLC-like framing, RFC 1662)
+    let offset = (data[0] === 0xff && data[1] === 0x03) ? 2 : 0;
+
+    // protocol field compression leaves a single odd byte
+    let protocol;
+    if (isLinkHeaderTruncated(data, offset + 1, "PPP")) {
+        return { type: "PPP Frame", payload: undefined };
+    } else if (getFlagBit(data[offset], 0)) {
+        protocol = data[offset];
+        offset += 1;
+    } else if (isLinkHeaderTruncated(data, offset + 2, "PPP")) {
+        return { type: "PPP Frame", payload: undefined };
+    } else {
+        protocol = readUint16(data, offset);
+        offset += 2;
+    }
+
+    let payload;
+    switch (protocol) {
+        case PPPProtocolType.IPv4:
+            payload = parseIPv4Payload(data.subarray(offset));
+            break;
+        case PPPProtocolType.IPv6:
+            payload = parseIPv6Payload(data.subarray(offset));
+            break;
+        default:
+            console.warn(`Unrecognized PPP protocol: ${protocol}`);
+    }
+
+    return {
+        type: "PPP Frame",
+        protocol: protocol,
         payload: payload
     }
 }
 
-function parsePcapPacket (packet, headerType=HeaderLinkType.ETHERNET) {
-    const data = new Uint8Array(packet);
+function parseLinuxCookedFrame (data) {
+    if (isLinkHeaderTruncated(data, 16, "Linux cooked capture")) {
+        return { type: "Linux Cooked Capture", payload: undefined };
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const packetType = view.getUint16(0);
+    const arphrdType = view.getUint16(2);
+    const addressLen = view.getUint16(4);
+    const address = formatHex(data.subarray(6, 6 + Math.min(addressLen, 8)));
+    const etherType = view.getUint16(14);
+
+    return {
+        type: "Linux Cooked Capture",
+        packetType: packetType,
+        arphrdType: arphrdType,
+        address: address,
+        etherType: etherType,
+        payload: parseNetworkLayer(data.subarray(16), etherType)
+    }
+}
+
+function parseLinuxCookedV2Frame (data) {
+    if (isLinkHeaderTruncated(data, 20, "Linux cooked capture v2")) {
+        return { type: "Linux Cooked Capture v2", payload: undefined };
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const etherType = view.getUint16(0);
+    const interfaceIndex = view.getUint32(4);
+    const arphrdType = view.getUint16(8);
+    const packetType = data[10];
+    const addressLen = data[11];
+    const address = formatHex(data.subarray(12, 12 + Math.min(addressLen, 8)));
+
+    return {
+        type: "Linux Cooked Capture v2",
+        packetType: packetType,
+        arphrdType: arphrdType,
+        interfaceIndex: interfaceIndex,
+        address: address,
+        etherType: etherType,
+        payload: parseNetworkLayer(data.subarray(20), etherType)
+    }
+}
+
+function parseIEEE802_11Frame (data) {
+    if (isLinkHeaderTruncated(data, 2, "IEEE 802.11")) {
+        return { type: "IEEE 802.11 Frame", payload: undefined };
+    }
+
+    const frameType = getLastNBits(data[0] >>> 2, 2);
+    const subtype = data[0] >>> 4;
+    const toDS = getFlagBit(data[1], 0);
+    const fromDS = getFlagBit(data[1], 1);
+    const isProtected = getFlagBit(data[1], 6);
+    const hasOrder = getFlagBit(data[1], 7);
+
+    let frame = {
+        type: "IEEE 802.11 Frame",
+        frameType: frameType,
+        subtype: subtype,
+        toDS: toDS,
+        fromDS: fromDS,
+        protected: isProtected,
+        address1: formatHex(data.subarray(4, 10)),
+        address2: formatHex(data.subarray(10, 16)),
+        address3: formatHex(data.subarray(16, 22)),
+        payload: undefined
+    };
+
+    // only unencrypted data frames carry an LLC/SNAP encapsulated network packet
+    if (frameType !== IEEE802_11FrameType.DATA || isProtected) {
+        return frame;
+    }
+
+    if (isLinkHeaderTruncated(data, 24, "IEEE 802.11 data")) {
+        return frame;
+    }
+
+    let offset = 24;
+    if (toDS && fromDS) {
+        frame.address4 = formatHex(data.subarray(24, 30));
+        offset += 6;
+    }
+    const isQoS = getFlagBit(subtype, 3);
+    if (isQoS) {
+        offset += 2;
+        if (hasOrder) {
+            offset += 4;
+        }
+    }
+
+    if (isLinkHeaderTruncated(data, offset + 8, "IEEE 802.11 LLC/SNAP")) {
+        return frame;
+    }
+
+    const isSNAP = data[offset] === 0xaa && data[offset + 1] === 0xaa && data[offset + 2] === 0x03;
+    if (!isSNAP) {
+        return frame;
+    }
+
+    frame.etherType = readUint16(data, offset + 6);
+    frame.payload = parseNetworkLayer(data.subarray(offset + 8), frame.etherType);
+    return frame;
+}
+
+function parseRadiotapFrame (data) {
+    if (isLinkHeaderTruncated(data, 8, "Radiotap")) {
+        return { type: "Radiotap Header", payload: undefined };
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const length = view.getUint16(2, true);
+    const present = view.getUint32(4, true);
+    if (isLinkHeaderTruncated(data, Math.max(length, 8), "Radiotap")) {
+        return { type: "Radiotap Header", length: length, payload: undefined };
+    }
+
+    // extended presence bitmaps push the fields back
+    let offset = 8;
+    let word = present;
+    while (getFlagBit(word, 31) && offset + 4 <= length) {
+        word = readUint32(data, offset, true);
+        offset += 4;
+    }
+
+    let flags = 0;
+    if (getFlagBit(present, RadiotapField.FLAGS)) {
+        if (getFlagBit(present, RadiotapField.TSFT)) {
+            // TSFT is 8 bytes, aligned to 8
+            offset = Math.ceil(offset / 8) * 8 + 8;
+        }
+        flags = offset < length ? data[offset] : 0;
+    }
+
+    // strip the trailing FCS when the radiotap flags say it was captured
+    const end = getFlagBit(flags, RadiotapFlag.FCS_AT_END) ? data.length - 4 : data.length;
+    const frame = parseIEEE802_11Frame(data.subarray(length, end));
+
+    return {
+        type: "Radiotap Header",
+        length: length,
+        present: present,
+        flags: flags,
+        frame: frame,
+        payload: frame.payload
+    }
+}
 
+function parsePcapPacket (data, headerType=HeaderLinkType.ETHERNET) {
     switch (headerType) {
         case HeaderLinkType.ETHERNET: {
             return parseEthernetFrame(data);
         }
+        case HeaderLinkType.RAW:
+        case HeaderLinkType.RAW_OPENBSD:
+        case HeaderLinkType.RAW_BSD: {
+            return parseRawIPPacket(data);
+        }
+        case HeaderLinkType.IPV4: {
+            return {
+                type: "Raw IP Packet",
+                payload: parseIPv4Payload(data)
+            };
+        }
+        case HeaderLinkType.IPV6: {
+            return {
+                type: "Raw IP Packet",
+                payload: parseIPv6Payload(data)
+            };
+        }
+        case HeaderLinkType.NULL: {
+            return parseLoopbackFrame(data, false);
+        }
+        case HeaderLinkType.LOOP: {
+            return parseLoopbackFrame(data, true);
+        }
+        case HeaderLinkType.PPP:
+        case HeaderLinkType.PPP_HDLC: {
+            return parsePPPFrame(data);
+        }
+        case HeaderLinkType.LINUX_SLL: {
+            return parseLinuxCookedFrame(data);
+        }
+        case HeaderLinkType.LINUX_SLL2: {
+            return parseLinuxCookedV2Frame(data);
+        }
         case HeaderLinkType.IEEE802_11: {
-            break;
+            return parseIEEE802_11Frame(data);
+        }
+        case HeaderLinkType.IEEE802_11_RADIOTAP: {
+            return parseRadiotapFrame(data);
         }
         default:
             console.error(`Packet link-layer type not recognized: ${headerType}`);
     }
 }
 
-export function parsePcapFile (data) {
-    const dataView = new DataView(data);
+// Dissects one captured record and attaches the problems found to it, so a bad
+// packet is flagged rather than thrown on or silently dropped.
+function dissectPacket (header, data, linkType, snapLen) {
+    packetErrors = [];
+
+    if ((snapLen > 0 && header.inclLen > snapLen) || header.inclLen > header.origLen) {
+        reportMalformed(ParseErrorType.BAD_RECORD_LENGTH, `captured ${header.inclLen} bytes, snaplen ${snapLen}, original ${header.origLen}`);
+    } else if (header.inclLen < header.origLen) {
+        reportTruncated(ParseErrorType.SNAPLEN_TRUNCATED, `captured ${header.inclLen} of ${header.origLen} bytes`);
+    }
+
+    const packet = parsePcapPacket(data, linkType);
+    const errors = packetErrors;
+    packetErrors = [];
+
+    return {
+        header: header,
+        // the captured bytes, for the packet inspector's hex dump
+        data: data,
+        packet: packet,
+        errors: errors,
+        truncated: errors.some(error => error.kind === ParseErrorKind.TRUNCATED),
+        malformed: errors.some(error => error.kind === ParseErrorKind.MALFORMED),
+        invalidChecksum: hasInvalidChecksum(packet)
+    };
+}
+
+// the link layer always ends in `payload`, whichever frame type it is
+function hasInvalidChecksum (packet) {
+    const ip = packet !== undefined ? packet.payload : undefined;
+    if (ip === undefined) {
+        return false;
+    }
+    return (
+        ip.header.headerChecksumStatus === ChecksumStatus.INVALID ||
+        (ip.datagram !== undefined && ip.datagram.header.checksumStatus === ChecksumStatus.INVALID)
+    );
+}
+
+// Dissects an upper-layer datagram rebuilt from IP fragments. The addresses are the
+// fragments' own, needed for the pseudo-header checksum.
+export function dissectReassembledDatagram (data, protocol, sourceIp, destIp) {
+    packetErrors = [];
+    const datagram = parseProtocolDatagram(data, protocol);
+    verifyTransportChecksum(datagram, data, sourceIp, destIp, protocol, true);
+    const errors = packetErrors;
+    packetErrors = [];
+
+    return {
+        datagram: datagram,
+        errors: errors
+    };
+}
+
+function normalizePacketTimestamps (packets, thisZone = 0) {
+    // absolute UTC nanoseconds, kept as BigInt so no precision is lost
+    for (let p of packets) {
+        p.header.timestamp = (BigInt(p.header.tsSec + thisZone) * 1000000000n) + BigInt(p.header.tsNsec);
+    }
+
+    let start;
+    for (let p of packets) {
+        if (start === undefined || p.header.timestamp < start) {
+            start = p.header.timestamp;
+        }
+    }
+
+    // milliseconds (with sub-millisecond fraction) since the earliest packet of the capture
+    for (let p of packets) {
+        p.header.relativeTime = Number(p.header.timestamp - start) / 1000000;
+    }
+}
+
+function readPcapGlobalHeader (dataView) {
     const magicNumber = dataView.getUint32(0, false);
-    const isLittleEndian = magicNumber === 0xd4c3b2a1;
-
-    const read32 = (start) => dataView.getUint32(start, isLittleEndian);
-    const read16 = (start) => dataView.getUint16(start, isLittleEndian);
-    const read32Int = (start) => dataView.getInt32(start, isLittleEndian);
-
-    const versionMajor = read16(4);
-    const versionMinor = read16(6);
-    const thisZone = read32Int(8);
-    const sigfigs = read32(12);
-    const snapLen = read32(16);
-    const network = read32(20);
-
-    let byteNum = 24;
-    let packets = [];
-    while (byteNum < data.byteLength) {
-        const tsSec = read32(byteNum);
-        const tsUsec = read32(byteNum + 4);
-        const inclLen = read32(byteNum + 8);
-        const origLen = read32(byteNum + 12);
-
-        const packetData = data.slice(byteNum + 16, byteNum + 16 + inclLen) //new DataView(data, byteNum + 16, inclLen);
-        packets.push({
-            header: {
-                tsSec: tsSec,
-                tsUsec: tsUsec,
-                inclLen: inclLen,
-                origLen: origLen
-            },
-            packet: parsePcapPacket(packetData, network)
+
+    let isLittleEndian;
+    let isNanosecond;
+    switch (magicNumber) {
+        case PcapMagicNumber.MICROSECONDS_BIG_ENDIAN:
+            isLittleEndian = false;
+            isNanosecond = false;
+            break;
+        case PcapMagicNumber.MICROSECONDS_LITTLE_ENDIAN:
+            isLittleEndian = true;
+            isNanosecond = false;
+            break;
+        case PcapMagicNumber.NANOSECONDS_BIG_ENDIAN:
+            isLittleEndian = false;
+            isNanosecond = true;
+            break;
+        case PcapMagicNumber.NANOSECONDS_LITTLE_ENDIAN:
+            isLittleEndian = true;
+            isNanosecond = true;
+            break;
+        default:
+            throw new Error(`Unrecognized pcap magic number: 0x${magicNumber.toString(16)}`);
+    }
+
+    return {
+        magicNumber: magicNumber,
+        isLittleEndian: isLittleEndian,
+        isNanosecond: isNanosecond,
+        versionMajor: dataView.getUint16(4, isLittleEndian),
+        versionMinor: dataView.getUint16(6, isLittleEndian),
+        thisZone: dataView.getInt32(8, isLittleEndian),
+        sigfigs: dataView.getUint32(12, isLittleEndian),
+        snapLen: dataView.getUint32(16, isLittleEndian),
+        network: dataView.getUint32(20, isLittleEndian)
+    };
+}
+
+// libpcap never writes records larger than this, so anything bigger means we lost sync
+const MAX_RECORD_LEN = 262144;
+
+// Returns the record starting at byteNum, null when it is not fully buffered yet,
+// or { corrupt } when the record header cannot be trusted
+function readPcapRecord (bytes, dataView, byteNum, globalHeader) {
+    if (byteNum + 16 > bytes.length) {
+        return null;
+    }
+
+    const isLittleEndian = globalHeader.isLittleEndian;
+    const isNanosecond = globalHeader.isNanosecond;
+
+    const tsSec = dataView.getUint32(byteNum, isLittleEndian);
+    const tsFraction = dataView.getUint32(byteNum + 4, isLittleEndian);
+    const inclLen = dataView.getUint32(byteNum + 8, isLittleEndian);
+    const origLen = dataView.getUint32(byteNum + 12, isLittleEndian);
+
+    if (inclLen > Math.max(globalHeader.snapLen, MAX_RECORD_LEN)) {
+        return { corrupt: `record of ${inclLen} bytes at byte ${byteNum}` };
+    }
+    if (byteNum + 16 + inclLen > bytes.length) {
+        return null;
+    }
+
+    const header = {
+        tsSec: tsSec,
+        tsUsec: isNanosecond ? Math.floor(tsFraction / 1000) : tsFraction,
+        tsNsec: isNanosecond ? tsFraction : tsFraction * 1000,
+        inclLen: inclLen,
+        origLen: origLen,
+        linkType: globalHeader.network
+    };
+    const packetData = bytes.subarray(byteNum + 16, byteNum + 16 + inclLen);
+    return {
+        next: byteNum + 16 + inclLen,
+        packet: dissectPacket(header, packetData, globalHeader.network, globalHeader.snapLen)
+    };
+}
+
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+const PCAPNG_DEFAULT_TSRESOL = 6;
+const PCAPNG_MAX_BLOCK_LEN = 16 * 1024 * 1024;
+
+function readPcapngOptions (dataView, start, end, isLittleEndian) {
+    let options = [];
+    let byteNum = start;
+    while (byteNum + 4 <= end) {
+        const code = dataView.getUint16(byteNum, isLittleEndian);
+        const length = dataView.getUint16(byteNum + 2, isLittleEndian);
+        if (code === PcapngOptionCode.END_OF_OPT) {
+            break;
+        }
+        options.push({
+            code: code,
+            length: length,
+            offset: byteNum + 4
         });
-        byteNum += 16 + inclLen;
+        // option values are padded to 32 bits
+        byteNum += 4 + Math.ceil(length / 4) * 4;
+    }
+    return options;
+}
+
+function readNullTerminatedStrings (bytes) {
+    const decoder = new TextDecoder();
+    let strings = [];
+    let start = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] === 0) {
+            if (i > start) {
+                strings.push(decoder.decode(bytes.subarray(start, i)));
+            }
+            start = i + 1;
+        }
+    }
+    return strings;
+}
+
+function convertPcapngTimestamp (tsHigh, tsLow, tsresol, tsoffset) {
+    const ticks = (BigInt(tsHigh) << 32n) | BigInt(tsLow);
+    // MSB set means a negative power of 2, otherwise a negative power of 10
+    const unitsPerSecond = (tsresol & 0x80) ? (1n << BigInt(tsresol & 0x7f)) : (10n ** BigInt(tsresol));
+
+    const seconds = ticks / unitsPerSecond;
+    const fraction = ticks % unitsPerSecond;
+
+    return {
+        tsSec: Number(seconds) + tsoffset,
+        tsUsec: Number(fraction * 1000000n / unitsPerSecond),
+        tsNsec: Number(fraction * 1000000000n / unitsPerSecond)
+    };
+}
+
+function parsePcapngInterface (bytes, dataView, blockStart, blockEnd, isLittleEndian) {
+    const linkType = dataView.getUint16(blockStart + 8, isLittleEndian);
+    const snapLen = dataView.getUint32(blockStart + 12, isLittleEndian);
+
+    let name;
+    let tsresol = PCAPNG_DEFAULT_TSRESOL;
+    let tsoffset = 0;
+
+    const options = readPcapngOptions(dataView, blockStart + 16, blockEnd - 4, isLittleEndian);
+    for (let option of options) {
+        switch (option.code) {
+            case PcapngOptionCode.IF_NAME:
+                name = new TextDecoder().decode(bytes.subarray(option.offset, option.offset + option.length));
+                break;
+            case PcapngOptionCode.IF_TSRESOL:
+                tsresol = dataView.getUint8(option.offset);
+                break;
+            case PcapngOptionCode.IF_TSOFFSET:
+                tsoffset = Number(dataView.getBigInt64(option.offset, isLittleEndian));
+                break;
+        }
     }
 
     return {
-        globalHeader: {
-            magicNumber: magicNumber,
-            versionMajor: versionMajor,
-            versionMinor: versionMinor,
-            thisZone: thisZone,
-            sigfigs: sigfigs,
-            snapLen: snapLen,
-            network: network
+        linkType: linkType,
+        snapLen: snapLen,
+        name: name,
+        tsresol: tsresol,
+        tsoffset: tsoffset
+    };
+}
+
+function parsePcapngNameResolution (bytes, dataView, blockStart, blockEnd, isLittleEndian) {
+    let records = [];
+    let byteNum = blockStart + 8;
+    while (byteNum + 4 <= blockEnd - 4) {
+        const recordType = dataView.getUint16(byteNum, isLittleEndian);
+        const length = dataView.getUint16(byteNum + 2, isLittleEndian);
+        if (recordType === PcapngNameRecordType.END) {
+            break;
+        }
+
+        const value = bytes.subarray(byteNum + 4, byteNum + 4 + length);
+        switch (recordType) {
+            case PcapngNameRecordType.IPv4:
+                records.push({
+                    address: formatIPv4Address(value),
+                    names: readNullTerminatedStrings(value.subarray(4))
+                });
+                break;
+            case PcapngNameRecordType.IPv6:
+                records.push({
+                    address: formatIPv6Address(value),
+                    names: readNullTerminatedStrings(value.subarray(16))
+                });
+                break;
+        }
+        byteNum += 4 + Math.ceil(length / 4) * 4;
+    }
+    return records;
+}
+
+// Consumes the block starting at byteNum, updating the section state (byte order, interfaces,
+// name records). Returns null when the block is not fully buffered yet, or { corrupt } when
+// its length cannot be trusted.
+function readPcapngBlock (bytes, dataView, byteNum, section) {
+    if (byteNum + 12 > bytes.length) {
+        return null;
+    }
+
+    // the SHB carries the byte order of every block of its section
+    const isSectionHeader = dataView.getUint32(byteNum, false) === PcapngBlockType.SECTION_HEADER;
+    const isLittleEndian = isSectionHeader
+        ? dataView.getUint32(byteNum + 8, true) === PCAPNG_BYTE_ORDER_MAGIC
+        : section.isLittleEndian;
+
+    const blockType = dataView.getUint32(byteNum, isLittleEndian);
+    const blockLen = dataView.getUint32(byteNum + 4, isLittleEndian);
+    const blockEnd = byteNum + blockLen;
+    if (blockLen < 12 || blockLen % 4 !== 0 || blockLen > PCAPNG_MAX_BLOCK_LEN) {
+        return { corrupt: `block length ${blockLen} at byte ${byteNum}` };
+    }
+    if (blockEnd > bytes.length) {
+        return null;
+    }
+
+    let packet;
+    switch (blockType) {
+        case PcapngBlockType.SECTION_HEADER:
+            section.isLittleEndian = isLittleEndian;
+            section.versionMajor = dataView.getUint16(byteNum + 12, isLittleEndian);
+            section.versionMinor = dataView.getUint16(byteNum + 14, isLittleEndian);
+            // interface ids are local to each section
+            section.interfaces = [];
+            break;
+        case PcapngBlockType.INTERFACE_DESCRIPTION: {
+            const iface = parsePcapngInterface(bytes, dataView, byteNum, blockEnd, isLittleEndian);
+            section.interfaces.push(iface);
+            section.allInterfaces.push(iface);
+            break;
+        }
+        case PcapngBlockType.ENHANCED_PACKET: {
+            const interfaceId = dataView.getUint32(byteNum + 8, isLittleEndian);
+            const tsHigh = dataView.getUint32(byteNum + 12, isLittleEndian);
+            const tsLow = dataView.getUint32(byteNum + 16, isLittleEndian);
+            const inclLen = dataView.getUint32(byteNum + 20, isLittleEndian);
+            const origLen = dataView.getUint32(byteNum + 24, isLittleEndian);
+
+            const iface = section.interfaces[interfaceId];
+            if (iface === undefined) {
+                console.warn(`Enhanced Packet Block references unknown interface ${interfaceId}`);
+                break;
+            }
+
+            const ts = convertPcapngTimestamp(tsHigh, tsLow, iface.tsresol, iface.tsoffset);
+            const header = {
+                tsSec: ts.tsSec,
+                tsUsec: ts.tsUsec,
+                tsNsec: ts.tsNsec,
+                inclLen: inclLen,
+                origLen: origLen,
+                interfaceId: interfaceId,
+                linkType: iface.linkType
+            };
+            // the captured length may not run past the block
+            const packetData = bytes.subarray(byteNum + 28, Math.min(byteNum + 28 + inclLen, blockEnd - 4));
+            packet = dissectPacket(header, packetData, iface.linkType, iface.snapLen);
+            if (28 + inclLen > blockLen - 4) {
+                packet.errors.push({ type: ParseErrorType.BAD_RECORD_LENGTH, kind: ParseErrorKind.MALFORMED, reason: `captured length ${inclLen} overruns its block` });
+                packet.malformed = true;
+            }
+            break;
+        }
+        case PcapngBlockType.SIMPLE_PACKET: {
+            // SPBs implicitly belong to the first interface and carry no timestamp
+            const iface = section.interfaces[0];
+            if (iface === undefined) {
+                console.warn('Simple Packet Block found before any Interface Description Block');
+                break;
+            }
+
+            const origLen = dataView.getUint32(byteNum + 8, isLittleEndian);
+            let inclLen = Math.min(origLen, blockLen - 16);
+            if (iface.snapLen > 0) {
+                inclLen = Math.min(inclLen, iface.snapLen);
+            }
+
+            // with no timestamp of its own, the packet takes the previous one's (or zero), and
+            // says so; its relative time is a guess
+            const packetData = bytes.subarray(byteNum + 12, byteNum + 12 + inclLen);
+            const previous = section.lastHeader;
+            const header = {
+                tsSec: previous ? previous.tsSec : 0,
+                tsUsec: previous ? previous.tsUsec : 0,
+                tsNsec: previous ? previous.tsNsec : 0,
+                inclLen: inclLen,
+                origLen: origLen,
+                interfaceId: 0,
+                linkType: iface.linkType,
+                timestampInherited: true
+            };
+            packet = dissectPacket(header, packetData, iface.linkType, iface.snapLen);
+            break;
+        }
+        case PcapngBlockType.NAME_RESOLUTION:
+            section.nameResolution.push(...parsePcapngNameResolution(bytes, dataView, byteNum, blockEnd, isLittleEndian));
+            break;
+    }
+
+    if (packet !== undefined) {
+        section.lastHeader = packet.header;
+    }
+
+    return {
+        next: blockEnd,
+        packet: packet
+    };
+}
+
+// `network` and `snapLen` are the first interface's, for a summary; each packet is dissected
+// with its own interface's link type, see its header's interfaceId and linkType
+function buildPcapngGlobalHeader (section) {
+    const interfaces = section.allInterfaces;
+    return {
+        magicNumber: PcapngBlockType.SECTION_HEADER,
+        isNanosecond: interfaces.some(iface => iface.tsresol !== PCAPNG_DEFAULT_TSRESOL),
+        versionMajor: section.versionMajor,
+        versionMinor: section.versionMinor,
+        snapLen: interfaces.length > 0 ? interfaces[0].snapLen : 0,
+        network: interfaces.length > 0 ? interfaces[0].linkType : undefined,
+        interfaces: interfaces,
+        nameResolution: section.nameResolution
+    };
+}
+
+export function isPcapngFile (data) {
+    return data.byteLength >= 4 && new DataView(data).getUint32(0, false) === PcapngBlockType.SECTION_HEADER;
+}
+
+// Incremental parser for pcap and pcapng: feed it consecutive chunks of the capture with push(),
+// and it returns the packets completed by each chunk. Records split across chunks are kept
+// until the rest arrives. Relative timestamps are measured from the first packet seen.
+export function createCaptureStreamParser () {
+    return {
+        format: undefined,
+        globalHeader: undefined,
+        bytesReceived: 0,
+        pending: new Uint8Array(0),
+        section: {
+            isLittleEndian: true,
+            versionMajor: undefined,
+            versionMinor: undefined,
+            interfaces: [],
+            allInterfaces: [],
+            nameResolution: [],
+            lastHeader: undefined
+        },
+        startTimestamp: undefined,
+        report: {
+            packetCount: 0,
+            truncatedPackets: 0,
+            malformedPackets: 0,
+            invalidChecksums: 0,
+            // packets affected, keyed by ParseErrorType
+            errors: {},
+            corrupt: undefined,
+            trailingBytes: 0
+        },
+
+        push: function (chunk) {
+            // once the framing is lost nothing after it can be trusted
+            if (this.report.corrupt !== undefined) {
+                return [];
+            }
+            this.bytesReceived += chunk.length;
+
+            let bytes = chunk;
+            if (this.pending.length > 0) {
+                bytes = new Uint8Array(this.pending.length + chunk.length);
+                bytes.set(this.pending);
+                bytes.set(chunk, this.pending.length);
+            }
+            const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+            let byteNum = 0;
+            if (this.format === undefined) {
+                if (bytes.length < 24) {
+                    this.pending = bytes;
+                    return [];
+                }
+                if (dataView.getUint32(0, false) === PcapngBlockType.SECTION_HEADER) {
+                    this.format = "pcapng";
+                } else {
+                    this.format = "pcap";
+                    this.globalHeader = readPcapGlobalHeader(dataView);
+                    byteNum = 24;
+                }
+            }
+
+            let packets = [];
+            while (true) {
+                const record = this.format === "pcapng"
+                    ? readPcapngBlock(bytes, dataView, byteNum, this.section)
+                    : readPcapRecord(bytes, dataView, byteNum, this.globalHeader);
+                if (record === null) {
+                    break;
+                }
+                if (record.corrupt !== undefined) {
+                    this.report.corrupt = record.corrupt;
+                    this.countError(ParseErrorType.CORRUPT_FILE);
+                    console.warn(`Corrupt capture, stopped parsing: ${record.corrupt}`);
+                    break;
+                }
+                if (record.packet !== undefined) {
+                    packets.push(record.packet);
+                }
+                byteNum = record.next;
+            }
+
+            if (this.format === "pcapng") {
+                this.globalHeader = buildPcapngGlobalHeader(this.section);
+            }
+
+            // copy the unfinished tail so it does not pin the whole chunk in memory
+            this.pending = this.report.corrupt === undefined ? bytes.slice(byteNum) : new Uint8Array(0);
+
+            this.setRelativeTimes(packets);
+            this.updateReport(packets);
+            return packets;
+        },
+
+        countError: function (type) {
+            this.report.errors[type] = (this.report.errors[type] || 0) + 1;
+        },
+
+        updateReport: function (packets) {
+            for (let p of packets) {
+                this.report.packetCount++;
+                if (p.truncated) {
+                    this.report.truncatedPackets++;
+                }
+                if (p.malformed) {
+                    this.report.malformedPackets++;
+                }
+                if (p.invalidChecksum) {
+                    this.report.invalidChecksums++;
+                }
+                for (let type of new Set(p.errors.map(error => error.type))) {
+                    this.countError(type);
+                }
+            }
+        },
+
+        bytesConsumed: function () {
+            return this.bytesReceived - this.pending.length;
+        },
+
+        setRelativeTimes: function (packets) {
+            const thisZone = this.globalHeader.thisZone || 0;
+            for (let p of packets) {
+                p.header.timestamp = (BigInt(p.header.tsSec + thisZone) * 1000000000n) + BigInt(p.header.tsNsec);
+                if (this.startTimestamp === undefined) {
+                    this.startTimestamp = p.header.timestamp;
+                }
+                p.header.relativeTime = Number(p.header.timestamp - this.startTimestamp) / 1000000;
+            }
         },
-        packets: packets
+
+        // bytes left over once the input ends belong to a truncated final record
+        finish: function () {
+            if (this.pending.length > 0) {
+                this.report.trailingBytes = this.pending.length;
+                this.countError(ParseErrorType.TRUNCATED_RECORD);
+                this.pending = new Uint8Array(0);
+            }
+            return {
+                globalHeader: this.globalHeader,
+                trailingBytes: this.report.trailingBytes,
+                report: this.report
+            };
+        }
+    };
+}
+
+function parseWholeCapture (data) {
+    const parser = createCaptureStreamParser();
+    const packets = parser.push(new Uint8Array(data));
+    const result = parser.finish();
+    if (result.globalHeader === undefined) {
+        throw new Error("Capture file is too short to contain a header");
+    }
+    normalizePacketTimestamps(packets, result.globalHeader.thisZone);
+
+    return {
+        globalHeader: result.globalHeader,
+        packets: packets,
+        report: result.report
+    }
+}
+
+export function parsePcapFile (data) {
+    if (isPcapngFile(data)) {
+        throw new Error("parsePcapFile expects a libpcap capture, use parsePcapngFile for pcapng");
+    }
+    return parseWholeCapture(data);
+}
+
+export function parsePcapngFile (data) {
+    if (!isPcapngFile(data)) {
+        throw new Error("parsePcapngFile expects a pcapng capture");
     }
-}
\ No newline at end of file
+    return parseWholeCapture(data);
+}
+
+export function parseCaptureFile (data) {
+    return parseWholeCapture(data);
+}
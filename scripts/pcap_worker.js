@@ -0,0 +1,56 @@
+import {createCaptureStreamParser} from "./pcap_parser.js";
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Streams the capture in fixed-size chunks so memory stays bounded and the
+// main thread receives packets while the rest of the file is still being read.
+async function parseFile (file) {
+    const parser = createCaptureStreamParser();
+    let bytesRead = 0;
+    let packetCount = 0;
+    let headerSent = false;
+
+    while (bytesRead < file.size) {
+        const chunk = new Uint8Array(await file.slice(bytesRead, bytesRead + CHUNK_SIZE).arrayBuffer());
+        bytesRead += chunk.length;
+
+        const packets = parser.push(chunk);
+        packetCount += packets.length;
+
+        if (!headerSent && parser.globalHeader !== undefined) {
+            postMessage({ type: 'header', globalHeader: parser.globalHeader });
+            headerSent = true;
+        }
+        if (packets.length > 0) {
+            postMessage({ type: 'packets', packets: packets });
+        }
+        postMessage({
+            type: 'progress',
+            bytesRead: bytesRead,
+            totalBytes: file.size,
+            packetCount: packetCount
+        });
+    }
+
+    const result = parser.finish();
+    if (result.globalHeader === undefined) {
+        throw new Error("Capture file is too short to contain a header");
+    }
+    postMessage({
+        type: 'done',
+        globalHeader: result.globalHeader,
+        trailingBytes: result.trailingBytes,
+        packetCount: packetCount,
+        report: result.report
+    });
+}
+
+self.onmessage = (e) => {
+    switch (e.data.type) {
+        case 'parse':
+            parseFile(e.data.file).catch((error) => {
+                postMessage({ type: 'error', message: error.message });
+            });
+            break;
+    }
+};
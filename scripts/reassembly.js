@@ -0,0 +1,357 @@
+import {IPProtocolType} from "./utils.js";
+import {dissectReassembledDatagram} from "./pcap_parser.js";
+
+// RFC 791 suggests 15s; Linux waits 30s before dropping an incomplete set
+const FRAGMENT_TIMEOUT = 30000;
+
+export const TCPFlowState = {
+    SYN_SENT: "SYN_SENT",
+    SYN_RECEIVED: "SYN_RECEIVED",
+    ESTABLISHED: "ESTABLISHED",
+    CLOSING: "CLOSING",
+    CLOSED: "CLOSED",
+    RESET: "RESET",
+};
+
+export const FlowDirection = {
+    TO_SERVER: "toServer",
+    TO_CLIENT: "toClient",
+};
+
+function getIPLayer (element) {
+    return element.packet !== undefined ? element.packet.payload : undefined;
+}
+
+function getFragmentInfo (ip) {
+    if (ip.header.version === 4) {
+        if (!ip.header.flags.moreFragments && ip.header.fragmentOffset === 0) {
+            return undefined;
+        }
+        return {
+            identification: ip.header.ipId,
+            offset: ip.header.fragmentOffset * 8,
+            moreFragments: ip.header.flags.moreFragments
+        };
+    }
+    if (ip.header.fragment === undefined) {
+        return undefined;
+    }
+    return {
+        identification: ip.header.fragment.identification,
+        offset: ip.header.fragment.fragmentOffset * 8,
+        moreFragments: ip.header.fragment.moreFragments
+    };
+}
+
+function completeFragmentSet (set) {
+    const ordered = [...set.fragments].sort((a, b) => a.offset - b.offset);
+
+    let covered = 0;
+    let gaps = 0;
+    for (let fragment of ordered) {
+        if (fragment.offset > covered) {
+            gaps++;
+        }
+        if (fragment.offset < covered) {
+            set.overlapping = true;
+        }
+        covered = Math.max(covered, fragment.offset + fragment.data.length);
+    }
+
+    const last = set.fragments.find(fragment => !fragment.moreFragments);
+    set.gaps = gaps;
+    set.complete = last !== undefined && gaps === 0 && ordered[0].offset === 0;
+    set.totalLength = last !== undefined ? last.offset + last.data.length : covered;
+
+    if (!set.complete) {
+        return set;
+    }
+
+    // lay the fragments out in arrival order; the first copy of any byte wins
+    const data = new Uint8Array(set.totalLength);
+    const written = new Uint8Array(set.totalLength);
+    for (let fragment of set.fragments) {
+        for (let i = 0; i < fragment.data.length && fragment.offset + i < set.totalLength; i++) {
+            const idx = fragment.offset + i;
+            if (!written[idx]) {
+                data[idx] = fragment.data[i];
+                written[idx] = 1;
+            } else if (data[idx] !== fragment.data[i]) {
+                // overlapping fragments that disagree are the signature of evasion/teardrop attacks
+                set.conflicting = true;
+            }
+        }
+    }
+
+    const dissected = dissectReassembledDatagram(data, set.protocol, set.sourceAddress, set.destAddress);
+    set.data = data;
+    set.datagram = dissected.datagram;
+    set.errors = dissected.errors;
+    return set;
+}
+
+// Groups IPv4 and IPv6 fragments by (source, destination, protocol, identification) and
+// rebuilds the original datagrams. Sets that never complete are kept and flagged, as are
+// overlapping fragments.
+export function reassembleIPFragments (packets) {
+    let open = new Map();
+    let sets = [];
+
+    const close = (key) => {
+        sets.push(completeFragmentSet(open.get(key)));
+        open.delete(key);
+    };
+
+    packets.forEach((element, packetIndex) => {
+        const ip = getIPLayer(element);
+        if (ip === undefined || ip.fragmentData === undefined) {
+            return;
+        }
+        const info = getFragmentInfo(ip);
+        if (info === undefined) {
+            return;
+        }
+
+        const key = `${ip.header.version}|${ip.header.sourceIP.string}|${ip.header.destIP.string}|${ip.header.protocol}|${info.identification}`;
+        const time = element.header.relativeTime;
+
+        if (open.has(key) && time - open.get(key).firstTime > FRAGMENT_TIMEOUT) {
+            close(key);
+        }
+        if (!open.has(key)) {
+            open.set(key, {
+                key: key,
+                version: ip.header.version,
+                sourceIP: ip.header.sourceIP.string,
+                destIP: ip.header.destIP.string,
+                sourceAddress: ip.header.sourceIP.array,
+                destAddress: ip.header.destIP.array,
+                protocol: ip.header.protocol,
+                identification: info.identification,
+                firstTime: time,
+                lastTime: time,
+                fragments: [],
+                packetIndices: [],
+                overlapping: false,
+                conflicting: false,
+                complete: false
+            });
+        }
+
+        const set = open.get(key);
+        set.fragments.push({
+            offset: info.offset,
+            moreFragments: info.moreFragments,
+            data: ip.fragmentData
+        });
+        set.packetIndices.push(packetIndex);
+        set.lastTime = time;
+    });
+
+    for (let key of [...open.keys()]) {
+        close(key);
+    }
+
+    // the packet that completed a datagram carries it from now on
+    let byPacket = new Map();
+    for (let set of sets) {
+        if (set.complete) {
+            byPacket.set(set.packetIndices[set.packetIndices.length - 1], set);
+        }
+    }
+
+    return {
+        datagrams: sets,
+        complete: sets.filter(set => set.complete).length,
+        incomplete: sets.filter(set => !set.complete).length,
+        overlapping: sets.filter(set => set.overlapping).length,
+        byPacket: byPacket
+    };
+}
+
+function endpointKey (ip, port) {
+    return `${ip}:${port}`;
+}
+
+function newFlow (id, src, dst, time) {
+    return {
+        id: id,
+        client: src,
+        server: dst,
+        state: undefined,
+        // true when the capture started after the handshake
+        midstream: false,
+        handshakeComplete: false,
+        teardown: undefined,
+        finFrom: {
+            toServer: false,
+            toClient: false
+        },
+        startTime: time,
+        endTime: time,
+        packetIndices: [],
+        segments: {
+            toServer: [],
+            toClient: []
+        },
+        packets: {
+            toServer: 0,
+            toClient: 0
+        },
+        bytes: {
+            toServer: 0,
+            toClient: 0
+        }
+    };
+}
+
+function advanceFlowState (flow, direction, flags) {
+    if (flags.RST) {
+        flow.state = TCPFlowState.RESET;
+        flow.teardown = "rst";
+        return;
+    }
+
+    switch (flow.state) {
+        case TCPFlowState.SYN_SENT:
+            if (direction === FlowDirection.TO_CLIENT && flags.SYN && flags.ACK) {
+                flow.state = TCPFlowState.SYN_RECEIVED;
+            }
+            break;
+        case TCPFlowState.SYN_RECEIVED:
+            if (direction === FlowDirection.TO_SERVER && flags.ACK && !flags.SYN) {
+                flow.state = TCPFlowState.ESTABLISHED;
+                flow.handshakeComplete = true;
+            }
+            break;
+    }
+
+    if (flags.FIN) {
+        flow.finFrom[direction] = true;
+        flow.state = (flow.finFrom.toServer && flow.finFrom.toClient) ? TCPFlowState.CLOSED : TCPFlowState.CLOSING;
+        flow.teardown = "fin";
+    }
+}
+
+// Groups TCP segments into bidirectional flows and tracks the handshake and teardown of each.
+// The client is whoever sent the first SYN; for flows picked up mid-stream the endpoint with
+// the higher port is assumed to be the client. Pass the output of reassembleIPFragments to
+// include segments that were carried in fragments.
+export function buildTCPFlows (packets, fragments) {
+    let active = new Map();
+    let flows = [];
+
+    packets.forEach((element, packetIndex) => {
+        const ip = getIPLayer(element);
+        if (ip === undefined) {
+            return;
+        }
+
+        let tcp = ip.datagram;
+        const reassembled = fragments !== undefined ? fragments.byPacket.get(packetIndex) : undefined;
+        if (reassembled !== undefined) {
+            tcp = reassembled.datagram;
+        } else if (ip.fragmentData !== undefined) {
+            // a lone fragment, already accounted for by its reassembled datagram
+            return;
+        }
+        if (ip.header.protocol !== IPProtocolType.TCP || tcp === undefined) {
+            return;
+        }
+
+        const src = endpointKey(ip.header.sourceIP.string, tcp.header.sourcePort);
+        const dst = endpointKey(ip.header.destIP.string, tcp.header.destPort);
+        const key = src < dst ? `${src}|${dst}` : `${dst}|${src}`;
+        const flags = tcp.header.flags;
+        const time = element.header.relativeTime;
+
+        let flow = active.get(key);
+        const isFinished = flow !== undefined && (flow.state === TCPFlowState.CLOSED || flow.state === TCPFlowState.RESET);
+        const isNewSYN = flags.SYN && !flags.ACK;
+
+        // a fresh SYN after the teardown means the port pair was reused
+        if (flow === undefined || (isFinished && isNewSYN)) {
+            if (isNewSYN) {
+                flow = newFlow(flows.length, src, dst, time);
+                flow.state = TCPFlowState.SYN_SENT;
+            } else {
+                const isSenderClient = tcp.header.sourcePort >= tcp.header.destPort;
+                flow = newFlow(flows.length, isSenderClient ? src : dst, isSenderClient ? dst : src, time);
+                flow.state = TCPFlowState.ESTABLISHED;
+                flow.midstream = true;
+            }
+            flow.key = key;
+            flows.push(flow);
+            active.set(key, flow);
+        }
+
+        const direction = src === flow.client ? FlowDirection.TO_SERVER : FlowDirection.TO_CLIENT;
+        advanceFlowState(flow, direction, flags);
+
+        flow.endTime = time;
+        flow.packetIndices.push(packetIndex);
+        flow.packets[direction]++;
+        flow.bytes[direction] += tcp.data.length;
+        flow.segments[direction].push({
+            sequenceNumber: tcp.header.sequenceNumber,
+            SYN: flags.SYN,
+            FIN: flags.FIN,
+            data: tcp.data
+        });
+    });
+
+    return flows;
+}
+
+// Rebuilds one direction of a flow's byte stream from its segments, ordered by sequence
+// number. Retransmitted bytes are dropped and holes in the sequence space are counted.
+export function reconstructTCPStream (flow, direction) {
+    const segments = flow.segments[direction];
+    const syn = segments.find(segment => segment.SYN);
+    const withData = segments.filter(segment => segment.data.length > 0);
+    if (withData.length === 0) {
+        return { data: new Uint8Array(0), gaps: 0, retransmittedBytes: 0 };
+    }
+
+    // sequence numbers wrap at 2^32, so work relative to the initial one
+    const initial = syn !== undefined ? (syn.sequenceNumber + 1) >>> 0 : withData[0].sequenceNumber;
+    const relative = (seq) => (seq - initial) >>> 0;
+
+    const ordered = withData
+        .map(segment => ({ offset: relative(segment.sequenceNumber), data: segment.data }))
+        .sort((a, b) => a.offset - b.offset);
+
+    let chunks = [];
+    let next = ordered[0].offset;
+    let gaps = 0;
+    let retransmittedBytes = 0;
+    for (let segment of ordered) {
+        const end = segment.offset + segment.data.length;
+        if (segment.offset > next) {
+            gaps++;
+            next = segment.offset;
+        }
+        if (end <= next) {
+            retransmittedBytes += segment.data.length;
+            continue;
+        }
+        const skip = next - segment.offset;
+        retransmittedBytes += skip;
+        chunks.push(segment.data.subarray(skip));
+        next = end;
+    }
+
+    const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const data = new Uint8Array(length);
+    let offset = 0;
+    for (let chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return {
+        data: data,
+        gaps: gaps,
+        retransmittedBytes: retransmittedBytes
+    };
+}
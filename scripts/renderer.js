@@ -0,0 +1,48 @@
+import * as THREE from "three";
+
+// A renderer draws the engine's scene. The engine calls attach() once when it is created and
+// render() after every frame; the renderer reports the size of what it draws into through
+// engine.setViewportSize(), at attach time and whenever it changes.
+
+// Draws into a canvas added to the page, kept the size of the window
+export class WebGLSceneRenderer {
+    constructor (container = document.body) {
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: true,
+        });
+        this.renderer.setClearColor(0xffffff);
+        this.canvas = container.appendChild(this.renderer.domElement);
+    }
+
+    attach (engine) {
+        const resize = () => {
+            this.canvas.width = window.innerWidth;
+            this.canvas.height = window.innerHeight;
+            this.renderer.setSize(this.canvas.width, this.canvas.height);
+            engine.setViewportSize(this.canvas.width, this.canvas.height);
+        };
+        window.addEventListener('resize', resize);
+        resize();
+    }
+
+    render (scene, camera) {
+        this.renderer.render(scene, camera);
+    }
+}
+
+// Draws nothing, so the simulation can run in Node and in tests
+export class HeadlessRenderer {
+    constructor (width = 1280, height = 720) {
+        this.width = width;
+        this.height = height;
+        this.frames = 0;
+    }
+
+    attach (engine) {
+        engine.setViewportSize(this.width, this.height);
+    }
+
+    render () {
+        this.frames++;
+    }
+}
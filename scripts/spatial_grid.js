@@ -0,0 +1,113 @@
+// Uniform grid for neighbour queries. It is rebuilt from scratch every step with a counting
+// sort over the cells, which is linear in the number of points and allocates nothing once
+// its arrays are big enough, unlike rebuilding a tree.
+
+// keeps a tiny cell size from asking for millions of cells
+const MAX_CELLS_PER_AXIS = 256;
+
+export class SpatialGrid {
+    constructor () {
+        this.boundary = { x: 0, y: 0, width: 1, height: 1 };
+        this.columns = 1;
+        this.rows = 1;
+        this.cellWidth = 1;
+        this.cellHeight = 1;
+        // entries[cellStart[c]] to entries[cellStart[c + 1] - 1] are the points in cell c
+        this.cellStart = new Int32Array(2);
+        this.entries = new Int32Array(0);
+        this.cellOf = new Int32Array(0);
+        this.xs = null;
+        this.ys = null;
+    }
+
+    // Files the first `count` points of xs/ys under their cells. `include(i)` can leave points
+    // out; points beyond the boundary go to the nearest edge cell.
+    build (boundary, cellSize, xs, ys, count, include = undefined) {
+        this.boundary = boundary;
+        this.columns = Math.min(Math.max(Math.ceil(boundary.width / cellSize), 1), MAX_CELLS_PER_AXIS);
+        this.rows = Math.min(Math.max(Math.ceil(boundary.height / cellSize), 1), MAX_CELLS_PER_AXIS);
+        this.cellWidth = boundary.width / this.columns;
+        this.cellHeight = boundary.height / this.rows;
+        this.xs = xs;
+        this.ys = ys;
+
+        const cells = this.columns * this.rows;
+        if (this.cellStart.length < cells + 1) {
+            this.cellStart = new Int32Array(cells + 1);
+        } else {
+            this.cellStart.fill(0, 0, cells + 1);
+        }
+        if (this.entries.length < count) {
+            this.entries = new Int32Array(count);
+            this.cellOf = new Int32Array(count);
+        }
+
+        for (let i = 0; i < count; i++) {
+            if (include !== undefined && !include(i)) {
+                this.cellOf[i] = -1;
+                continue;
+            }
+            const cell = this.cellIndex(xs[i], ys[i]);
+            this.cellOf[i] = cell;
+            this.cellStart[cell + 1]++;
+        }
+        for (let c = 0; c < cells; c++) {
+            this.cellStart[c + 1] += this.cellStart[c];
+        }
+        // walk the cells' starts forward while filling, then shift them back into place
+        for (let i = 0; i < count; i++) {
+            const cell = this.cellOf[i];
+            if (cell !== -1) {
+                this.entries[this.cellStart[cell]++] = i;
+            }
+        }
+        for (let c = cells; c > 0; c--) {
+            this.cellStart[c] = this.cellStart[c - 1];
+        }
+        this.cellStart[0] = 0;
+    }
+
+    column (x) {
+        return Math.min(Math.max(Math.floor((x - this.boundary.x) / this.cellWidth), 0), this.columns - 1);
+    }
+
+    row (y) {
+        return Math.min(Math.max(Math.floor((y - this.boundary.y) / this.cellHeight), 0), this.rows - 1);
+    }
+
+    cellIndex (x, y) {
+        return this.row(y) * this.columns + this.column(x);
+    }
+
+    // indices of the points with minX <= x < maxX and minY <= y < maxY, appended to `found`
+    queryBox (minX, minY, maxX, maxY, found = []) {
+        const {xs, ys, cellStart, entries, columns} = this;
+        if (xs === null) {
+            return found;
+        }
+        const col0 = this.column(minX);
+        const col1 = this.column(maxX);
+        const row0 = this.row(minY);
+        const row1 = this.row(maxY);
+        for (let row = row0; row <= row1; row++) {
+            for (let col = col0; col <= col1; col++) {
+                const cell = row * columns + col;
+                const end = cellStart[cell + 1];
+                for (let k = cellStart[cell]; k < end; k++) {
+                    const i = entries[k];
+                    const x = xs[i];
+                    const y = ys[i];
+                    if (x >= minX && x < maxX && y >= minY && y < maxY) {
+                        found.push(i);
+                    }
+                }
+            }
+        }
+        return found;
+    }
+
+    // same as queryBox, for a {x, y, width, height} range
+    query (range, found = []) {
+        return this.queryBox(range.x, range.y, range.x + range.width, range.y + range.height, found);
+    }
+}
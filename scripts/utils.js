@@ -14,6 +14,8 @@ export const HeaderLinkType = {
     PPP_ETHER: 51,
     SYMANTEC_FIREWALL: 99,
     ATM_RFC1483: 100,
+    RAW_OPENBSD: 12,
+    RAW_BSD: 14,
     RAW: 101,
     C_HDLC: 104,
     IEEE802_11: 105,
@@ -22,20 +24,217 @@ export const HeaderLinkType = {
     LOOP: 108,
     ENC: 109,
     NETBSD_HDLC: 112,
+    LINUX_SLL: 113,
+    IEEE802_11_RADIOTAP: 127,
+    IPV4: 228,
+    IPV6: 229,
+    LINUX_SLL2: 276,
     // https://www.tcpdump.org/linktypes.html
 };
 
+export const PcapMagicNumber = {
+    MICROSECONDS_BIG_ENDIAN: 0xa1b2c3d4,
+    MICROSECONDS_LITTLE_ENDIAN: 0xd4c3b2a1,
+    NANOSECONDS_BIG_ENDIAN: 0xa1b23c4d,
+    NANOSECONDS_LITTLE_ENDIAN: 0x4d3cb2a1,
+};
+
+export const PcapngBlockType = {
+    SECTION_HEADER: 0x0a0d0d0a,
+    INTERFACE_DESCRIPTION: 0x00000001,
+    OBSOLETE_PACKET: 0x00000002,
+    SIMPLE_PACKET: 0x00000003,
+    NAME_RESOLUTION: 0x00000004,
+    INTERFACE_STATISTICS: 0x00000005,
+    ENHANCED_PACKET: 0x00000006,
+    // https://www.ietf.org/archive/id/draft-ietf-opsawg-pcapng-03.html
+};
+
+export const PcapngOptionCode = {
+    END_OF_OPT: 0,
+    COMMENT: 1,
+    IF_NAME: 2,
+    IF_DESCRIPTION: 3,
+    IF_TSRESOL: 9,
+    IF_TSOFFSET: 14,
+};
+
+export const PcapngNameRecordType = {
+    END: 0,
+    IPv4: 1,
+    IPv6: 2,
+};
+
 export const EthernetProtocolType = {
     IPv4: 0x0800,
+    VLAN: 0x8100,
     IPv6: 0x86dd,
+    QINQ: 0x88a8,
+    QINQ_LEGACY: 0x9100,
     // https://www.iana.org/assignments/ieee-802-numbers/ieee-802-numbers.xhtml
 }
 
+// address family values found in DLT_NULL / DLT_LOOP headers, which differ per OS
+export const LoopbackAddressFamily = {
+    INET: 2,
+    INET6_LINUX: 10,
+    INET6_BSD: 24,
+    INET6_FREEBSD: 28,
+    INET6_DARWIN: 30,
+};
+
+export const PPPProtocolType = {
+    IPv4: 0x0021,
+    IPv6: 0x0057,
+    // https://www.iana.org/assignments/ppp-numbers/ppp-numbers.xhtml
+};
+
+export const IEEE802_11FrameType = {
+    MANAGEMENT: 0,
+    CONTROL: 1,
+    DATA: 2,
+};
+
+// bit indexes into the radiotap "present" word
+export const RadiotapField = {
+    TSFT: 0,
+    FLAGS: 1,
+    // https://www.radiotap.org/fields/defined
+};
+
+// bit indexes into the radiotap Flags field
+export const RadiotapFlag = {
+    FCS_AT_END: 4,
+};
+
 export const IPProtocolType = {
+    HOPOPT: 0,
+    ICMP: 1,
     TCP: 6,
+    UDP: 17,
+    IPv6_ROUTE: 43,
+    IPv6_FRAG: 44,
+    ESP: 50,
+    AH: 51,
+    ICMPv6: 58,
+    IPv6_NONXT: 59,
+    IPv6_OPTS: 60,
     // https://www.iana.org/assignments/protocol-numbers/protocol-numbers.xhtml
 }
 
+// e.g. "TCP" for 6, undefined for numbers without a name here
+export function getIPProtocolName (protocol) {
+    return Object.keys(IPProtocolType).find(name => IPProtocolType[name] === protocol);
+}
+
+export const TCPOptionKind = {
+    EOL: 0,
+    NOP: 1,
+    MSS: 2,
+    WINDOW_SCALE: 3,
+    SACK_PERMITTED: 4,
+    SACK: 5,
+    TIMESTAMPS: 8,
+    MD5_SIGNATURE: 19,
+    USER_TIMEOUT: 28,
+    TCP_AO: 29,
+    MPTCP: 30,
+    FAST_OPEN: 34,
+    // https://www.iana.org/assignments/tcp-parameters/tcp-parameters.xhtml
+}
+
+export const IPv4OptionType = {
+    EOL: 0,
+    NOP: 1,
+    RECORD_ROUTE: 7,
+    TIMESTAMP: 68,
+    SECURITY: 130,
+    LOOSE_SOURCE_ROUTE: 131,
+    STREAM_ID: 136,
+    STRICT_SOURCE_ROUTE: 137,
+    ROUTER_ALERT: 148,
+    // https://www.iana.org/assignments/ip-parameters/ip-parameters.xhtml
+}
+
+export const ICMPType = {
+    ECHO_REPLY: 0,
+    DESTINATION_UNREACHABLE: 3,
+    SOURCE_QUENCH: 4,
+    REDIRECT: 5,
+    ECHO_REQUEST: 8,
+    TIME_EXCEEDED: 11,
+    PARAMETER_PROBLEM: 12,
+    TIMESTAMP: 13,
+    TIMESTAMP_REPLY: 14,
+    // https://www.iana.org/assignments/icmp-parameters/icmp-parameters.xhtml
+}
+
+export const ICMPv6Type = {
+    DESTINATION_UNREACHABLE: 1,
+    PACKET_TOO_BIG: 2,
+    TIME_EXCEEDED: 3,
+    PARAMETER_PROBLEM: 4,
+    ECHO_REQUEST: 128,
+    ECHO_REPLY: 129,
+    ROUTER_SOLICITATION: 133,
+    ROUTER_ADVERTISEMENT: 134,
+    NEIGHBOR_SOLICITATION: 135,
+    NEIGHBOR_ADVERTISEMENT: 136,
+    REDIRECT: 137,
+    // https://www.iana.org/assignments/icmpv6-parameters/icmpv6-parameters.xhtml
+}
+
+export const ApplicationProtocol = {
+    DNS: "DNS",
+    NTP: "NTP",
+    SSDP: "SSDP",
+    MEMCACHED: "memcached",
+    HTTP: "HTTP",
+}
+
+export const WellKnownPort = {
+    HTTP: 80,
+    DNS: 53,
+    NTP: 123,
+    SSDP: 1900,
+    HTTP_ALT: 8080,
+    MEMCACHED: 11211,
+    // https://www.iana.org/assignments/service-names-port-numbers/service-names-port-numbers.xhtml
+}
+
+export const DNSRecordType = {
+    A: 1,
+    NS: 2,
+    CNAME: 5,
+    SOA: 6,
+    PTR: 12,
+    MX: 15,
+    TXT: 16,
+    AAAA: 28,
+    SRV: 33,
+    OPT: 41,
+    DNSKEY: 48,
+    ANY: 255,
+    // https://www.iana.org/assignments/dns-parameters/dns-parameters.xhtml#dns-parameters-4
+}
+
+export const NTPMode = {
+    SYMMETRIC_ACTIVE: 1,
+    SYMMETRIC_PASSIVE: 2,
+    CLIENT: 3,
+    SERVER: 4,
+    BROADCAST: 5,
+    CONTROL: 6,
+    PRIVATE: 7,
+    // https://www.rfc-editor.org/rfc/rfc5905#section-7.3
+}
+
+export const NTPPrivateRequestCode = {
+    MON_GETLIST: 20,
+    MON_GETLIST_1: 42,
+    // https://github.com/ntp-project/ntp/blob/master-no-authorname/include/ntp_request.h
+}
+
 export function printHexSlice (data) {
     let str = '';
     for (var n of data) {
@@ -44,6 +243,216 @@ export function printHexSlice (data) {
     console.log(str);
 }
 
+// Problems the dissectors report instead of throwing; the values double as labels in the parse report
+export const ParseErrorType = {
+    CORRUPT_FILE: "Corrupt capture file",
+    TRUNCATED_RECORD: "Capture ends mid-record",
+    BAD_RECORD_LENGTH: "Record length exceeds snaplen or original length",
+    SNAPLEN_TRUNCATED: "Packet cut by snaplen",
+    TRUNCATED_LINK_HEADER: "Truncated link-layer header",
+    TRUNCATED_IP_HEADER: "Truncated IP header",
+    BAD_IP_VERSION: "Wrong IP version",
+    BAD_IP_HEADER_LENGTH: "Invalid IPv4 header length",
+    BAD_IP_TOTAL_LENGTH: "Invalid IP total length",
+    TRUNCATED_IP_PAYLOAD: "Truncated IP payload",
+    TRUNCATED_EXTENSION_HEADER: "Truncated IPv6 extension header",
+    MALFORMED_OPTION: "Malformed IP/TCP option",
+    TRUNCATED_TCP_HEADER: "Truncated TCP header",
+    BAD_TCP_DATA_OFFSET: "Invalid TCP data offset",
+    TRUNCATED_UDP_HEADER: "Truncated UDP header",
+    BAD_UDP_LENGTH: "Invalid UDP length",
+    TRUNCATED_ICMP_HEADER: "Truncated ICMP header",
+};
+
+export const ParseErrorKind = {
+    TRUNCATED: "truncated",
+    MALFORMED: "malformed",
+};
+
+export const ChecksumStatus = {
+    VALID: "valid",
+    INVALID: "invalid",
+    // left for the NIC to fill in after the capture point
+    OFFLOADED: "offloaded",
+    // UDP over IPv4 may leave the checksum out
+    ABSENT: "absent",
+    // not enough of the packet was captured to check it
+    UNVERIFIED: "unverified",
+};
+
+// lowercase hex digits, two per byte; Uint8Array.prototype.toHex is not in Node 20 or older browsers
+export function formatHex (bytes) {
+    let text = "";
+    for (let i = 0; i < bytes.length; i++) {
+        text += bytes[i].toString(16).padStart(2, "0");
+    }
+    return text;
+}
+
+export function formatIPv4Address (bytes) {
+    return `${bytes[0]}.${bytes[1]}.${bytes[2]}.${bytes[3]}`;
+}
+
+// RFC 5952 canonical text form: lowercase, no leading zeros, longest zero run compressed
+export function formatIPv6Address (bytes) {
+    let groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push((bytes[i] << 8) | bytes[i + 1]);
+    }
+
+    // IPv4-mapped addresses (::ffff:a.b.c.d)
+    if (groups.slice(0, 5).every(g => g === 0) && groups[5] === 0xffff) {
+        return `::ffff:${formatIPv4Address(bytes.slice(12, 16))}`;
+    }
+
+    let bestStart = -1;
+    let bestLen = 0;
+    for (let i = 0; i < 8; i++) {
+        let j = i;
+        while (j < 8 && groups[j] === 0) {
+            j++;
+        }
+        if (j - i > bestLen) {
+            bestStart = i;
+            bestLen = j - i;
+        }
+        i = j;
+    }
+
+    const hex = groups.map(g => g.toString(16));
+    if (bestLen < 2) {
+        return hex.join(':');
+    }
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLen).join(':');
+    return `${head}::${tail}`;
+}
+
+export function parseIPv4Address (text) {
+    const parts = text.split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && parseInt(part) <= 255)) {
+        return undefined;
+    }
+    return new Uint8Array(parts.map(part => parseInt(part)));
+}
+
+// accepts "::" compression and a dotted IPv4 tail (::ffff:10.0.0.1)
+export function parseIPv6Address (text) {
+    const halves = text.split('::');
+    if (halves.length > 2) {
+        return undefined;
+    }
+
+    const parseGroups = (half) => {
+        if (half === '') {
+            return [];
+        }
+        let groups = [];
+        const parts = half.split(':');
+        for (let i = 0; i < parts.length; i++) {
+            if (i === parts.length - 1 && parts[i].includes('.')) {
+                const ipv4 = parseIPv4Address(parts[i]);
+                if (ipv4 === undefined) {
+                    return undefined;
+                }
+                groups.push((ipv4[0] << 8) | ipv4[1], (ipv4[2] << 8) | ipv4[3]);
+            } else if (/^[0-9a-fA-F]{1,4}$/.test(parts[i])) {
+                groups.push(parseInt(parts[i], 16));
+            } else {
+                return undefined;
+            }
+        }
+        return groups;
+    };
+
+    const head = parseGroups(halves[0]);
+    const tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+    if (head === undefined || tail === undefined) {
+        return undefined;
+    }
+    const missing = 8 - head.length - tail.length;
+    if ((halves.length === 2 && missing < 1) || (halves.length === 1 && missing !== 0)) {
+        return undefined;
+    }
+
+    const groups = [...head, ...new Array(missing).fill(0), ...tail];
+    let bytes = new Uint8Array(16);
+    groups.forEach((group, idx) => {
+        bytes[idx * 2] = group >>> 8;
+        bytes[idx * 2 + 1] = group & 0xff;
+    });
+    return bytes;
+}
+
+export function parseIPAddress (text) {
+    return text.includes(':') ? parseIPv6Address(text) : parseIPv4Address(text);
+}
+
+// "10.0.0.0/8", "2001:db8::/32", or a bare address for a single host
+export function parseSubnet (text) {
+    const [addressText, prefixText, ...rest] = text.trim().split('/');
+    const address = parseIPAddress(addressText);
+    if (address === undefined || rest.length > 0) {
+        return undefined;
+    }
+
+    const maxPrefixLen = address.length * 8;
+    const prefixLen = prefixText === undefined ? maxPrefixLen : parseInt(prefixText);
+    if ((prefixText !== undefined && !/^\d+$/.test(prefixText)) || prefixLen > maxPrefixLen) {
+        return undefined;
+    }
+    return {
+        address: address,
+        prefixLen: prefixLen
+    };
+}
+
+export function isInSubnet (bytes, subnet) {
+    if (bytes.length !== subnet.address.length) {
+        return false;
+    }
+    const fullBytes = Math.floor(subnet.prefixLen / 8);
+    for (let i = 0; i < fullBytes; i++) {
+        if (bytes[i] !== subnet.address[i]) {
+            return false;
+        }
+    }
+    const remainingBits = subnet.prefixLen % 8;
+    if (remainingBits === 0) {
+        return true;
+    }
+    const mask = (0xff << (8 - remainingBits)) & 0xff;
+    return (bytes[fullBytes] & mask) === (subnet.address[fullBytes] & mask);
+}
+
+// big-endian (network order) unless told otherwise; works on any Uint8Array view without copying
+export function readUint16 (bytes, offset, littleEndian=false) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint16(offset, littleEndian);
+}
+
+export function readUint32 (bytes, offset, littleEndian=false) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(offset, littleEndian);
+}
+
+// RFC 1071 one's complement sum of 16-bit words, carries not yet folded
+export function onesComplementSum (bytes, sum=0) {
+    const evenLength = bytes.length & ~1;
+    for (let i = 0; i < evenLength; i += 2) {
+        sum += (bytes[i] << 8) | bytes[i + 1];
+    }
+    if (evenLength < bytes.length) {
+        sum += bytes[evenLength] << 8;
+    }
+    return sum;
+}
+
+export function foldChecksum (sum) {
+    while (sum > 0xffff) {
+        sum = (sum % 0x10000) + Math.floor(sum / 0x10000);
+    }
+    return sum;
+}
+
 export function getFirstNBits(value, n, bitLen=8) {
     let r = 0;
     for (let i = 0; i < n; i++) {
@@ -68,4 +477,20 @@ export function getLastNBits(value, n) {
 export function getFlagBit (value, idx) {
     let r = 1 << idx;
     return (r & value) == r;
-}
\ No newline at end of file
+}
+
+// mulberry32: a small seedable PRNG, so replays with the same seed are identical.
+// Returns a function yielding floats in [0, 1) like Math.random. Its `state` property seeds
+// a generator that carries on with the same sequence, for saving and restoring it.
+export function createRandom (seed) {
+    let state = seed >>> 0;
+    const random = function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    Object.defineProperty(random, 'state', { get: () => state });
+    return random;
+}
@@ -0,0 +1,150 @@
+import {IPProtocolType} from "./utils.js";
+
+// distinct addresses a host has to probe on one port before it counts as scanning
+const SCAN_THRESHOLD = 5;
+
+function getIPLayer (element) {
+    return element.packet !== undefined ? element.packet.payload : undefined;
+}
+
+// A TCP SYN or any UDP datagram: something that could be a probe or an exploit
+function getProbePort (ip) {
+    const datagram = ip.datagram;
+    if (datagram === undefined) {
+        return undefined;
+    }
+    if (ip.header.protocol === IPProtocolType.TCP) {
+        const flags = datagram.header.flags;
+        return flags.SYN && !flags.ACK ? datagram.header.destPort : undefined;
+    }
+    if (ip.header.protocol === IPProtocolType.UDP) {
+        return datagram.header.destPort;
+    }
+    return undefined;
+}
+
+// IPv4 before IPv6, then byte by byte, so the hosts of a subnet end up next to each other
+function compareAddresses (a, b) {
+    if (a.length !== b.length) {
+        return a.length - b.length;
+    }
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return a[i] - b[i];
+        }
+    }
+    return 0;
+}
+
+// Finds the hosts that scan, i.e. probe SCAN_THRESHOLD distinct addresses on one port, and
+// when each of them started. Keyed by address, then by port.
+function findScanners (packets, scanThreshold) {
+    let probes = new Map();
+    let scanners = new Map();
+
+    for (let element of packets) {
+        const ip = getIPLayer(element);
+        const port = ip !== undefined ? getProbePort(ip) : undefined;
+        if (port === undefined) {
+            continue;
+        }
+        const key = `${ip.header.sourceIP.string}|${port}`;
+        if (!probes.has(key)) {
+            probes.set(key, { firstTime: element.header.relativeTime, targets: new Set() });
+        }
+        const probe = probes.get(key);
+        probe.targets.add(ip.header.destIP.string);
+
+        if (probe.targets.size === scanThreshold) {
+            const source = ip.header.sourceIP.string;
+            if (!scanners.has(source)) {
+                scanners.set(source, new Map());
+            }
+            scanners.get(source).set(port, probe.firstTime);
+        }
+    }
+    return scanners;
+}
+
+// the port scanned by the most hosts, the lowest one on a tie
+function findTargetPort (scanners) {
+    let counts = new Map();
+    for (let ports of scanners.values()) {
+        for (let port of ports.keys()) {
+            counts.set(port, (counts.get(port) || 0) + 1);
+        }
+    }
+    let targetPort;
+    for (let [port, count] of counts) {
+        if (targetPort === undefined || count > counts.get(targetPort) || (count === counts.get(targetPort) && port < targetPort)) {
+            targetPort = port;
+        }
+    }
+    return targetPort;
+}
+
+// Infers how a worm spread through a capture. Every address seen becomes a host. A host is
+// infected when it starts scanning the target port (the one most hosts scan, unless `port` is
+// given); if an already infected host probed it on that port earlier, that probe is taken as
+// the exploit and its sender as the source of the infection. Hosts that scan without having
+// been probed are the first infections the capture shows, and have no source.
+// Times are in milliseconds since the first packet; hosts are indices into `addresses`.
+export function inferInfections (packets, { port = undefined, scanThreshold = SCAN_THRESHOLD } = {}) {
+    let addresses = new Map();
+    for (let element of packets) {
+        const ip = getIPLayer(element);
+        if (ip === undefined || ip.header.sourceIP === undefined) {
+            continue;
+        }
+        addresses.set(ip.header.sourceIP.string, ip.header.sourceIP.array);
+        addresses.set(ip.header.destIP.string, ip.header.destIP.array);
+    }
+    const ordered = [...addresses.keys()].sort((a, b) => compareAddresses(addresses.get(a), addresses.get(b)));
+    const hostIndex = new Map(ordered.map((address, idx) => [address, idx]));
+
+    const scanners = findScanners(packets, scanThreshold);
+    const targetPort = port !== undefined ? port : findTargetPort(scanners);
+
+    // when each host that scans the target port started doing so
+    let scanStart = new Map();
+    for (let [address, ports] of scanners) {
+        if (ports.has(targetPort)) {
+            scanStart.set(address, ports.get(targetPort));
+        }
+    }
+
+    // packets are in capture order, so the first exploit found for a host is the earliest
+    let exploits = new Map();
+    const isInfectedAt = (address, time) => {
+        return (exploits.has(address) && exploits.get(address).time <= time) || (scanStart.has(address) && scanStart.get(address) <= time);
+    };
+    for (let element of packets) {
+        const ip = getIPLayer(element);
+        if (ip === undefined || ip.datagram === undefined || ip.datagram.header.destPort !== targetPort) {
+            continue;
+        }
+        const source = ip.header.sourceIP.string;
+        const dest = ip.header.destIP.string;
+        const time = element.header.relativeTime;
+        if (scanStart.has(dest) && !exploits.has(dest) && time <= scanStart.get(dest) && isInfectedAt(source, time)) {
+            exploits.set(dest, { time: time, source: source });
+        }
+    }
+
+    let infections = [];
+    for (let [address, time] of scanStart) {
+        const exploit = exploits.get(address);
+        infections.push({
+            time: exploit !== undefined ? exploit.time : time,
+            host: hostIndex.get(address),
+            source: exploit !== undefined ? hostIndex.get(exploit.source) : undefined
+        });
+    }
+    infections.sort((a, b) => a.time - b.time);
+
+    return {
+        addresses: ordered,
+        targetPort: targetPort,
+        infections: infections
+    };
+}
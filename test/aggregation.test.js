@@ -0,0 +1,121 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {ethernet, ipv4, udp, pcap} from "./helpers.js";
+import {Engine, FluidParameter} from "../scripts/engine.js";
+import {HeadlessRenderer} from "../scripts/renderer.js";
+import {parseCaptureFile} from "../scripts/pcap_parser.js";
+import {IPProtocolType} from "../scripts/utils.js";
+
+const STEP = 1 / 120;
+
+// `count` UDP packets from one host, a millisecond apart
+function flood (count) {
+    const frame = ethernet(0x0800, ipv4(IPProtocolType.UDP, udp(1234, 53, [1, 2, 3, 4])));
+    return pcap(Array.from({ length: count }, () => frame));
+}
+
+function loadFlood (engine, count) {
+    engine.fluidParticleEngine.loadPcap(parseCaptureFile(flood(count)));
+}
+
+test("packets get a particle each while under the budget", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    loadFlood(engine, 5);
+    for (let i = 0; i < 10; i++) {
+        engine.simulationStep();
+    }
+    const stats = engine.getServerStats();
+    assert.equal(stats.aggregation, 1);
+    assert.equal(stats.particles, 5);
+});
+
+test("packets share particles once the rate exceeds the budget", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    // 10 particles per on-screen second, against 100 packets in under 170 ms
+    engine.setFluidParameter(FluidParameter.PARTICLE_BUDGET, 10);
+    engine.setPlaybackSpeed(10);
+    loadFlood(engine, 100);
+    for (let i = 0; i < 2; i++) {
+        engine.simulationStep();
+    }
+
+    const fluid = engine.fluidParticleEngine;
+    const stats = engine.getServerStats();
+    assert.ok(stats.aggregation > 1);
+    assert.ok(stats.particles < 100);
+    // every packet is on screen, just in fewer particles
+    assert.equal(fluid.particles.reduce((total, p) => total + p.packets, 0), 100);
+});
+
+test("the budget holds across many sources", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    // 10 particles a step, against 1000 hosts sending one packet each, all at once
+    engine.setFluidParameter(FluidParameter.PARTICLE_BUDGET, 10 / STEP);
+    const capture = parseCaptureFile(pcap(Array.from({ length: 1000 }, (_, idx) => {
+        const source = [10, 0, idx >> 8, idx & 0xff];
+        return ethernet(0x0800, ipv4(IPProtocolType.UDP, udp(1234, 53, [1, 2, 3, 4]), source));
+    })));
+    for (let element of capture.packets) {
+        element.header.relativeTime = 0;
+    }
+    const fluid = engine.fluidParticleEngine;
+    fluid.loadPcap(capture);
+
+    engine.simulationStep();
+    assert.equal(engine.getServerStats().particles, 10);
+    assert.equal(engine.getServerStats().aggregation, 100);
+
+    // the rest follow, ten at a time, without any packet going missing
+    for (let i = 1; i < 100; i++) {
+        engine.simulationStep();
+        assert.ok(engine.getServerStats().particles <= 10 * (i + 1));
+    }
+    assert.equal(fluid.particleSources.reduce((total, source) => total + source.next, 0), 1000);
+});
+
+test("sources are instances of one mesh and keep their places as more arrive", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    const capture = parseCaptureFile(pcap(Array.from({ length: 100 }, (_, idx) => {
+        return ethernet(0x0800, ipv4(IPProtocolType.UDP, udp(1234, 53, new Array(idx).fill(0)), [10, 0, 0, idx]));
+    })));
+    const fluid = engine.fluidParticleEngine;
+    fluid.beginPcap(capture.globalHeader);
+    fluid.restart();
+
+    // streamed in two batches, as the parsing worker would
+    fluid.appendPackets(capture.packets.slice(0, 50));
+    const placed = fluid.particleSources.map(source => [source.x, source.y]);
+    fluid.appendPackets(capture.packets.slice(50));
+    assert.deepEqual(fluid.particleSources.slice(0, 50).map(source => [source.x, source.y]), placed);
+    assert.equal(new Set(fluid.particleSources.map(source => source.x)).size, 100);
+
+    engine.render();
+    const mesh = fluid.sourceMesh;
+    assert.equal(fluid.group.children.filter(child => child === mesh).length, 1);
+    assert.equal(mesh.count, 100);
+    const position = (idx) => {
+        const matrices = mesh.instanceMatrix.array;
+        return [matrices[idx * 16 + 12], matrices[idx * 16 + 13], matrices[idx * 16]];
+    };
+    // the busiest source is drawn the largest
+    const [x, y, radius] = position(99);
+    assert.deepEqual([x, y], [fluid.particleSources[99].x, fluid.particleSources[99].y].map(Math.fround));
+    assert.ok(radius > position(0)[2]);
+});
+
+test("the server counts aggregated particles as the packets they carry", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    const fluid = engine.fluidParticleEngine;
+    fluid.setColorRules([]);
+    const p = fluid.spawnParticle({ x: 0, y: 0 }, { packets: 4, bytes: 400 });
+
+    fluid.admitToServer(p);
+    assert.equal(engine.getServerStats().queued, 4);
+
+    engine.setFluidParameter(FluidParameter.SERVICE_RATE, 4 / STEP);
+    fluid.serveQueue(STEP);
+    const stats = engine.getServerStats();
+    assert.equal(stats.processed, 4);
+    assert.equal(stats.queued, 0);
+    assert.equal(stats.particles, 0);
+});
@@ -0,0 +1,180 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {ethernet, ipv4, udp, pcap} from "./helpers.js";
+import {parseCaptureFile} from "../scripts/pcap_parser.js";
+import {parseApplicationLayer, getApplicationLayer, classifyApplication} from "../scripts/application_layer.js";
+import {IPProtocolType, ApplicationProtocol, DNSRecordType, NTPMode, NTPPrivateRequestCode} from "../scripts/utils.js";
+
+function text (string) {
+    return [...string].map(char => char.charCodeAt(0));
+}
+
+// numbers, arrays of them and strings, run together
+function bytes (...parts) {
+    return new Uint8Array(parts.flatMap(part => typeof part === "string" ? text(part) : typeof part === "number" ? [part] : [...part]));
+}
+
+function overUDP (port, data) {
+    return parseApplicationLayer(IPProtocolType.UDP, 40000, port, data);
+}
+
+function overTCP (port, data) {
+    return parseApplicationLayer(IPProtocolType.TCP, 40000, port, data);
+}
+
+// "example.com", written out at offset 12 of a DNS message
+const EXAMPLE_COM = [7, ...text("example"), 3, ...text("com"), 0];
+
+function dnsHeader (flags, questions, answers, authorities, additionals) {
+    return [0x12, 0x34, flags >> 8, flags & 0xff, 0, questions, 0, answers, 0, authorities, 0, additionals];
+}
+
+test("reads DNS questions and answers, following compression pointers", () => {
+    const response = bytes(
+        dnsHeader(0x8180, 1, 1, 0, 1),
+        EXAMPLE_COM, 0, DNSRecordType.A, 0, 1,
+        // the answer's name points back at the question's
+        0xc0, 12, 0, DNSRecordType.A, 0, 1, 0, 0, 0x0e, 0x10, 0, 4, 93, 184, 216, 34,
+        // an EDNS(0) OPT record advertising 4096 byte datagrams
+        0, 0, DNSRecordType.OPT, 0x10, 0x00, 0, 0, 0, 0, 0, 0
+    );
+    const message = overUDP(53, response);
+    assert.equal(message.protocol, ApplicationProtocol.DNS);
+    assert.equal(message.header.isResponse, true);
+    assert.equal(message.header.recursionAvailable, true);
+    assert.deepEqual(message.questions, [{ name: "example.com", type: DNSRecordType.A, class: 1 }]);
+    assert.deepEqual(message.answers, [{ name: "example.com", type: DNSRecordType.A, class: 1, ttl: 3600, dataLength: 4 }]);
+    assert.equal(message.udpPayloadSize, 4096);
+    assert.equal(classifyApplication(message), "DNS response");
+
+    const any = bytes(dnsHeader(0x0100, 1, 0, 0, 0), EXAMPLE_COM, 0, DNSRecordType.ANY, 0, 1);
+    assert.equal(classifyApplication(overUDP(53, any)), "DNS ANY query");
+
+    // over TCP the message follows a two byte length
+    const query = bytes(dnsHeader(0x0100, 1, 0, 0, 0), EXAMPLE_COM, 0, DNSRecordType.A, 0, 1);
+    const framed = overTCP(53, bytes(0, query.length, query));
+    assert.equal(classifyApplication(framed), "DNS query");
+    assert.equal(framed.questions[0].name, "example.com");
+});
+
+test("gives up on truncated or malformed DNS without looping", () => {
+    const query = bytes(dnsHeader(0x0100, 1, 0, 0, 0), EXAMPLE_COM, 0, DNSRecordType.A, 0, 1);
+    assert.equal(overUDP(53, query.subarray(0, 11)), undefined);
+    assert.equal(overUDP(53, query.subarray(0, 20)), undefined);
+    assert.equal(overTCP(53, bytes(0)), undefined);
+
+    // a pointer to itself, and two pointing at each other
+    assert.equal(overUDP(53, bytes(dnsHeader(0x0100, 1, 0, 0, 0), 0xc0, 12, 0, 1, 0, 1)), undefined);
+    assert.equal(overUDP(53, bytes(dnsHeader(0x0100, 1, 0, 0, 0), 0xc0, 14, 0xc0, 12, 0, 1, 0, 1)), undefined);
+    // a pointer past the end, and a label length with the reserved bits set
+    assert.equal(overUDP(53, bytes(dnsHeader(0x0100, 1, 0, 0, 0), 0xc0, 0xff, 0, 1, 0, 1)), undefined);
+    assert.equal(overUDP(53, bytes(dnsHeader(0x0100, 1, 0, 0, 0), 0x41, 0x61, 0, 0, 1, 0, 1)), undefined);
+
+    // an answer cut short keeps the questions and drops the rest
+    const response = bytes(dnsHeader(0x8180, 1, 1, 0, 0), EXAMPLE_COM, 0, DNSRecordType.A, 0, 1, 0xc0, 12, 0, DNSRecordType.A, 0, 1, 0, 0);
+    const message = overUDP(53, response);
+    assert.equal(message.questions.length, 1);
+    assert.deepEqual(message.answers, []);
+});
+
+test("tells NTP monlist requests and responses from ordinary NTP", () => {
+    // version 2, mode 7, implementation XNTPD
+    const request = overUDP(123, bytes(0x17, 0x00, 0x03, NTPPrivateRequestCode.MON_GETLIST_1, 0, 0, 0, 0));
+    assert.equal(request.header.mode, NTPMode.PRIVATE);
+    assert.equal(request.monlist, true);
+    assert.equal(classifyApplication(request), "NTP monlist request");
+
+    const response = overUDP(123, bytes(0x97, 0x00, 0x03, NTPPrivateRequestCode.MON_GETLIST_1, 0x00, 0x06, 0x00, 0x48, new Array(432).fill(0)));
+    assert.equal(response.header.isResponse, true);
+    assert.equal(response.header.itemCount, 6);
+    assert.equal(response.header.itemSize, 72);
+    assert.equal(classifyApplication(response), "NTP monlist response");
+
+    // a version 4 client request
+    const client = overUDP(123, bytes(0x23, 0, 6, 0xec, new Array(44).fill(0)));
+    assert.equal(client.header.mode, NTPMode.CLIENT);
+    assert.equal(client.header.version, 4);
+    assert.equal(client.header.precision, -20);
+    assert.equal(classifyApplication(client), "NTP");
+
+    assert.equal(overUDP(123, bytes(0x17, 0x00)), undefined);
+    assert.equal(overUDP(123, bytes(0x17, 0x00, 0x03, NTPPrivateRequestCode.MON_GETLIST_1)), undefined);
+    assert.equal(overUDP(123, bytes(0x23, 0, 6, 0xec, new Array(20).fill(0))), undefined);
+});
+
+test("reads SSDP searches and responses", () => {
+    const search = overUDP(1900, bytes("M-SEARCH * HTTP/1.1\r\nHOST: 239.255.255.250:1900\r\nMAN: \"ssdp:discover\"\r\nST: ssdp:all\r\n\r\n"));
+    assert.equal(search.method, "M-SEARCH");
+    assert.equal(search.searchTarget, "ssdp:all");
+    assert.equal(classifyApplication(search), "SSDP M-SEARCH");
+
+    // the head may be cut short, the start line still tells what it is
+    const response = overUDP(1900, bytes("HTTP/1.1 200 OK\r\nLOCATION: http://192.168.0.1/desc.xml\r\nSERVER: Linux"));
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.location, "http://192.168.0.1/desc.xml");
+    assert.equal(response.server, "Linux");
+    assert.equal(classifyApplication(response), "SSDP response");
+
+    assert.equal(overUDP(1900, bytes("GET / HTTP/1.1\r\n\r\n")), undefined);
+    assert.equal(overUDP(1900, bytes(0, 1, 2, 3)), undefined);
+});
+
+test("reads memcached text and binary commands, with or without the UDP frame", () => {
+    const frame = [0x00, 0x01, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00];
+    const get = overUDP(11211, bytes(frame, "get key\r\n"));
+    assert.equal(get.frame.requestId, 1);
+    assert.equal(get.command, "get");
+    assert.equal(get.key, "key");
+    assert.equal(classifyApplication(get), "memcached get");
+
+    const stats = overUDP(11211, bytes(frame, "STAT pid 1\r\nEND\r\n"));
+    assert.equal(stats.isResponse, true);
+    assert.equal(classifyApplication(stats), "memcached response");
+
+    // a binary GET request over TCP, which has no frame
+    const binary = overTCP(11211, bytes(0x80, 0x00, 0x00, 0x03, new Array(4).fill(0), 0, 0, 0, 3, new Array(12).fill(0), "key"));
+    assert.equal(binary.binary, true);
+    assert.equal(binary.keyLength, 3);
+    assert.equal(binary.bodyLength, 3);
+    assert.equal(classifyApplication(binary), "memcached binary request");
+
+    assert.equal(overUDP(11211, bytes(0x00, 0x01, 0x00)), undefined);
+    assert.equal(overUDP(11211, bytes(frame)), undefined);
+    assert.equal(overTCP(11211, bytes(0x81, 0x00, 0x00, 0x03)), undefined);
+    assert.equal(overTCP(11211, bytes(0xff, 0xfe, "\r\n")), undefined);
+});
+
+test("recognises HTTP by its content on any TCP port", () => {
+    const request = overTCP(8000, bytes("GET /index.html HTTP/1.1\r\nHost: example.com\r\nUser-Agent: curl/8.0\r\n\r\nbody"));
+    assert.equal(request.method, "GET");
+    assert.equal(request.target, "/index.html");
+    assert.equal(request.host, "example.com");
+    assert.equal(request.userAgent, "curl/8.0");
+    assert.equal(request.complete, true);
+    assert.equal(classifyApplication(request), "HTTP GET");
+
+    const response = overTCP(8000, bytes("HTTP/1.1 404 Not Found\r\nContent-Len"));
+    assert.equal(response.statusCode, 404);
+    assert.equal(response.reason, "Not Found");
+    assert.equal(response.complete, false);
+    assert.equal(classifyApplication(response), "HTTP response");
+
+    assert.equal(overTCP(8000, bytes("BREW /pot HTTP/1.1\r\n\r\n")), undefined);
+    assert.equal(overTCP(8000, bytes("GET")), undefined);
+    assert.equal(overTCP(8000, bytes(0x16, 0x03, 0x01, 0x00, 0xa5)), undefined);
+    // HTTP is not looked for over UDP
+    assert.equal(overUDP(8000, bytes("GET / HTTP/1.1\r\n\r\n")), undefined);
+});
+
+test("dissected packets carry their application layer, and a bad one is not an error", () => {
+    const query = bytes(dnsHeader(0x0100, 1, 0, 0, 0), EXAMPLE_COM, 0, DNSRecordType.ANY, 0, 1);
+    const frame = (payload) => ethernet(0x0800, ipv4(IPProtocolType.UDP, udp(5353, 53, [...payload])));
+    const [good, bad] = parseCaptureFile(pcap([frame(query), frame(query.subarray(0, 16))])).packets;
+
+    assert.equal(getApplicationLayer(good).protocol, ApplicationProtocol.DNS);
+    assert.equal(classifyApplication(getApplicationLayer(good)), "DNS ANY query");
+
+    assert.equal(getApplicationLayer(bad), undefined);
+    assert.equal(classifyApplication(getApplicationLayer(bad)), undefined);
+    assert.deepEqual(bad.errors, []);
+});
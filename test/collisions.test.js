@@ -0,0 +1,133 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {ethernet, ipv4, tcp, pcap} from "./helpers.js";
+import {Engine} from "../scripts/engine.js";
+import {HeadlessRenderer} from "../scripts/renderer.js";
+import {parseCaptureFile} from "../scripts/pcap_parser.js";
+import {IPProtocolType} from "../scripts/utils.js";
+
+const EPSILON = 1e-9;
+
+function newEngine () {
+    const engine = new Engine(new HeadlessRenderer(1000, 1000));
+    engine.fluidParticleEngine.setColorRules([]);
+    return engine;
+}
+
+function addParticle (fluid, x, y, Vx, Vy, bytes = 100) {
+    const p = fluid.spawnParticle({ x: x, y: y }, { packets: 1, bytes: bytes });
+    p.position().set(x, y);
+    p.Vx = Vx;
+    p.Vy = Vy;
+    return p;
+}
+
+// two particles touching along the x axis, heading into each other
+function headOn (fluid, bytes1, bytes2) {
+    const a = addParticle(fluid, 0, 0, 1, 0, bytes1);
+    const b = addParticle(fluid, 0, 0, -1, 0, bytes2);
+    b.position().x = a.radius() + b.radius();
+    fluid.buildSpatialIndex();
+    return [a, b];
+}
+
+test("equal particles swap velocities in a perfectly elastic collision", () => {
+    const fluid = newEngine().fluidParticleEngine;
+    fluid.parameters.restitution = 1;
+    const [a, b] = headOn(fluid, 100, 100);
+
+    fluid.checkParticleCollision(a.index);
+    assert.ok(Math.abs(a.Vx + 1) < EPSILON);
+    assert.ok(Math.abs(b.Vx - 1) < EPSILON);
+});
+
+test("restitution scales the separating speed", () => {
+    const fluid = newEngine().fluidParticleEngine;
+    fluid.parameters.restitution = 0.5;
+    const [a, b] = headOn(fluid, 100, 100);
+
+    fluid.checkParticleCollision(a.index);
+    assert.ok(Math.abs(a.Vx + 0.5) < EPSILON);
+    assert.ok(Math.abs(b.Vx - 0.5) < EPSILON);
+});
+
+test("momentum is conserved between particles of different mass", () => {
+    const fluid = newEngine().fluidParticleEngine;
+    const [a, b] = headOn(fluid, 40, 1514);
+    assert.ok(b.mass > a.mass);
+    const before = a.mass * a.Vx + b.mass * b.Vx;
+
+    fluid.checkParticleCollision(a.index);
+    const after = a.mass * a.Vx + b.mass * b.Vx;
+    assert.ok(Math.abs(after - before) < EPSILON);
+    // the lighter particle bounces back harder
+    assert.ok(Math.abs(a.Vx) > Math.abs(b.Vx));
+});
+
+test("particles moving apart do not collide", () => {
+    const fluid = newEngine().fluidParticleEngine;
+    const [a, b] = headOn(fluid, 100, 100);
+    a.Vx = -1;
+    b.Vx = 1;
+
+    fluid.checkParticleCollision(a.index);
+    assert.equal(a.Vx, -1);
+    assert.equal(b.Vx, 1);
+});
+
+test("walls stop particles at the edge of the world", () => {
+    const engine = newEngine();
+    const fluid = engine.fluidParticleEngine;
+    const p = addParticle(fluid, engine.bounds.right + 0.1, 0, 1, 0);
+
+    fluid.checkWallCollisions(p.index);
+    assert.ok(p.position().x < engine.bounds.right);
+    assert.equal(p.Vx, 0);
+});
+
+test("walls keep each particle a radius away, whatever its size", () => {
+    const engine = newEngine();
+    const fluid = engine.fluidParticleEngine;
+    const small = addParticle(fluid, engine.bounds.right, 0, 1, 0, 40);
+    const large = addParticle(fluid, engine.bounds.left, engine.bounds.bottom, -1, -1, 1514);
+    assert.ok(large.radius() > small.radius());
+
+    fluid.checkWallCollisions(small.index);
+    fluid.checkWallCollisions(large.index);
+    assert.ok(Math.abs(small.position().x - (engine.bounds.right - small.radius())) < EPSILON);
+    assert.ok(Math.abs(large.position().x - (engine.bounds.left + large.radius())) < EPSILON);
+    assert.ok(Math.abs(large.position().y - (engine.bounds.bottom + large.radius())) < EPSILON);
+});
+
+test("the server pillars bounce particles back", () => {
+    const fluid = newEngine().fluidParticleEngine;
+    const pillarX = -fluid.parameters.serverCapacity / 2;
+    const p = addParticle(fluid, pillarX, -0.45, 1, 0);
+
+    fluid.checkCollisionWithServer(p.index);
+    assert.ok(Math.abs(p.Vx + 0.8) < EPSILON);
+});
+
+test("the same capture and seed replay identically", () => {
+    const frames = [1, 2, 3, 4, 5].map(host => {
+        const source = [10, 0, 0, host];
+        return ethernet(0x0800, ipv4(IPProtocolType.TCP, tcp(0x02, [], source), source));
+    });
+    const buffer = pcap(frames);
+
+    const run = (seed) => {
+        const engine = new Engine(new HeadlessRenderer(1000, 1000));
+        engine.setRandomSeed(seed);
+        engine.fluidParticleEngine.loadPcap(parseCaptureFile(buffer));
+        // long enough to spawn everything, short enough that nothing reaches the server
+        for (let i = 0; i < 60; i++) {
+            engine.simulationStep();
+        }
+        return engine.fluidParticleEngine.particles.map(p => [p.position().x, p.position().y]);
+    };
+
+    const first = run(7);
+    assert.equal(first.length, frames.length);
+    assert.deepEqual(run(7), first);
+    assert.notDeepEqual(run(8), first);
+});
@@ -0,0 +1,99 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {ethernet, ipv4, tcp, udp, pcap} from "./helpers.js";
+import {Engine} from "../scripts/engine.js";
+import {HeadlessRenderer} from "../scripts/renderer.js";
+import {parseCaptureFile} from "../scripts/pcap_parser.js";
+import {compileDisplayFilter, validateDisplayFilter} from "../scripts/display_filter.js";
+import {IPProtocolType} from "../scripts/utils.js";
+
+const SYN = 0x02;
+const SYN_ACK = 0x12;
+
+// a query for "www", type A
+const DNS_QUERY = [0x12, 0x34, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 3, 0x77, 0x77, 0x77, 0, 0, 1, 0, 1];
+
+function udpPacket (source, dest, sourcePort, destPort, payload = []) {
+    return ethernet(0x0800, ipv4(IPProtocolType.UDP, udp(sourcePort, destPort, payload), source, dest));
+}
+
+// a handshake's first two segments, a DNS query, a large NTP datagram and something on port 5000
+function capture () {
+    return parseCaptureFile(pcap([
+        ethernet(0x0800, ipv4(IPProtocolType.TCP, tcp(SYN))),
+        ethernet(0x0800, ipv4(IPProtocolType.TCP, tcp(SYN_ACK, [], [10, 0, 0, 2], [10, 0, 0, 1], 80, 12345), [10, 0, 0, 2], [10, 0, 0, 1])),
+        udpPacket([192, 168, 0, 5], [8, 8, 8, 8], 5353, 53, DNS_QUERY),
+        udpPacket([10, 0, 0, 3], [10, 0, 0, 4], 123, 123, new Array(1100).fill(0)),
+        udpPacket([192, 168, 0, 5], [192, 168, 0, 6], 4000, 5000),
+    ]));
+}
+
+// indices of the capture's packets that pass `text`
+function matching (text) {
+    const filter = compileDisplayFilter(text);
+    return capture().packets.flatMap((element, idx) => filter(element) ? [idx] : []);
+}
+
+test("fields compare against the parsed packet", () => {
+    assert.deepEqual(matching("ip.src == 10.0.0.0/8 && tcp.flags.syn && !tcp.flags.ack"), [0]);
+    assert.deepEqual(matching("udp.dstport in {53,123}"), [2, 3]);
+    assert.deepEqual(matching("frame.len > 1000"), [3]);
+    assert.deepEqual(matching("udp.port in {4000..4500 8000}"), [4]);
+    assert.deepEqual(matching("dns"), [2]);
+    assert.deepEqual(matching("frame.time_relative >= 0.002 and ip.ttl eq 64"), [2, 3, 4]);
+});
+
+test("fields with several values match when any of them does, != when none does", () => {
+    assert.deepEqual(matching("ip.addr == 8.8.8.8"), [2]);
+    assert.deepEqual(matching("tcp.port == 80"), [0, 1]);
+    assert.deepEqual(matching("udp && ip.addr != 192.168.0.0/16"), [3]);
+});
+
+test("&& binds tighter than || and parentheses group", () => {
+    assert.deepEqual(matching("tcp || udp && frame.len > 1000"), [0, 1, 3]);
+    assert.deepEqual(matching("(tcp || udp) && frame.len > 1000"), [3]);
+    assert.equal(compileDisplayFilter("  "), null);
+});
+
+test("syntax errors say what is wrong", () => {
+    assert.throws(() => compileDisplayFilter("tcp.flags.syn &&"), SyntaxError);
+    assert.match(validateDisplayFilter("tcp.flag.syn"), /Unknown field "tcp.flag.syn"/);
+    assert.match(validateDisplayFilter("ip.src > 10.0.0.1"), /"ip.src" at 1 can only be compared with == or !=/);
+    assert.match(validateDisplayFilter("ip.src == 300.0.0.1"), /Expected an address/);
+    assert.match(validateDisplayFilter("frame.len > big"), /Expected a number/);
+    assert.match(validateDisplayFilter("udp.port in {}"), /Empty set at 13/);
+    assert.match(validateDisplayFilter("tcp && udp.port in { }"), /Empty set at 20/);
+    assert.match(validateDisplayFilter("(tcp"), /Expected "\)"/);
+    assert.match(validateDisplayFilter("tcp $ udp"), /Unexpected "\$" at 5/);
+    assert.equal(validateDisplayFilter("tcp"), undefined);
+});
+
+test("names from the object prototype are not fields", () => {
+    for (const name of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+        assert.match(validateDisplayFilter(name), new RegExp(`Unknown field "${name}"`));
+        assert.throws(() => compileDisplayFilter(`tcp || ${name} == 1`), SyntaxError);
+    }
+    assert.throws(() => compileDisplayFilter("tcp.port constructor 80"), SyntaxError);
+    assert.throws(() => compileDisplayFilter("tcp.flags.syn == toString"), SyntaxError);
+});
+
+test("only packets passing the filter are queued for spawning", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    engine.fluidParticleEngine.loadPcap(capture());
+    const queued = () => engine.getSourceRanking().reduce((total, source) => total + source.packets, 0);
+    assert.equal(queued(), 5);
+
+    engine.setDisplayFilter("udp");
+    assert.equal(queued(), 3);
+    assert.deepEqual(engine.getSourceRanking().map(source => source.key).sort(), ["10.0.0.3", "192.168.0.5"]);
+
+    // a flow comes through whole when any of its packets pass
+    engine.setFlowGrouping(true);
+    engine.setDisplayFilter("tcp.flags.ack");
+    assert.equal(queued(), 2);
+
+    assert.throws(() => engine.setDisplayFilter("tcp &&"), SyntaxError);
+    assert.equal(engine.getDisplayFilter(), "tcp.flags.ack");
+    engine.setDisplayFilter("");
+    assert.equal(queued(), 5);
+});
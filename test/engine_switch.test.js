@@ -0,0 +1,50 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Engine, EngineType} from "../scripts/engine.js";
+import {HeadlessRenderer} from "../scripts/renderer.js";
+
+test("only the active engine is in the scene", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    const fluid = engine.fluidParticleEngine;
+    const grid = engine.gridVirusEngine;
+    assert.deepEqual(engine.scene.children, [fluid.group]);
+
+    engine.setActiveEngine(EngineType.GRIDVIRUS);
+    assert.deepEqual(engine.scene.children, [grid.group]);
+    assert.ok(grid.group.children.includes(grid.mesh));
+
+    engine.setActiveEngine(EngineType.FLUIDPARTICLE);
+    assert.deepEqual(engine.scene.children, [fluid.group]);
+    assert.ok(fluid.group.children.includes(fluid.particleMesh));
+});
+
+test("an engine picks up where it was when switched back to", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    engine.setActiveEngine(EngineType.GRIDVIRUS);
+    for (let i = 0; i < 240; i++) {
+        engine.simulationStep();
+    }
+    const before = engine.getGridStats();
+
+    engine.setActiveEngine(EngineType.FLUIDPARTICLE);
+    for (let i = 0; i < 240; i++) {
+        engine.simulationStep();
+    }
+    assert.deepEqual(engine.getGridStats(), before);
+
+    engine.setActiveEngine(EngineType.GRIDVIRUS);
+    engine.simulationStep();
+    assert.ok(engine.getGridStats().time > before.time);
+});
+
+test("switching engines fires engineChanged once", async () => {
+    const engine = new Engine(new HeadlessRenderer());
+    let events = [];
+    engine.addEventListener('engineChanged', (event) => events.push(event.detail.engine));
+
+    engine.setActiveEngine(EngineType.GRIDVIRUS);
+    engine.setActiveEngine(EngineType.GRIDVIRUS);
+    await Promise.resolve();
+    assert.deepEqual(events, [EngineType.GRIDVIRUS]);
+    assert.throws(() => engine.setActiveEngine(5), RangeError);
+});
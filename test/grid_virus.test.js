@@ -0,0 +1,114 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Engine, GridParameter, InfectionModel, ScanStrategy} from "../scripts/engine.js";
+import {HeadlessRenderer} from "../scripts/renderer.js";
+
+const STEP = 1 / 120;
+
+function newEngine (model, strategy) {
+    const engine = new Engine(new HeadlessRenderer());
+    engine.setInfectionModel(model);
+    engine.setScanStrategy(strategy);
+    engine.setGridParameter(GridParameter.COLUMNS, 40);
+    return engine;
+}
+
+function run (engine, seconds) {
+    for (let i = 0; i < seconds / STEP; i++) {
+        engine.gridVirusEngine.simulationStep(STEP);
+    }
+}
+
+// mean distance in cells between the first infected host and those infected after it
+function spread (engine) {
+    const grid = engine.gridVirusEngine;
+    const [first, ...others] = grid.infected;
+    const distance = (host) => Math.hypot(host % grid.columns - first % grid.columns, Math.floor(host / grid.columns) - Math.floor(first / grid.columns));
+    return others.reduce((total, host) => total + distance(host), 0) / others.length;
+}
+
+test("SI infects every vulnerable host and nothing else", () => {
+    const engine = newEngine(InfectionModel.SI, ScanStrategy.RANDOM);
+    engine.setGridParameter(GridParameter.SCAN_RATE, 20);
+    const vulnerable = engine.getGridStats().susceptible + engine.getGridStats().infected;
+    run(engine, 10);
+
+    const stats = engine.getGridStats();
+    assert.equal(stats.susceptible, 0);
+    assert.equal(stats.recovered, 0);
+    assert.equal(stats.infected, vulnerable);
+    assert.equal(stats.immune + stats.infected, stats.hosts);
+});
+
+test("SIR patching ends the outbreak", () => {
+    const engine = newEngine(InfectionModel.SIR, ScanStrategy.RANDOM);
+    engine.setGridParameter(GridParameter.PATCH_RATE, 1);
+    run(engine, 30);
+
+    const stats = engine.getGridStats();
+    assert.equal(stats.infected, 0);
+    assert.ok(stats.recovered > 0);
+    assert.ok(stats.peakInfected >= 1 && stats.peakTime >= 0);
+});
+
+test("no vulnerable hosts means no outbreak", () => {
+    const engine = newEngine(InfectionModel.SI, ScanStrategy.RANDOM);
+    engine.setGridParameter(GridParameter.VULNERABILITY, 0);
+    run(engine, 1);
+    assert.equal(engine.getGridStats().everInfected, 0);
+    assert.equal(engine.getGridStats().immune, engine.getGridStats().hosts);
+});
+
+test("a sequential scanner eventually reaches every host", () => {
+    const engine = newEngine(InfectionModel.SI, ScanStrategy.SEQUENTIAL);
+    engine.setGridParameter(GridParameter.VULNERABILITY, 1);
+    engine.setGridParameter(GridParameter.SCAN_RATE, 100);
+    run(engine, 5);
+    assert.equal(engine.getGridStats().infected, engine.getGridStats().hosts);
+});
+
+test("local preference keeps the first infections close together", () => {
+    const local = newEngine(InfectionModel.SI, ScanStrategy.LOCAL_PREFERENCE);
+    const random = newEngine(InfectionModel.SI, ScanStrategy.RANDOM);
+    for (let engine of [local, random]) {
+        engine.setGridParameter(GridParameter.VULNERABILITY, 1);
+        engine.setGridParameter(GridParameter.LOCAL_PREFERENCE, 1);
+        while (engine.getGridStats().infected < 10) {
+            run(engine, STEP);
+        }
+    }
+    assert.ok(spread(local) < spread(random) / 2);
+});
+
+test("the infection curve accounts for every host", () => {
+    const engine = newEngine(InfectionModel.SIR, ScanStrategy.RANDOM);
+    run(engine, 2);
+
+    const curve = engine.getInfectionCurve();
+    const stats = engine.getGridStats();
+    assert.ok(curve.length > 10);
+    for (let k = 1; k < curve.length; k++) {
+        assert.ok(curve[k].time > curve[k - 1].time);
+        assert.equal(curve[k].susceptible + curve[k].infected + curve[k].recovered + stats.immune, stats.hosts);
+    }
+});
+
+test("the same seed replays the same outbreak", () => {
+    const outbreak = (seed) => {
+        const engine = newEngine(InfectionModel.SIR, ScanStrategy.LOCAL_PREFERENCE);
+        engine.setRandomSeed(seed);
+        run(engine, 5);
+        return engine.getInfectionCurve().map(point => `${point.infected}/${point.recovered}`).join();
+    };
+    assert.equal(outbreak(7), outbreak(7));
+    assert.notEqual(outbreak(7), outbreak(8));
+});
+
+test("grid parameters are validated", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    assert.throws(() => engine.setGridParameter(GridParameter.VULNERABILITY, 2), RangeError);
+    assert.throws(() => engine.setGridParameter(GridParameter.COLUMNS, 10.5), RangeError);
+    assert.throws(() => engine.setScanStrategy(7), RangeError);
+    engine.setGridParameter(GridParameter.SCAN_RATE, 5);
+    assert.equal(engine.getGridParameter(GridParameter.SCAN_RATE), 5);
+});
@@ -0,0 +1,124 @@
+// Builders for small synthetic captures
+
+// RFC 1071 checksum over a byte array
+export function checksum (bytes) {
+    let sum = 0;
+    for (let i = 0; i < bytes.length; i += 2) {
+        sum += (bytes[i] << 8) | (bytes[i + 1] || 0);
+    }
+    while (sum > 0xffff) {
+        sum = (sum & 0xffff) + (sum >>> 16);
+    }
+    return ~sum & 0xffff;
+}
+
+export function ethernet (etherType, payload) {
+    return [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, etherType >> 8, etherType & 0xff, ...payload];
+}
+
+export function ipv4 (protocol, payload, source = [10, 0, 0, 1], dest = [10, 0, 0, 2]) {
+    const length = 20 + payload.length;
+    const header = [0x45, 0, length >> 8, length & 0xff, 0, 1, 0, 0, 64, protocol, 0, 0, ...source, ...dest];
+    const sum = checksum(header);
+    header[10] = sum >> 8;
+    header[11] = sum & 0xff;
+    return [...header, ...payload];
+}
+
+export function ipv6 (nextHeader, payload, source, dest) {
+    source = source || [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1];
+    dest = dest || [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2];
+    return [0x60, 0, 0, 0, payload.length >> 8, payload.length & 0xff, nextHeader, 64, ...source, ...dest, ...payload];
+}
+
+// a TCP segment with a valid checksum for the given IPv4 endpoints
+export function tcp (flags, payload = [], source = [10, 0, 0, 1], dest = [10, 0, 0, 2], sourcePort = 12345, destPort = 80) {
+    const segment = [
+        sourcePort >> 8, sourcePort & 0xff, destPort >> 8, destPort & 0xff,
+        0, 0, 0, 1, 0, 0, 0, 0,
+        0x50, flags, 0xff, 0xff, 0, 0, 0, 0,
+        ...payload
+    ];
+    const sum = checksum([...source, ...dest, 0, 6, segment.length >> 8, segment.length & 0xff, ...segment]);
+    segment[16] = sum >> 8;
+    segment[17] = sum & 0xff;
+    return segment;
+}
+
+// a UDP datagram with its checksum left out, which IPv4 allows
+export function udp (sourcePort, destPort, payload = []) {
+    const length = 8 + payload.length;
+    return [sourcePort >> 8, sourcePort & 0xff, destPort >> 8, destPort & 0xff, length >> 8, length & 0xff, 0, 0, ...payload];
+}
+
+// A little-endian libpcap capture of Ethernet frames, one millisecond apart
+export function pcap (frames, linkType = 1) {
+    const total = 24 + frames.reduce((sum, frame) => sum + 16 + frame.length, 0);
+    const buffer = new ArrayBuffer(total);
+    const view = new DataView(buffer);
+    view.setUint32(0, 0xa1b2c3d4, true);
+    view.setUint16(4, 2, true);
+    view.setUint16(6, 4, true);
+    view.setUint32(16, 65535, true);
+    view.setUint32(20, linkType, true);
+
+    let offset = 24;
+    frames.forEach((frame, idx) => {
+        view.setUint32(offset, 100, true);
+        view.setUint32(offset + 4, idx * 1000, true);
+        view.setUint32(offset + 8, frame.length, true);
+        view.setUint32(offset + 12, frame.length, true);
+        new Uint8Array(buffer, offset + 16).set(frame);
+        offset += 16 + frame.length;
+    });
+    return buffer;
+}
+
+// an unsigned integer of `size` bytes
+function uint (value, size, littleEndian) {
+    let bytes = [];
+    for (let i = size - 1; i >= 0; i--) {
+        bytes.push(Number((BigInt(value) >> BigInt(8 * i)) & 0xffn));
+    }
+    return littleEndian ? bytes.reverse() : bytes;
+}
+
+function pcapngBlock (type, body, littleEndian) {
+    const padded = [...body, ...new Array((4 - body.length % 4) % 4).fill(0)];
+    const length = 12 + padded.length;
+    return [...uint(type, 4, littleEndian), ...uint(length, 4, littleEndian), ...padded, ...uint(length, 4, littleEndian)];
+}
+
+// A pcapng section: header, one IDB per entry of `interfaces` ({linkType, tsresol}) and the
+// packets, {interfaceId, ticks, frame} for EPBs or {frame} for SPBs
+export function pcapngSection (interfaces, packets, littleEndian = true) {
+    const header = pcapngBlock(0x0a0d0d0a, [
+        ...uint(0x1a2b3c4d, 4, littleEndian), ...uint(1, 2, littleEndian), ...uint(0, 2, littleEndian),
+        // section length unknown
+        ...new Array(8).fill(0xff)
+    ], littleEndian);
+
+    const descriptions = interfaces.map(iface => pcapngBlock(1, [
+        ...uint(iface.linkType, 2, littleEndian), 0, 0, ...uint(65535, 4, littleEndian),
+        ...(iface.tsresol !== undefined ? [...uint(9, 2, littleEndian), ...uint(1, 2, littleEndian), iface.tsresol, 0, 0, 0] : []),
+        ...uint(0, 4, littleEndian)
+    ], littleEndian));
+
+    const records = packets.map(packet => {
+        if (packet.interfaceId === undefined) {
+            return pcapngBlock(3, [...uint(packet.frame.length, 4, littleEndian), ...packet.frame], littleEndian);
+        }
+        return pcapngBlock(6, [
+            ...uint(packet.interfaceId, 4, littleEndian),
+            ...uint(BigInt(packet.ticks) >> 32n, 4, littleEndian), ...uint(BigInt(packet.ticks) & 0xffffffffn, 4, littleEndian),
+            ...uint(packet.frame.length, 4, littleEndian), ...uint(packet.frame.length, 4, littleEndian),
+            ...packet.frame
+        ], littleEndian);
+    });
+
+    return [...header, ...descriptions.flat(), ...records.flat()];
+}
+
+export function pcapng (sections) {
+    return new Uint8Array(sections.flat()).buffer;
+}
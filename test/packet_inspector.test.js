@@ -0,0 +1,68 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {ethernet, ipv4, tcp, udp, pcap} from "./helpers.js";
+import {Engine} from "../scripts/engine.js";
+import {HeadlessRenderer} from "../scripts/renderer.js";
+import {parseCaptureFile} from "../scripts/pcap_parser.js";
+import {decodePacketLayers, formatHexDump, summarizeParticle} from "../scripts/packet_inspector.js";
+import {IPProtocolType} from "../scripts/utils.js";
+
+// a query for "www", type A
+const DNS_QUERY = [0x12, 0x34, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 3, 0x77, 0x77, 0x77, 0, 0, 1, 0, 1];
+
+function dnsQuery () {
+    return parseCaptureFile(pcap([ethernet(0x0800, ipv4(IPProtocolType.UDP, udp(5353, 53, DNS_QUERY)))])).packets[0];
+}
+
+// spawns the capture's first packet as a particle at (x, y)
+function spawn (engine, element, x, y) {
+    const fluid = engine.fluidParticleEngine;
+    const p = fluid.spawnParticle({ x: x, y: y }, { frame: element, payload: element.packet.payload, packets: 1, bytes: element.header.origLen });
+    p.position().set(x, y);
+    return p;
+}
+
+test("the decode has one entry per layer, frame first", () => {
+    const layers = decodePacketLayers(dnsQuery());
+    assert.deepEqual(layers.map(layer => layer.name), ["Frame", "Ethernet Frame", "IP PDU", "UDP Datagram", "DNS Message"]);
+
+    const fields = (name) => new Map(layers.find(layer => layer.name === name).fields);
+    assert.equal(fields("Frame").get("captured"), "63 bytes");
+    assert.equal(fields("IP PDU").get("sourceIP"), "10.0.0.1");
+    assert.equal(fields("IP PDU").get("flags"), "none");
+    assert.equal(fields("UDP Datagram").get("destPort"), "53");
+    assert.equal(fields("DNS Message").get("questions"), "name=www type=1 class=1");
+});
+
+test("the hex dump shows offsets, bytes and printable characters", () => {
+    const dump = formatHexDump(new Uint8Array([...Array(16).keys(), 0x77, 0x77, 0x77]));
+    assert.deepEqual(dump.split("\n"), [
+        "0000  00 01 02 03 04 05 06 07  08 09 0a 0b 0c 0d 0e 0f  ................",
+        "0010  77 77 77                                          www",
+    ]);
+});
+
+test("the tooltip summary names endpoints, protocol, flags and size", () => {
+    const element = parseCaptureFile(pcap([ethernet(0x0800, ipv4(IPProtocolType.TCP, tcp(0x12)))])).packets[0];
+    const engine = new Engine(new HeadlessRenderer());
+    const p = spawn(engine, element, 0, 0);
+    assert.deepEqual(summarizeParticle(p), ["10.0.0.1:12345 → 10.0.0.2:80", "TCP", "Flags: ACK, SYN", "54 bytes"]);
+});
+
+test("picking finds the particle under the pointer and the selection follows it", () => {
+    const engine = new Engine(new HeadlessRenderer(1000, 1000));
+    const fluid = engine.fluidParticleEngine;
+    const p = spawn(engine, dnsQuery(), 0.25, 0.25);
+
+    // the view spans -0.5 to 0.5 on both axes
+    assert.equal(engine.pickParticle(0.5, 0.5), p);
+    assert.equal(engine.pickParticle(-0.5, 0.5), null);
+
+    engine.selectParticle(p);
+    assert.equal(fluid.selectionMesh.visible, true);
+    assert.equal(fluid.selectionMesh.position.x, 0.25);
+
+    fluid.removeParticle(p);
+    engine.render();
+    assert.equal(fluid.selectionMesh.visible, false);
+});
@@ -0,0 +1,44 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {ParticleBuffer} from "../scripts/particle_buffer.js";
+
+test("removing a particle moves the last one into its slot", () => {
+    const buffer = new ParticleBuffer(4);
+    const handles = [0, 1, 2].map(n => {
+        const handle = { name: n };
+        buffer.add(handle, n, -n);
+        buffer.radius[handle.index] = n / 10;
+        return handle;
+    });
+
+    buffer.remove(handles[0]);
+    assert.equal(buffer.count, 2);
+    assert.equal(handles[0].index, -1);
+    assert.equal(handles[2].index, 0);
+    assert.equal(buffer.x[0], 2);
+    assert.equal(buffer.y[0], -2);
+    assert.equal(buffer.radius[0], 0.2);
+    assert.deepEqual(buffer.handles, [handles[2], handles[1]]);
+});
+
+test("the buffer grows and keeps what it holds", () => {
+    const buffer = new ParticleBuffer(2);
+    for (let n = 0; n < 5; n++) {
+        buffer.add({}, n, n);
+        buffer.color[n * 3] = n;
+    }
+    assert.ok(buffer.capacity >= 5);
+    assert.deepEqual([...buffer.x.subarray(0, 5)], [0, 1, 2, 3, 4]);
+    assert.deepEqual([0, 1, 2, 3, 4].map(n => buffer.color[n * 3]), [0, 1, 2, 3, 4]);
+});
+
+test("clearing empties the handle list in place", () => {
+    const buffer = new ParticleBuffer();
+    const handles = buffer.handles;
+    const handle = {};
+    buffer.add(handle, 0, 0);
+    buffer.clear();
+    assert.equal(buffer.count, 0);
+    assert.equal(handles.length, 0);
+    assert.equal(handle.index, -1);
+});
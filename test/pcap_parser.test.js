@@ -0,0 +1,402 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {checksum, ethernet, ipv4, ipv6, tcp, udp, pcap, pcapng, pcapngSection} from "./helpers.js";
+import {parseCaptureFile, parsePcapFile, parsePcapngFile, createCaptureStreamParser} from "../scripts/pcap_parser.js";
+import {IPProtocolType, ChecksumStatus, ParseErrorType, HeaderLinkType, PcapMagicNumber, TCPOptionKind, IPv4OptionType} from "../scripts/utils.js";
+
+const SYN = 0x02;
+const ACK = 0x10;
+
+function tcpFrame (flags, payload = []) {
+    return ethernet(0x0800, ipv4(IPProtocolType.TCP, tcp(flags, payload)));
+}
+
+// a SYN whose header carries `options`, padded with EOL to a whole number of words
+function tcpOptionsFrame (options) {
+    const padded = [...options, ...new Array((4 - options.length % 4) % 4).fill(TCPOptionKind.EOL)];
+    const segment = tcp(SYN);
+    segment[12] = (5 + padded.length / 4) << 4;
+    segment.splice(20, 0, ...padded);
+    return ethernet(0x0800, ipv4(IPProtocolType.TCP, segment));
+}
+
+// a UDP datagram in an IPv4 header that carries `options`, a whole number of words
+function ipv4OptionsFrame (options) {
+    const packet = ipv4(IPProtocolType.UDP, [...options, ...udp(1234, 53)]);
+    packet[0] = 0x45 + options.length / 4;
+    packet[10] = packet[11] = 0;
+    const sum = checksum(packet.slice(0, 20 + options.length));
+    packet[10] = sum >> 8;
+    packet[11] = sum & 0xff;
+    return ethernet(0x0800, packet);
+}
+
+test("reads the global header and timestamps of a libpcap capture", () => {
+    const capture = parseCaptureFile(pcap([tcpFrame(SYN), tcpFrame(SYN | ACK), tcpFrame(ACK)]));
+    assert.equal(capture.globalHeader.versionMajor, 2);
+    assert.equal(capture.globalHeader.network, 1);
+    assert.equal(capture.globalHeader.isNanosecond, false);
+    assert.equal(capture.packets.length, 3);
+    assert.deepEqual(capture.packets.map(p => p.header.relativeTime), [0, 1, 2]);
+    assert.equal(capture.report.packetCount, 3);
+});
+
+// the pcap helper's little-endian capture, rewritten in big-endian byte order
+function toBigEndian (buffer) {
+    const source = new DataView(buffer);
+    const target = new DataView(buffer.slice(0));
+    const swap16 = (offset) => target.setUint16(offset, source.getUint16(offset, true), false);
+    const swap32 = (offset) => target.setUint32(offset, source.getUint32(offset, true), false);
+    swap32(0);
+    swap16(4);
+    swap16(6);
+    for (let offset = 8; offset < 24; offset += 4) {
+        swap32(offset);
+    }
+    for (let offset = 24; offset < buffer.byteLength; offset += 16 + source.getUint32(offset + 8, true)) {
+        for (let field = 0; field < 16; field += 4) {
+            swap32(offset + field);
+        }
+    }
+    return target.buffer;
+}
+
+test("reads libpcap captures in either byte order and timestamp resolution", () => {
+    const frames = [tcpFrame(SYN), tcpFrame(SYN | ACK), tcpFrame(ACK)];
+    const nanosecond = (buffer, littleEndian) => {
+        new DataView(buffer).setUint32(0, PcapMagicNumber.NANOSECONDS_BIG_ENDIAN, littleEndian);
+        return buffer;
+    };
+    const cases = [
+        [pcap(frames), false],
+        [toBigEndian(pcap(frames)), false],
+        [nanosecond(pcap(frames), true), true],
+        [nanosecond(toBigEndian(pcap(frames)), false), true],
+    ];
+    for (const [buffer, isNanosecond] of cases) {
+        const capture = parseCaptureFile(buffer);
+        assert.equal(capture.globalHeader.isNanosecond, isNanosecond);
+        assert.deepEqual(capture.packets.map(p => p.packet.payload.header.sourceIP.string), ["10.0.0.1", "10.0.0.1", "10.0.0.1"]);
+        // the records' fractions are 0, 1000 and 2000, microseconds or nanoseconds
+        assert.deepEqual(capture.packets.map(p => p.header.relativeTime), isNanosecond ? [0, 0.001, 0.002] : [0, 1, 2]);
+        assert.equal(capture.packets[1].header.tsNsec, isNanosecond ? 1000 : 1000000);
+    }
+});
+
+test("shifts absolute timestamps by thisZone", () => {
+    const buffer = pcap([tcpFrame(SYN), tcpFrame(ACK)]);
+    new DataView(buffer).setInt32(8, -3600, true);
+    const capture = parseCaptureFile(buffer);
+    assert.equal(capture.globalHeader.thisZone, -3600);
+    assert.equal(capture.packets[0].header.timestamp, (100n - 3600n) * 1000000000n);
+    assert.deepEqual(capture.packets.map(p => p.header.relativeTime), [0, 1]);
+});
+
+test("dissects each pcapng packet with its own interface's link type", () => {
+    const buffer = pcapng([pcapngSection(
+        [{ linkType: HeaderLinkType.ETHERNET }, { linkType: HeaderLinkType.RAW, tsresol: 9 }],
+        [
+            // one second in microseconds, then 1.5 seconds in nanoseconds
+            { interfaceId: 0, ticks: 1000000, frame: tcpFrame(SYN) },
+            { interfaceId: 1, ticks: 1500000000, frame: ipv4(IPProtocolType.TCP, tcp(ACK)) },
+            // a Simple Packet Block, always on the first interface
+            { frame: tcpFrame(ACK) },
+        ]
+    )]);
+    const capture = parsePcapngFile(buffer);
+
+    assert.equal(capture.globalHeader.interfaces.length, 2);
+    assert.equal(capture.globalHeader.isNanosecond, true);
+    assert.deepEqual(capture.packets.map(p => p.header.linkType), [HeaderLinkType.ETHERNET, HeaderLinkType.RAW, HeaderLinkType.ETHERNET]);
+    assert.deepEqual(capture.packets.map(p => p.packet.type), ["Ethernet Frame", "Raw IP Packet", "Ethernet Frame"]);
+    assert.deepEqual(capture.packets.map(p => p.packet.payload.header.sourceIP.string), ["10.0.0.1", "10.0.0.1", "10.0.0.1"]);
+
+    // the Simple Packet Block has no timestamp and takes the one before it
+    assert.deepEqual(capture.packets.map(p => p.header.relativeTime), [0, 500, 500]);
+    assert.equal(capture.packets[2].header.timestampInherited, true);
+    assert.equal(capture.packets[1].header.timestampInherited, undefined);
+});
+
+test("reads pcapng sections of either byte order, with interfaces numbered per section", () => {
+    const buffer = pcapng([
+        pcapngSection([{ linkType: HeaderLinkType.ETHERNET }], [{ interfaceId: 0, ticks: 1000, frame: tcpFrame(SYN) }]),
+        pcapngSection([{ linkType: HeaderLinkType.RAW }], [{ interfaceId: 0, ticks: 3000, frame: ipv4(IPProtocolType.TCP, tcp(ACK)) }], false),
+    ]);
+    const capture = parseCaptureFile(buffer);
+
+    assert.equal(capture.globalHeader.interfaces.length, 2);
+    assert.deepEqual(capture.packets.map(p => p.packet.type), ["Ethernet Frame", "Raw IP Packet"]);
+    assert.deepEqual(capture.packets.map(p => p.packet.payload.datagram.header.flags.ACK), [false, true]);
+    assert.deepEqual(capture.packets.map(p => p.header.relativeTime), [0, 2]);
+    assert.equal(capture.report.packetCount, 2);
+});
+
+test("decodes Ethernet, IPv4 and TCP headers", () => {
+    const [packet] = parseCaptureFile(pcap([tcpFrame(SYN, [1, 2, 3])])).packets;
+    assert.equal(packet.packet.macDest, "000102030405");
+    assert.equal(packet.packet.macSrc, "060708090a0b");
+    const ip = packet.packet.payload;
+    assert.equal(ip.header.version, 4);
+    assert.equal(ip.header.sourceIP.string, "10.0.0.1");
+    assert.equal(ip.header.destIP.string, "10.0.0.2");
+    assert.equal(ip.header.protocol, IPProtocolType.TCP);
+
+    const segment = ip.datagram;
+    assert.equal(segment.header.sourcePort, 12345);
+    assert.equal(segment.header.destPort, 80);
+    assert.equal(segment.header.flags.SYN, true);
+    assert.equal(segment.header.flags.ACK, false);
+    assert.deepEqual([...segment.data], [1, 2, 3]);
+});
+
+test("decodes IPv6 and UDP headers", () => {
+    const frame = ethernet(0x86dd, ipv6(IPProtocolType.UDP, udp(5353, 53, [0xaa, 0xbb])));
+    const [packet] = parseCaptureFile(pcap([frame])).packets;
+    const ip = packet.packet.payload;
+    assert.equal(ip.header.version, 6);
+    assert.equal(ip.header.sourceIP.string, "2001:db8::1");
+    assert.equal(ip.datagram.header.sourcePort, 5353);
+    assert.equal(ip.datagram.header.destPort, 53);
+});
+
+test("reports an IPv6 extension header promised at the very end of the payload", () => {
+    // a Hop-by-Hop header that says a Destination Options header follows, then nothing
+    const hopByHop = [IPProtocolType.IPv6_OPTS, 0, 1, 4, 0, 0, 0, 0];
+    const frame = ethernet(0x86dd, ipv6(IPProtocolType.HOPOPT, hopByHop));
+    const [packet] = parseCaptureFile(pcap([frame])).packets;
+    assert.equal(packet.packet.payload.header.extensionHeaders.length, 1);
+    assert.deepEqual(packet.errors.map(error => error.type), [ParseErrorType.TRUNCATED_EXTENSION_HEADER]);
+    assert.equal(packet.truncated, true);
+});
+
+const IPV4_UDP = ipv4(IPProtocolType.UDP, udp(1234, 53));
+const IPV6_UDP = ipv6(IPProtocolType.UDP, udp(1234, 53));
+
+// an unprotected 802.11 data frame to the distribution system, LLC/SNAP encapsulating IPv4
+const WLAN_DATA = [
+    0x08, 0x01, 0, 0,
+    0x10, 0x11, 0x12, 0x13, 0x14, 0x15,
+    0x20, 0x21, 0x22, 0x23, 0x24, 0x25,
+    0x30, 0x31, 0x32, 0x33, 0x34, 0x35,
+    0, 0,
+    0xaa, 0xaa, 0x03, 0, 0, 0, 0x08, 0x00,
+    ...IPV4_UDP
+];
+
+function dissect (frame, linkType) {
+    return parseCaptureFile(pcap([frame], linkType)).packets[0];
+}
+
+test("decodes raw IP packets of either version", () => {
+    for (const linkType of [HeaderLinkType.RAW, HeaderLinkType.RAW_OPENBSD, HeaderLinkType.RAW_BSD]) {
+        assert.equal(dissect(IPV4_UDP, linkType).packet.payload.header.version, 4);
+        assert.equal(dissect(IPV6_UDP, linkType).packet.payload.header.version, 6);
+    }
+    assert.equal(dissect(IPV6_UDP, HeaderLinkType.IPV6).packet.payload.datagram.header.destPort, 53);
+});
+
+test("decodes loopback frames in the host's or network byte order", () => {
+    const little = dissect([2, 0, 0, 0, ...IPV4_UDP], HeaderLinkType.NULL);
+    assert.equal(little.packet.family, 2);
+    assert.equal(little.packet.payload.header.sourceIP.string, "10.0.0.1");
+
+    const big = dissect([0, 0, 0, 30, ...IPV6_UDP], HeaderLinkType.NULL);
+    assert.equal(big.packet.family, 30);
+    assert.equal(big.packet.payload.header.version, 6);
+
+    const loop = dissect([0, 0, 0, 24, ...IPV6_UDP], HeaderLinkType.LOOP);
+    assert.equal(loop.packet.family, 24);
+    assert.equal(loop.packet.payload.header.version, 6);
+});
+
+test("decodes PPP frames with and without HDLC framing and protocol compression", () => {
+    const framed = dissect([0xff, 0x03, 0x00, 0x21, ...IPV4_UDP], HeaderLinkType.PPP_HDLC);
+    assert.equal(framed.packet.protocol, 0x21);
+    assert.equal(framed.packet.payload.header.version, 4);
+
+    const compressed = dissect([0x57, ...IPV6_UDP], HeaderLinkType.PPP);
+    assert.equal(compressed.packet.protocol, 0x57);
+    assert.equal(compressed.packet.payload.header.version, 6);
+});
+
+test("decodes Linux cooked capture headers", () => {
+    const v1 = dissect([0, 4, 0, 1, 0, 6, 0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0, 0, 0x08, 0x00, ...IPV4_UDP], HeaderLinkType.LINUX_SLL);
+    assert.equal(v1.packet.packetType, 4);
+    assert.equal(v1.packet.arphrdType, 1);
+    assert.equal(v1.packet.address, "001122334455");
+    assert.equal(v1.packet.payload.header.version, 4);
+
+    const v2 = dissect([0x86, 0xdd, 0, 0, 0, 0, 0, 3, 0, 1, 0, 6, 0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0, 0, ...IPV6_UDP], HeaderLinkType.LINUX_SLL2);
+    assert.equal(v2.packet.interfaceIndex, 3);
+    assert.equal(v2.packet.packetType, 0);
+    assert.equal(v2.packet.address, "001122334455");
+    assert.equal(v2.packet.payload.header.version, 6);
+});
+
+test("decodes 802.11 data frames, bare and behind radiotap", () => {
+    const bare = dissect(WLAN_DATA, HeaderLinkType.IEEE802_11);
+    assert.equal(bare.packet.toDS, true);
+    assert.equal(bare.packet.address2, "202122232425");
+    assert.equal(bare.packet.etherType, 0x0800);
+    assert.equal(bare.packet.payload.header.version, 4);
+
+    // a Flags field saying the frame check sequence was captured after the frame
+    const radiotap = dissect([0, 0, 9, 0, 0x02, 0, 0, 0, 0x10, ...WLAN_DATA, 0xde, 0xad, 0xbe, 0xef], HeaderLinkType.IEEE802_11_RADIOTAP);
+    assert.equal(radiotap.packet.length, 9);
+    assert.equal(radiotap.packet.flags, 0x10);
+    assert.equal(radiotap.packet.frame.address2, "202122232425");
+    assert.equal(radiotap.packet.payload.datagram.header.destPort, 53);
+    assert.deepEqual(radiotap.errors, []);
+});
+
+test("decodes 802.1Q and QinQ tags", () => {
+    const frame = ethernet(0x88a8, [0x00, 0x64, 0x81, 0x00, 0xa0, 0xc8, 0x08, 0x00, ...IPV4_UDP]);
+    const packet = dissect(frame, HeaderLinkType.ETHERNET).packet;
+    assert.deepEqual(packet.vlanTags, [
+        { tpid: 0x88a8, priority: 0, dropEligible: false, vlanId: 100 },
+        { tpid: 0x8100, priority: 5, dropEligible: false, vlanId: 200 },
+    ]);
+    assert.equal(packet.etherType, 0x0800);
+    assert.equal(packet.payload.header.version, 4);
+});
+
+test("flags link-layer headers that are cut short", () => {
+    const cases = [
+        [HeaderLinkType.RAW, []],
+        [HeaderLinkType.NULL, [2, 0, 0]],
+        [HeaderLinkType.PPP, [0xff, 0x03, 0x00]],
+        [HeaderLinkType.LINUX_SLL, [0, 4, 0, 1, 0, 6, 0x00, 0x11, 0x22, 0x33]],
+        [HeaderLinkType.LINUX_SLL2, [0x08, 0x00, 0, 0, 0, 0, 0, 3, 0, 1, 0, 6]],
+        [HeaderLinkType.IEEE802_11, WLAN_DATA.slice(0, 20)],
+        [HeaderLinkType.IEEE802_11_RADIOTAP, [0, 0, 9, 0, 0x02, 0, 0, 0]],
+        [HeaderLinkType.ETHERNET, ethernet(0x8100, [0x00, 0x64])],
+    ];
+    for (const [linkType, frame] of cases) {
+        const packet = dissect(frame, linkType);
+        assert.deepEqual(packet.errors.map(error => error.type), [ParseErrorType.TRUNCATED_LINK_HEADER], `link type ${linkType}`);
+        assert.equal(packet.truncated, true);
+        assert.equal(packet.packet.payload, undefined);
+    }
+});
+
+test("verifies IPv4 and TCP checksums", () => {
+    const good = tcpFrame(ACK, [1, 2, 3, 4]);
+    const bad = [...good];
+    // flip a bit of the TCP checksum, after the 14 byte Ethernet and 20 byte IPv4 headers
+    bad[14 + 20 + 16] ^= 0x01;
+
+    const capture = parseCaptureFile(pcap([good, bad]));
+    const [first, second] = capture.packets;
+    assert.equal(first.packet.payload.header.headerChecksumStatus, ChecksumStatus.VALID);
+    assert.equal(first.packet.payload.datagram.header.checksumStatus, ChecksumStatus.VALID);
+    assert.equal(second.packet.payload.datagram.header.checksumStatus, ChecksumStatus.INVALID);
+    assert.equal(second.invalidChecksum, true);
+    assert.equal(capture.report.invalidChecksums, 1);
+});
+
+test("decodes TCP options", () => {
+    const frame = tcpOptionsFrame([
+        TCPOptionKind.MSS, 4, 0x05, 0xb4,
+        TCPOptionKind.NOP,
+        TCPOptionKind.WINDOW_SCALE, 3, 7,
+        TCPOptionKind.SACK_PERMITTED, 2,
+        TCPOptionKind.TIMESTAMPS, 10, 0, 0, 0, 1, 0, 0, 0, 2,
+        TCPOptionKind.SACK, 10, 0, 0, 0x10, 0, 0, 0, 0x20, 0,
+        TCPOptionKind.EOL,
+    ]);
+    const [packet] = parseCaptureFile(pcap([frame])).packets;
+    const header = packet.packet.payload.datagram.header;
+    assert.deepEqual(header.optionKinds, [
+        TCPOptionKind.MSS, TCPOptionKind.NOP, TCPOptionKind.WINDOW_SCALE, TCPOptionKind.SACK_PERMITTED,
+        TCPOptionKind.TIMESTAMPS, TCPOptionKind.SACK, TCPOptionKind.EOL
+    ]);
+    assert.deepEqual(header.options.map(option => option.value), [
+        1460, undefined, 7, true, { value: 1, echoReply: 2 }, [{ left: 0x1000, right: 0x2000 }], undefined
+    ]);
+    assert.deepEqual(packet.errors, []);
+});
+
+test("reports malformed and truncated TCP options", () => {
+    const cases = [
+        // the length byte is missing
+        [[TCPOptionKind.NOP, TCPOptionKind.NOP, TCPOptionKind.NOP, TCPOptionKind.MSS], "missing length"],
+        // a length below the kind and length bytes themselves
+        [[TCPOptionKind.WINDOW_SCALE, 1, 7, TCPOptionKind.NOP], "length too short"],
+        // a length running past the header
+        [[TCPOptionKind.NOP, TCPOptionKind.MSS, 8, 0x05], "truncated"],
+        // an MSS value of one byte
+        [[TCPOptionKind.NOP, TCPOptionKind.MSS, 3, 0x05], "unexpected length"],
+    ];
+    for (const [options, reason] of cases) {
+        const [packet] = parseCaptureFile(pcap([tcpOptionsFrame(options)])).packets;
+        const last = packet.packet.payload.datagram.header.options.at(-1);
+        assert.equal(last.malformed, true);
+        assert.equal(last.reason, reason);
+        assert.deepEqual(packet.errors.map(error => error.type), [ParseErrorType.MALFORMED_OPTION]);
+        assert.equal(packet.malformed, true);
+    }
+});
+
+test("decodes IPv4 options", () => {
+    const frame = ipv4OptionsFrame([
+        IPv4OptionType.ROUTER_ALERT, 4, 0, 0,
+        IPv4OptionType.RECORD_ROUTE, 7, 4, 192, 168, 0, 1,
+        IPv4OptionType.EOL,
+    ]);
+    const [packet] = parseCaptureFile(pcap([frame])).packets;
+    const ip = packet.packet.payload;
+    assert.equal(ip.header.headerLen, 32);
+    assert.equal(ip.header.headerChecksumStatus, ChecksumStatus.VALID);
+    assert.deepEqual(ip.header.options.map(option => option.value), [0, { pointer: 4, route: ["192.168.0.1"] }, undefined]);
+    assert.equal(ip.datagram.header.destPort, 53);
+    assert.deepEqual(packet.errors, []);
+});
+
+test("reports truncated IPv4 options", () => {
+    // a record route option promising two addresses with room for one
+    const frame = ipv4OptionsFrame([IPv4OptionType.RECORD_ROUTE, 11, 4, 192, 168, 0, 1, IPv4OptionType.EOL]);
+    const [packet] = parseCaptureFile(pcap([frame])).packets;
+    const [option] = packet.packet.payload.header.options;
+    assert.equal(option.reason, "truncated");
+    assert.deepEqual(packet.errors.map(error => error.type), [ParseErrorType.MALFORMED_OPTION]);
+    assert.equal(packet.packet.payload.datagram.header.destPort, 53);
+});
+
+test("reports a capture that ends mid-record", () => {
+    const buffer = pcap([tcpFrame(SYN), tcpFrame(ACK)]);
+    const capture = parseCaptureFile(buffer.slice(0, buffer.byteLength - 10));
+    assert.equal(capture.packets.length, 1);
+    assert.equal(capture.report.errors[ParseErrorType.TRUNCATED_RECORD], 1);
+    assert.ok(capture.report.trailingBytes > 0);
+});
+
+test("flags packets whose headers are cut short", () => {
+    const frame = tcpFrame(SYN).slice(0, 14 + 20 + 8);
+    const [packet] = parseCaptureFile(pcap([frame])).packets;
+    assert.equal(packet.truncated, true);
+});
+
+test("streaming in small chunks gives the same packets as parsing at once", () => {
+    const buffer = pcap([tcpFrame(SYN), tcpFrame(SYN | ACK), tcpFrame(ACK, [9, 9])]);
+    const bytes = new Uint8Array(buffer);
+
+    const parser = createCaptureStreamParser();
+    let packets = [];
+    for (let offset = 0; offset < bytes.length; offset += 7) {
+        packets.push(...parser.push(bytes.slice(offset, offset + 7)));
+    }
+    const result = parser.finish();
+
+    const whole = parseCaptureFile(buffer);
+    assert.equal(result.trailingBytes, 0);
+    assert.equal(packets.length, whole.packets.length);
+    assert.deepEqual(
+        packets.map(p => p.packet.payload.datagram.header.flags),
+        whole.packets.map(p => p.packet.payload.datagram.header.flags)
+    );
+});
+
+test("parsePcapFile refuses pcapng input", () => {
+    const sectionHeader = new Uint8Array([0x0a, 0x0d, 0x0d, 0x0a, 28, 0, 0, 0, 0x4d, 0x3c, 0x2b, 0x1a, 1, 0, 0, 0, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 28, 0, 0, 0]);
+    assert.throws(() => parsePcapFile(sectionHeader.buffer), /pcapng/);
+});
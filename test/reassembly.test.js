@@ -0,0 +1,202 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {checksum, ethernet, ipv4, ipv6, tcp, udp, pcap} from "./helpers.js";
+import {parseCaptureFile} from "../scripts/pcap_parser.js";
+import {reassembleIPFragments, buildTCPFlows, reconstructTCPStream, TCPFlowState, FlowDirection} from "../scripts/reassembly.js";
+import {IPProtocolType} from "../scripts/utils.js";
+
+const SYN = 0x02;
+const ACK = 0x10;
+const FIN = 0x01;
+
+const CLIENT = [10, 0, 0, 1];
+const SERVER = [10, 0, 0, 2];
+
+// a UDP datagram of 24 bytes, to be cut into three fragments of 8
+const DATAGRAM = udp(1234, 53, Array.from({ length: 16 }, (_, idx) => idx));
+
+// `bytes` of datagram `id` at byte `offset`, a multiple of 8
+function fragment (id, offset, moreFragments, bytes, protocol = IPProtocolType.UDP) {
+    const packet = ipv4(protocol, bytes);
+    packet[4] = id >> 8;
+    packet[5] = id & 0xff;
+    packet[6] = (moreFragments ? 0x20 : 0) | (offset / 8) >> 8;
+    packet[7] = (offset / 8) & 0xff;
+    packet[10] = packet[11] = 0;
+    const sum = checksum(packet.slice(0, 20));
+    packet[10] = sum >> 8;
+    packet[11] = sum & 0xff;
+    return ethernet(0x0800, packet);
+}
+
+function ipv6Fragment (id, offset, moreFragments, bytes) {
+    const header = [IPProtocolType.UDP, 0, (offset >> 8) & 0xff, (offset & 0xf8) | (moreFragments ? 1 : 0), 0, 0, id >> 8, id & 0xff];
+    return ethernet(0x86dd, ipv6(IPProtocolType.IPv6_FRAG, [...header, ...bytes]));
+}
+
+function parse (frames) {
+    return parseCaptureFile(pcap(frames)).packets;
+}
+
+// a segment between CLIENT:40000 and SERVER:80 with its checksum fixed up for `sequenceNumber`
+function segment (flags, sequenceNumber, payload = [], toServer = true) {
+    const [source, dest] = toServer ? [CLIENT, SERVER] : [SERVER, CLIENT];
+    const bytes = toServer ? tcp(flags, payload, source, dest, 40000, 80) : tcp(flags, payload, source, dest, 80, 40000);
+    bytes.splice(4, 4, sequenceNumber >>> 24, (sequenceNumber >>> 16) & 0xff, (sequenceNumber >>> 8) & 0xff, sequenceNumber & 0xff);
+    bytes[16] = bytes[17] = 0;
+    const sum = checksum([...source, ...dest, 0, 6, bytes.length >> 8, bytes.length & 0xff, ...bytes]);
+    bytes[16] = sum >> 8;
+    bytes[17] = sum & 0xff;
+    return ethernet(0x0800, ipv4(IPProtocolType.TCP, bytes, source, dest));
+}
+
+function text (string) {
+    return [...string].map(char => char.charCodeAt(0));
+}
+
+test("rebuilds fragmented datagrams whatever order the fragments arrive in", () => {
+    const packets = parse([
+        fragment(1, 0, true, DATAGRAM.slice(0, 8)),
+        fragment(2, 16, false, DATAGRAM.slice(16)),
+        fragment(1, 8, true, DATAGRAM.slice(8, 16)),
+        fragment(2, 0, true, DATAGRAM.slice(0, 8)),
+        fragment(1, 16, false, DATAGRAM.slice(16)),
+        ipv6Fragment(3, 8, false, DATAGRAM.slice(8)),
+        fragment(2, 8, true, DATAGRAM.slice(8, 16)),
+        ipv6Fragment(3, 0, true, DATAGRAM.slice(0, 8)),
+    ]);
+    const fragments = reassembleIPFragments(packets);
+    assert.equal(fragments.complete, 3);
+    assert.equal(fragments.incomplete, 0);
+    assert.equal(fragments.overlapping, 0);
+
+    for (const set of fragments.datagrams) {
+        assert.deepEqual([...set.data], DATAGRAM);
+        assert.equal(set.datagram.header.destPort, 53);
+        assert.deepEqual(set.errors, []);
+    }
+    assert.deepEqual(fragments.datagrams.map(set => set.version), [4, 4, 6]);
+
+    // each datagram belongs to the packet that completed it
+    assert.deepEqual([...fragments.byPacket.keys()].sort(), [4, 6, 7]);
+    assert.equal(fragments.byPacket.get(6).identification, 2);
+});
+
+test("flags overlapping fragments, and those that disagree on the overlap", () => {
+    const changed = DATAGRAM.slice(8).map(byte => byte ^ 0xff);
+    const packets = parse([
+        fragment(1, 0, true, DATAGRAM.slice(0, 16)),
+        fragment(1, 8, false, DATAGRAM.slice(8)),
+        fragment(2, 0, true, DATAGRAM.slice(0, 16)),
+        fragment(2, 8, false, changed),
+    ]);
+    const [agreeing, conflicting] = reassembleIPFragments(packets).datagrams;
+
+    assert.equal(agreeing.complete, true);
+    assert.equal(agreeing.overlapping, true);
+    assert.equal(agreeing.conflicting, false);
+    assert.deepEqual([...agreeing.data], DATAGRAM);
+
+    // the first copy of a byte wins
+    assert.equal(conflicting.complete, true);
+    assert.equal(conflicting.overlapping, true);
+    assert.equal(conflicting.conflicting, true);
+    assert.deepEqual([...conflicting.data], [...DATAGRAM.slice(0, 16), ...changed.slice(8)]);
+});
+
+test("sets left incomplete are kept, and time out", () => {
+    const packets = parse([
+        fragment(1, 0, true, DATAGRAM.slice(0, 8)),
+        fragment(1, 16, false, DATAGRAM.slice(16)),
+        fragment(2, 0, true, DATAGRAM.slice(0, 8)),
+        fragment(2, 8, true, DATAGRAM.slice(8, 16)),
+        fragment(2, 16, false, DATAGRAM.slice(16)),
+    ]);
+    // the rest of datagram 2 arrives past the timeout, so it starts a set of its own
+    packets[3].header.relativeTime = 31000;
+    packets[4].header.relativeTime = 31001;
+
+    const fragments = reassembleIPFragments(packets);
+    assert.equal(fragments.complete, 0);
+    assert.equal(fragments.incomplete, 3);
+
+    // sets are listed as they close, the expired one first
+    const [expired, hole, late] = fragments.datagrams;
+    assert.equal(hole.gaps, 1);
+    assert.equal(hole.totalLength, 24);
+    assert.equal(hole.data, undefined);
+    assert.deepEqual(expired.packetIndices, [2]);
+    assert.deepEqual(late.packetIndices, [3, 4]);
+    assert.equal(late.gaps, 1);
+    assert.equal(fragments.byPacket.size, 0);
+});
+
+test("follows a flow's handshake and teardown", () => {
+    const packets = parse([
+        segment(SYN, 1000),
+        segment(SYN | ACK, 5000, [], false),
+        segment(ACK, 1001),
+        segment(ACK, 1001, text("hello")),
+        segment(ACK, 5001, text("hi"), false),
+        segment(FIN | ACK, 1006),
+        segment(FIN | ACK, 5003, [], false),
+    ]);
+    const [flow, ...rest] = buildTCPFlows(packets);
+    assert.equal(rest.length, 0);
+    assert.equal(flow.client, "10.0.0.1:40000");
+    assert.equal(flow.server, "10.0.0.2:80");
+    assert.equal(flow.handshakeComplete, true);
+    assert.equal(flow.midstream, false);
+    assert.equal(flow.state, TCPFlowState.CLOSED);
+    assert.equal(flow.teardown, "fin");
+    assert.deepEqual(flow.packets, { toServer: 4, toClient: 3 });
+    assert.deepEqual(flow.bytes, { toServer: 5, toClient: 2 });
+});
+
+test("segments carried in fragments join their flow once reassembled", () => {
+    const syn = tcp(SYN, text("payload!"), CLIENT, SERVER, 40000, 80);
+    const packets = parse([
+        fragment(7, 0, true, syn.slice(0, 16), IPProtocolType.TCP),
+        fragment(7, 16, false, syn.slice(16), IPProtocolType.TCP),
+    ]);
+    assert.equal(buildTCPFlows(packets).length, 0);
+
+    const [flow] = buildTCPFlows(packets, reassembleIPFragments(packets));
+    assert.equal(flow.state, TCPFlowState.SYN_SENT);
+    assert.deepEqual(flow.packetIndices, [1]);
+    assert.equal(flow.bytes.toServer, 8);
+});
+
+test("reconstructs a stream from retransmitted, overlapping and out of order segments", () => {
+    const packets = parse([
+        segment(SYN, 1000),
+        segment(ACK, 1001, text("abcd")),
+        segment(ACK, 1005, text("efgh")),
+        // a retransmission, then a segment repeating the last two bytes
+        segment(ACK, 1001, text("abcd")),
+        segment(ACK, 1007, text("ghij")),
+        segment(ACK, 1013, text("mnop")),
+        segment(ACK, 1011, text("kl")),
+    ]);
+    const [flow] = buildTCPFlows(packets);
+    const stream = reconstructTCPStream(flow, FlowDirection.TO_SERVER);
+    assert.deepEqual([...stream.data], text("abcdefghijklmnop"));
+    assert.equal(stream.gaps, 0);
+    assert.equal(stream.retransmittedBytes, 6);
+});
+
+test("counts holes in a stream whose sequence numbers wrap", () => {
+    const packets = parse([
+        segment(SYN, 1000),
+        segment(SYN | ACK, 0xfffffffe, [], false),
+        segment(ACK, 0xffffffff, text("xy"), false),
+        // two bytes never captured
+        segment(ACK, 3, text("z"), false),
+    ]);
+    const [flow] = buildTCPFlows(packets);
+    const stream = reconstructTCPStream(flow, FlowDirection.TO_CLIENT);
+    assert.deepEqual([...stream.data], text("xyz"));
+    assert.equal(stream.gaps, 1);
+    assert.equal(stream.retransmittedBytes, 0);
+    assert.equal(reconstructTCPStream(flow, FlowDirection.TO_SERVER).data.length, 0);
+});
@@ -0,0 +1,67 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {SpatialGrid} from "../scripts/spatial_grid.js";
+
+const BOUNDARY = { x: 0, y: 0, width: 1, height: 1 };
+
+function gridOf (points, cellSize = 0.1, include = undefined) {
+    const xs = Float64Array.from(points, p => p[0]);
+    const ys = Float64Array.from(points, p => p[1]);
+    const grid = new SpatialGrid();
+    grid.build(BOUNDARY, cellSize, xs, ys, points.length, include);
+    return grid;
+}
+
+test("query returns exactly the points inside the range", () => {
+    let points = [];
+    for (let i = 0; i < 10; i++) {
+        for (let j = 0; j < 10; j++) {
+            points.push([i / 10 + 0.05, j / 10 + 0.05]);
+        }
+    }
+    const grid = gridOf(points, 0.15);
+
+    const range = { x: 0.2, y: 0.3, width: 0.3, height: 0.2 };
+    const found = grid.query(range).sort((a, b) => a - b);
+    const expected = points
+        .map((p, idx) => idx)
+        .filter(idx => points[idx][0] >= 0.2 && points[idx][0] < 0.5 && points[idx][1] >= 0.3 && points[idx][1] < 0.5);
+    assert.deepEqual(found, expected);
+});
+
+test("query outside the boundary finds nothing", () => {
+    const grid = gridOf([[0.5, 0.5]]);
+    assert.deepEqual(grid.query({ x: 2, y: 2, width: 1, height: 1 }), []);
+});
+
+test("points beyond the boundary are still found", () => {
+    const grid = gridOf([[-0.1, 0.5], [1.2, 1.2]]);
+    assert.deepEqual(grid.query({ x: -1, y: 0, width: 1, height: 1 }), [0]);
+    assert.deepEqual(grid.query({ x: 1, y: 1, width: 1, height: 1 }), [1]);
+});
+
+test("excluded points are left out", () => {
+    const grid = gridOf([[0.1, 0.1], [0.2, 0.2], [0.3, 0.3]], 0.1, i => i !== 1);
+    assert.deepEqual(grid.query(BOUNDARY).sort(), [0, 2]);
+});
+
+test("rebuilding reuses the grid for a new set of points", () => {
+    const grid = gridOf([[0.1, 0.1], [0.9, 0.9]]);
+    const xs = Float64Array.from([0.5, 0.55, 0.6]);
+    const ys = Float64Array.from([0.5, 0.55, 0.6]);
+    grid.build(BOUNDARY, 0.25, xs, ys, 3);
+    assert.deepEqual(grid.query({ x: 0.4, y: 0.4, width: 0.3, height: 0.3 }).sort(), [0, 1, 2]);
+    assert.deepEqual(grid.query({ x: 0, y: 0, width: 0.3, height: 0.3 }), []);
+});
+
+test("points piled on one spot share a cell", () => {
+    const pile = Array.from({ length: 50 }, () => [0.25, 0.25]);
+    const grid = gridOf(pile);
+    assert.equal(grid.query({ x: 0.2, y: 0.2, width: 0.1, height: 0.1 }).length, 50);
+});
+
+test("tiny cells are capped to a bounded grid", () => {
+    const grid = gridOf([[0.5, 0.5]], 1e-9);
+    assert.ok(grid.columns * grid.rows <= 256 * 256);
+    assert.deepEqual(grid.query({ x: 0.49, y: 0.49, width: 0.02, height: 0.02 }), [0]);
+});
@@ -0,0 +1,139 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {ethernet, ipv4, udp, pcap} from "./helpers.js";
+import {Engine, FluidParameter} from "../scripts/engine.js";
+import {HeadlessRenderer} from "../scripts/renderer.js";
+import {parseCaptureFile} from "../scripts/pcap_parser.js";
+import {IPProtocolType} from "../scripts/utils.js";
+
+// `count` UDP packets from ten hosts taking turns, a millisecond apart
+function traffic (count) {
+    return pcap(Array.from({ length: count }, (_, idx) => {
+        const source = [10, 0, 0, 1 + idx % 10];
+        return ethernet(0x0800, ipv4(IPProtocolType.UDP, udp(1234, 53, [1, 2, 3, 4]), source));
+    }));
+}
+
+// a slow server, so that by the time particles reach it some get served and some dropped
+function newEngine () {
+    const engine = new Engine(new HeadlessRenderer(1000, 1000));
+    engine.setFluidParameter(FluidParameter.SERVICE_RATE, 20);
+    engine.fluidParticleEngine.loadPcap(parseCaptureFile(traffic(200)));
+    return engine;
+}
+
+function snapshot (engine) {
+    const fluid = engine.fluidParticleEngine;
+    return {
+        time: fluid.simulationTime,
+        stats: engine.getServerStats(),
+        particles: fluid.particles.map(p => [p.position().x, p.position().y, p.Vx, p.Vy, p.state]),
+    };
+}
+
+function play (engine, steps) {
+    for (let i = 0; i < steps; i++) {
+        engine.simulationStep();
+    }
+}
+
+test("seeking rebuilds the state playing straight through would reach", () => {
+    const straight = newEngine();
+    play(straight, 300);
+    const expected = snapshot(straight);
+    assert.ok(expected.stats.processed > 0);
+    assert.ok(expected.stats.dropped > 0);
+    assert.ok(expected.stats.particles > 0);
+
+    // back from further on
+    const back = newEngine();
+    play(back, 400);
+    back.seek(expected.time);
+    assert.deepEqual(snapshot(back), expected);
+
+    // forward from earlier on
+    const forward = newEngine();
+    play(forward, 100);
+    forward.seek(expected.time);
+    assert.deepEqual(snapshot(forward), expected);
+});
+
+test("seeking stops on the last step not past the requested time", () => {
+    const engine = newEngine();
+    engine.seek(1000);
+    const time = engine.getTimeline().currentTime;
+    assert.ok(time <= 1000);
+    assert.ok(time > 1000 - 1000 / 120);
+});
+
+// steps the fluid engine takes while `action` runs
+function countSteps (engine, action) {
+    const fluid = engine.fluidParticleEngine;
+    const step = fluid.simulationStep;
+    let steps = 0;
+    fluid.simulationStep = function (deltaTime) {
+        steps++;
+        return step.call(this, deltaTime);
+    };
+    try {
+        action();
+    } finally {
+        fluid.simulationStep = step;
+    }
+    return steps;
+}
+
+test("seeks simulate from the latest checkpoint before the requested time", () => {
+    const straight = newEngine();
+    play(straight, 300);
+    const expected = snapshot(straight);
+
+    const engine = newEngine();
+    play(engine, 400);
+    assert.equal(engine.fluidParticleEngine.checkpoints.length, 3);
+    // the checkpoint after step 240 is the nearest
+    assert.ok(countSteps(engine, () => engine.seek(expected.time)) <= 61);
+    assert.deepEqual(snapshot(engine), expected);
+
+    // and forward from the start, when one lies beyond where the engine is
+    engine.seek(0);
+    assert.ok(countSteps(engine, () => engine.seek(expected.time)) <= 61);
+    assert.deepEqual(snapshot(engine), expected);
+
+    engine.setPlaybackSpeed(2);
+    assert.equal(engine.fluidParticleEngine.checkpoints.length, 0);
+});
+
+test("checkpoints thin out rather than pile up over a long capture", () => {
+    const engine = newEngine();
+    const fluid = engine.fluidParticleEngine;
+    const spacing = fluid.checkpointSpacing;
+    play(engine, 120 * 40);
+    assert.ok(fluid.checkpoints.length < 32);
+    assert.equal(fluid.checkpointSpacing, 2 * spacing);
+    assert.ok(countSteps(engine, () => engine.seek(fluid.simulationTime - 1)) <= 240);
+});
+
+test("a loop goes back to the state at its start, which then plays on the same", () => {
+    const reference = newEngine();
+    reference.seek(50);
+    const atStart = snapshot(reference);
+    play(reference, 1);
+    const afterStart = snapshot(reference);
+
+    const engine = newEngine();
+    engine.setLoopRegion(50, 120);
+    assert.deepEqual(snapshot(engine), atStart);
+    for (let lap = 0; lap < 3; lap++) {
+        play(engine, 1);
+        assert.deepEqual(snapshot(engine), afterStart);
+        // nine steps to the last one before 120 ms, and the one that would pass it wraps
+        let steps = 1;
+        while (engine.fluidParticleEngine.simulationTime > atStart.time) {
+            play(engine, 1);
+            steps++;
+        }
+        assert.equal(steps, 10);
+        assert.deepEqual(snapshot(engine), atStart);
+    }
+});
@@ -0,0 +1,173 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {ethernet, ipv4, tcp, udp, pcap} from "./helpers.js";
+import {Engine, EngineType, GridSource, HostState} from "../scripts/engine.js";
+import {HeadlessRenderer} from "../scripts/renderer.js";
+import {parseCaptureFile} from "../scripts/pcap_parser.js";
+import {inferInfections} from "../scripts/worm_analysis.js";
+import {IPProtocolType} from "../scripts/utils.js";
+
+const SYN = 0x02;
+const WORM_PORT = 445;
+
+function probe (source, dest, port = WORM_PORT) {
+    return ethernet(0x0800, ipv4(IPProtocolType.TCP, tcp(SYN, [], source, dest, 40000, port), source, dest));
+}
+
+// one SYN from `source` to each of the hosts 10.0.1.first.. on the worm port
+function scan (source, first, count) {
+    return Array.from({ length: count }, (_, idx) => probe(source, [10, 0, 1, first + idx]));
+}
+
+// 10.0.0.1 scans, exploits 10.0.0.2 which then scans too; 10.0.0.3 only serves DNS
+function outbreak () {
+    const patientZero = [10, 0, 0, 1];
+    const victim = [10, 0, 0, 2];
+    return pcap([
+        ethernet(0x0800, ipv4(IPProtocolType.UDP, udp(5353, 53), [10, 0, 0, 3], [10, 0, 0, 9])),
+        ...scan(patientZero, 0, 5),
+        probe(patientZero, victim),
+        ...scan(victim, 100, 5),
+    ]);
+}
+
+test("a probed host that starts scanning was infected by its prober", () => {
+    const analysis = inferInfections(parseCaptureFile(outbreak()).packets);
+    const host = (address) => analysis.addresses.indexOf(address);
+
+    assert.equal(analysis.targetPort, WORM_PORT);
+    assert.deepEqual(analysis.infections.map(infection => infection.host), [host("10.0.0.1"), host("10.0.0.2")]);
+    assert.equal(analysis.infections[0].source, undefined);
+    assert.equal(analysis.infections[1].source, host("10.0.0.1"));
+    // the exploit, not the scanning, marks the infection
+    assert.equal(analysis.infections[1].time, 6);
+});
+
+test("hosts are laid out in address order", () => {
+    const analysis = inferInfections(parseCaptureFile(outbreak()).packets);
+    assert.deepEqual(analysis.addresses.slice(0, 4), ["10.0.0.1", "10.0.0.2", "10.0.0.3", "10.0.0.9"]);
+    assert.equal(analysis.addresses.length, 4 + 10);
+});
+
+test("too few probes are not a scan", () => {
+    const analysis = inferInfections(parseCaptureFile(pcap(scan([10, 0, 0, 1], 0, 4))).packets);
+    assert.equal(analysis.targetPort, undefined);
+    assert.deepEqual(analysis.infections, []);
+});
+
+test("the grid replays the capture's infections in order", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    engine.setActiveEngine(EngineType.GRIDVIRUS);
+    engine.gridVirusEngine.loadCapture(inferInfections(parseCaptureFile(outbreak()).packets));
+    const grid = engine.gridVirusEngine;
+
+    let stats = engine.getGridStats();
+    assert.equal(stats.source, GridSource.CAPTURE);
+    assert.equal(stats.hosts, 14);
+    assert.equal(stats.susceptible, 14);
+    assert.equal(grid.hosts.filter(state => state === HostState.EMPTY).length, grid.columns * grid.rows - 14);
+
+    // the first infection is at 1 ms, the second at 6 ms
+    engine.setPlaybackSpeed(0.5);
+    engine.simulationStep();
+    assert.equal(engine.getGridStats().infected, 1);
+    engine.simulationStep();
+    assert.equal(engine.getGridStats().infected, 2);
+
+    engine.setGridSource(GridSource.MODEL);
+    assert.equal(engine.getGridStats().source, GridSource.MODEL);
+    grid.clearCapture();
+    assert.throws(() => engine.setGridSource(GridSource.CAPTURE), RangeError);
+});
+
+test("the grid replay follows timeline seeks and loops", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    engine.setActiveEngine(EngineType.GRIDVIRUS);
+    engine.gridVirusEngine.loadCapture(inferInfections(parseCaptureFile(outbreak()).packets));
+    // a step covers 0.83 capture ms; the infections are at 1 and 6 ms
+    engine.setPlaybackSpeed(0.1);
+
+    engine.seek(7);
+    assert.equal(engine.getGridStats().infected, 2);
+    assert.ok(Math.abs(engine.getTimeline().currentTime - 7) < 1);
+    engine.seek(2);
+    assert.equal(engine.getGridStats().infected, 1);
+    assert.equal(engine.getGridStats().everInfected, 1);
+
+    engine.setLoopRegion(0, 3);
+    for (let i = 0; i < 2; i++) {
+        engine.simulationStep();
+    }
+    // the second step would have passed the end, so it wrapped back to the start instead
+    assert.equal(engine.getTimeline().currentTime, 0);
+    assert.equal(engine.getGridStats().infected, 0);
+
+    // and every lap after that replays the same
+    for (let i = 0; i < 4; i++) {
+        engine.simulationStep();
+    }
+    assert.equal(engine.getTimeline().currentTime, 0);
+    assert.equal(engine.getGridStats().infected, 0);
+    assert.equal(engine.getGridStats().everInfected, 0);
+    engine.simulationStep();
+    engine.simulationStep();
+    assert.equal(engine.getGridStats().infected, 1);
+});
+
+test("a capture without infections leaves the grid on the model", () => {
+    const engine = new Engine(new HeadlessRenderer());
+    const plain = pcap(scan([10, 0, 0, 1], 0, 4));
+    engine.gridVirusEngine.loadCapture(inferInfections(parseCaptureFile(plain).packets));
+
+    assert.equal(engine.getGridStats().source, GridSource.MODEL);
+    assert.ok(engine.getGridStats().infected > 0);
+    // still there to be replayed by hand
+    engine.setGridSource(GridSource.CAPTURE);
+    assert.equal(engine.getGridStats().hosts, 5);
+    assert.equal(engine.getGridStats().infected, 0);
+});
+
+// stands in for the parsing worker, whose messages the tests deliver by hand
+class FakeWorker {
+    postMessage () {}
+    terminate () {
+        this.terminated = true;
+    }
+}
+
+test("cancelling a parse analyses the packets already read", async () => {
+    globalThis.Worker = FakeWorker;
+    try {
+        const engine = new Engine(new HeadlessRenderer());
+        const capture = parseCaptureFile(outbreak());
+        const events = [];
+        engine.addEventListener('pcapLoaded', (event) => events.push(event));
+        engine.addEventListener('pcapLoadCancelled', (event) => events.push(event));
+
+        // nothing arrived, so the previous capture stays as it was
+        engine.setPcapFile(null);
+        engine.cancelPcapParsing();
+        await Promise.resolve();
+        assert.deepEqual(events.map(event => event.type), ['pcapLoadCancelled']);
+        assert.equal(engine.getInferredInfections(), null);
+
+        engine.setPcapFile(null);
+        const worker = engine.pcapWorker;
+        worker.onmessage({ data: { type: 'header', globalHeader: capture.globalHeader } });
+        worker.onmessage({ data: { type: 'packets', packets: capture.packets } });
+        engine.cancelPcapParsing();
+        await Promise.resolve();
+
+        assert.equal(worker.terminated, true);
+        assert.equal(engine.isParsingPcap(), false);
+        const loaded = events.at(-1);
+        assert.equal(loaded.type, 'pcapLoaded');
+        assert.equal(loaded.detail.cancelled, true);
+        assert.equal(loaded.detail.packetCount, capture.packets.length);
+        assert.notEqual(loaded.detail.reassembly, null);
+        assert.deepEqual(loaded.detail.infections, inferInfections(capture.packets));
+        assert.equal(engine.getGridStats().source, GridSource.CAPTURE);
+    } finally {
+        delete globalThis.Worker;
+    }
+});